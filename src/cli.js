@@ -8,6 +8,7 @@ import { upgrade } from './commands/upgrade.js';
 import { addTemplate } from './commands/add-template.js';
 import { testTemplate } from './commands/test-template.js';
 import { types } from './commands/types.js';
+import { i18nImport, i18nExport, i18nStatus } from './commands/i18n.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -38,7 +39,15 @@ program
   .option('-l, --locale <locale>', 'Generate only specific locale')
   .option('-d, --device <device>', 'Generate only specific device size')
   .option('--no-parallel', 'Disable parallel generation')
+  .option('--concurrency <n>', 'Number of screenshots to render in parallel (default: up to 4)')
   .option('--skip-validation', 'Skip screenshot dimension validation')
+  .option('--force', 'Re-render all screenshots, ignoring the cache')
+  .option('-w, --watch', 'Watch for changes and re-render affected screenshots')
+  .option('--ready-timeout <ms>', 'Maximum time to wait for a template to signal ready', '15000')
+  .option('--strict', 'Exit with an error if any render logs errors or has failed requests')
+  .option('--optimize', 'Optimize generated PNGs (lossless unless output.optimize.quantize is set)')
+  .option('--verify', 'Decode every output and check dimensions, format and that there is no alpha channel')
+  .option('--debug-layout', 'Save annotated images of text layout problems to <output>/debug')
   .action(generate);
 
 program
@@ -73,6 +82,7 @@ program
   .option('-o, --output <path>', 'Output directory', './.storepix-test')
   .option('--no-open', 'Do not open browser after generation')
   .option('-d, --device <device>', 'Test only specific device')
+  .option('--ready-timeout <ms>', 'Maximum time to wait for a template to signal ready', '15000')
   .action(testTemplate);
 
 program
@@ -81,4 +91,37 @@ program
   .option('-d, --dir <path>', 'Project directory', './storepix')
   .action(types);
 
+const i18n = program
+  .command('i18n')
+  .description('Import and export screenshot translations');
+
+i18n
+  .command('import <file>')
+  .description('Import screenshot strings from a .strings, strings.xml, XLIFF or JSON file')
+  .option('-c, --config <path>', 'Path to config file', './storepix/storepix.config.js')
+  .option('-l, --locale <locale>', 'Locale of the file (default: XLIFF target language)')
+  .option('--prefix <prefix>', 'Key prefix for screenshot strings (default: config i18n.prefix or "screenshot")')
+  .option('-o, --out <path>', 'Locale file to write, relative to the config (default: i18n/<locale>.json)')
+  .action(i18nImport);
+
+i18n
+  .command('export')
+  .description('Export screenshot strings for translators as XLIFF or CSV')
+  .option('-c, --config <path>', 'Path to config file', './storepix/storepix.config.js')
+  .option('-l, --locale <locale>', 'Locale to export (default: every locale except the source)')
+  .option('-f, --format <format>', 'xliff or csv', 'xliff')
+  .option('-t, --template <name>', 'Template whose schema describes the fields (overrides config)')
+  .option('--source-locale <locale>', 'Language of the base text (default: config i18n.sourceLocale or "en")')
+  .option('-o, --out <path>', 'File to write, relative to the config (default: i18n/export/<locale>.xlf)')
+  .action(i18nExport);
+
+i18n
+  .command('status')
+  .description('Show missing and untranslated screenshot strings per locale')
+  .option('-c, --config <path>', 'Path to config file', './storepix/storepix.config.js')
+  .option('-t, --template <name>', 'Template whose schema describes the fields (overrides config)')
+  .option('--json', 'Print the status as JSON')
+  .option('--strict', 'Exit with an error if any string is missing or a locale references an unknown screenshot')
+  .action(i18nStatus);
+
 program.parse();
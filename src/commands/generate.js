@@ -1,14 +1,30 @@
 import { chromium } from 'playwright';
 import { createServer } from 'http';
 import { existsSync, mkdirSync, statSync } from 'fs';
-import { join, dirname, resolve } from 'path';
+import { join, dirname, resolve, relative } from 'path';
 import { pathToFileURL } from 'url';
 import handler from 'serve-handler';
 import { devices, getDevice } from '../devices/index.js';
 import { validateAllScreenshots, printValidationResults } from '../utils/validation.js';
-import { templateExistsInProject, tryAddTemplate, getAvailableTemplates } from '../utils/template-helper.js';
-import { validateConfig, printConfigValidation } from '../utils/config-validation.js';
-import { resolveSource, getDeviceType, buildDeviceSpecificPath } from '../utils/resolve-source.js';
+import { templateExistsInProject, tryAddTemplate, getAvailableTemplates, serveContentHelper, getRequiredTemplates, resolveScreenshotTemplate } from '../utils/template-helper.js';
+import { validateConfig, printConfigValidation, loadTemplateSchema, createSchemaLookup, getTextFitBounds } from '../utils/config-validation.js';
+import { resolveSource, validateSourceGroups } from '../utils/resolve-source.js';
+import { runPool, parseConcurrency } from '../utils/render-pool.js';
+import { RenderCache, computeJobHash } from '../utils/render-cache.js';
+import { FileWatcher, categorizeChange, getInputDirs, isJobAffected } from '../utils/watcher.js';
+import { waitForTemplateReady, parseReadyTimeout } from '../utils/readiness.js';
+import { resolveOutputFormat, validateOutputConfig, findStoreFormatIssues, captureScreenshot } from '../utils/output-format.js';
+import { resolveOptimizeOptions, validateOptimizeConfig, optimizePngFile, formatBytes } from '../utils/png-optimize.js';
+import { getPageBackground, flattenPngFile, verifyOutput } from '../utils/opaque-output.js';
+import { collectPageDiagnostics, addFailedImages, addTextFitIssues, printRenderIssues, countIssueErrors } from '../utils/page-diagnostics.js';
+import { resolveTextLayoutRules, validateTextLayoutConfig, measureTextLayout, getTextLayoutIssues, writeLayoutDebugImage } from '../utils/text-layout.js';
+import { validateAnnotations } from '../utils/annotations.js';
+import { applyDeviceOverrides, validateDeviceOverrides } from '../utils/device-overrides.js';
+import { resolveContrastOptions, validateContrastConfig, measureContrast, getContrastIssues } from '../utils/contrast.js';
+import { resolveSourceFit, validateSourceFitConfig } from '../utils/source-fit.js';
+import { resolveLocalizedScreenshot, getTextDirection } from '../utils/locales.js';
+import { loadLocaleFiles } from '../utils/i18n.js';
+import { getTranslationStatus, printTranslationIssues } from '../utils/i18n-status.js';
 
 /**
  * Start a local HTTP server to serve template files
@@ -17,6 +33,11 @@ import { resolveSource, getDeviceType, buildDeviceSpecificPath } from '../utils/
 function startServer(configDir, template) {
   return new Promise((resolvePromise) => {
     const server = createServer(async (req, res) => {
+      // Shared helper script falls back to the installed package
+      if (serveContentHelper(req, res, configDir)) {
+        return;
+      }
+
       await handler(req, res, {
         public: configDir,
         directoryListing: false,
@@ -26,8 +47,6 @@ function startServer(configDir, template) {
           { source: '/', destination: `/templates/${template}/index.html` },
           { source: '/index.html', destination: `/templates/${template}/index.html` },
           { source: '/styles.css', destination: `/templates/${template}/styles.css` },
-          // Custom content helper script
-          { source: '/storepix-content.js', destination: '/templates/storepix-content.js' },
           // Status bar files - explicit rewrites for each file
           { source: '/status-bar/ios.html', destination: '/templates/status-bar/ios.html' },
           { source: '/status-bar/android.html', destination: '/templates/status-bar/android.html' },
@@ -85,61 +104,70 @@ export async function generate(options) {
     process.exit(1);
   }
 
-  // Determine devices early (needed for source validation)
-  const deviceKeys = options.device
-    ? [options.device]
-    : (config.devices || ['iphone-6.5']);
+  // Read locales that point at translation files
+  const localeFiles = loadLocaleFiles(config, configDir);
+  if (localeFiles.errors.length > 0) {
+    console.log(`  Error: Failed to load translation files`);
+    for (const error of localeFiles.errors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
+  for (const warning of localeFiles.warnings) {
+    console.log(`  ⚠ ${warning}`);
+  }
+  if (localeFiles.warnings.length > 0) {
+    console.log();
+  }
+  config = localeFiles.config;
 
-  // Validate screenshot source files exist (checking device-specific paths)
-  // Skip validation for promotional devices (like feature graphics) that don't need source images
-  const missingScreenshots = [];
-  for (const screenshot of config.screenshots) {
-    // Check each device has a valid source (device-specific or base)
-    for (const deviceKey of deviceKeys) {
-      const device = getDevice(deviceKey);
+  // Determine devices and locales early (needed for source validation)
+  const { deviceKeys, locales } = resolveTargets(config, options);
 
-      // Skip source validation for promotional assets (they don't require screenshot sources)
-      if (device.type === 'promotional') {
-        continue;
-      }
+  // Validate source fit policy and source groups
+  const sourceErrors = [
+    ...validateSourceFitConfig(config),
+    ...validateSourceGroups(config, devices)
+  ];
+  if (sourceErrors.length > 0) {
+    console.log(`  Error: Invalid source settings`);
+    for (const error of sourceErrors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
 
-      if (!screenshot.source) {
-        console.log(`  Error: Screenshot "${screenshot.id}" is missing a "source" path\n`);
-        process.exit(1);
-      }
+  // Validate annotations and their localized callout text
+  const annotationErrors = validateAnnotations(config);
+  if (annotationErrors.length > 0) {
+    console.log(`  Error: Invalid annotations`);
+    for (const error of annotationErrors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
 
-      const { resolvedPath } = resolveSource(screenshot.source, deviceKey, configDir);
-      const absolutePath = join(configDir, resolvedPath);
-
-      if (!existsSync(absolutePath)) {
-        const deviceType = getDeviceType(deviceKey);
-        const deviceSpecificPath = deviceType
-          ? buildDeviceSpecificPath(screenshot.source, deviceType)
-          : screenshot.source;
-
-        missingScreenshots.push({
-          id: screenshot.id,
-          device: deviceKey,
-          deviceType,
-          expectedPaths: [
-            deviceSpecificPath,
-            screenshot.source
-          ]
-        });
-      }
+  // Validate per-device override keys
+  const overrideErrors = validateDeviceOverrides(config);
+  if (overrideErrors.length > 0) {
+    console.log(`  Error: Invalid device overrides`);
+    for (const error of overrideErrors) {
+      console.log(`    ${error}`);
     }
+    console.log();
+    process.exit(1);
   }
 
+  // Validate screenshot source files exist (checking locale and device folders)
+  const missingScreenshots = findMissingSources(config, deviceKeys, configDir, locales);
+
   if (missingScreenshots.length > 0) {
     console.log(`  Error: Screenshot source files not found\n`);
-    for (const missing of missingScreenshots) {
-      console.log(`    - ${missing.id} (${missing.device}):`);
-      console.log(`      Expected: ${missing.expectedPaths[0]}`);
-      if (missing.expectedPaths[0] !== missing.expectedPaths[1]) {
-        console.log(`            or: ${missing.expectedPaths[1]}`);
-      }
-    }
-    console.log(`\n  Tip: Add screenshots to device folders (e.g., screenshots/iphone/, screenshots/ipad/).\n`);
+    printMissingSources(missingScreenshots);
+    console.log(`\n  Tip: Add screenshots to device or locale folders (e.g., screenshots/iphone/, screenshots/iphone-5.5/, screenshots/de/iphone/).\n`);
     process.exit(1);
   }
 
@@ -156,10 +184,50 @@ export async function generate(options) {
     }
   }
 
-  // Determine locales
-  const locales = options.locale
-    ? [options.locale]
-    : (config.locales ? Object.keys(config.locales) : [null]);
+  // Validate output format settings
+  const outputErrors = [
+    ...validateOutputConfig(config.output, devices),
+    ...validateOptimizeConfig(config.output?.optimize)
+  ];
+  if (outputErrors.length > 0) {
+    console.log(`  Error: Invalid output settings`);
+    for (const error of outputErrors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
+
+  // Validate text layout check severities
+  const textLayoutErrors = validateTextLayoutConfig(config.textLayout);
+  if (textLayoutErrors.length > 0) {
+    console.log(`  Error: Invalid text layout settings`);
+    for (const error of textLayoutErrors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
+
+  // Validate contrast thresholds
+  const contrastErrors = validateContrastConfig(config.contrast);
+  if (contrastErrors.length > 0) {
+    console.log(`  Error: Invalid contrast settings`);
+    for (const error of contrastErrors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
+
+  // Sources may be any image format, but the stores only take some as output
+  const storeFormatIssues = findStoreFormatIssues(config.output, deviceKeys, devices);
+  if (storeFormatIssues.length > 0) {
+    for (const issue of storeFormatIssues) {
+      console.log(`  \x1b[33m⚠ ${issue}\x1b[0m`);
+    }
+    console.log();
+  }
 
   // Validate specified locale exists
   if (options.locale && config.locales && !config.locales[options.locale]) {
@@ -171,41 +239,37 @@ export async function generate(options) {
   // Determine template (CLI option overrides config)
   const template = options.template || config.template || 'default';
 
-  // Check if template exists in project, try to add it if not
-  if (!templateExistsInProject(configDir, template)) {
-    console.log(`  Template "${template}" not found in project, attempting to add it...`);
-    const result = tryAddTemplate(configDir, template);
+  // Add templates the run needs (the default, per-screenshot choices and
+  // feature-graphic for promotional devices) that aren't in the project yet
+  for (const [name, ids] of getRequiredTemplates(config, template, deviceKeys)) {
+    if (templateExistsInProject(configDir, name)) continue;
+
+    console.log(`  Template "${name}" not found in project, attempting to add it...`);
+    const result = tryAddTemplate(configDir, name);
     if (result.success) {
       console.log(`  ${result.message}\n`);
     } else {
       console.log(`\n  Error: ${result.message}`);
+      if (ids.length > 0) {
+        console.log(`    Used by: ${ids.join(', ')}`);
+      }
       console.log(`\n  Tip: Run "npx storepix add-template <name>" to add a template.`);
       console.log(`  Available templates: ${getAvailableTemplates().join(', ')}\n`);
       process.exit(1);
     }
   }
 
-  // Check if feature-graphic template is needed (for promotional devices)
-  const hasPromotionalDevices = deviceKeys.some(key => getDevice(key).type === 'promotional');
-  if (hasPromotionalDevices && !templateExistsInProject(configDir, 'feature-graphic')) {
-    console.log(`  Template "feature-graphic" not found in project, attempting to add it...`);
-    const result = tryAddTemplate(configDir, 'feature-graphic');
-    if (result.success) {
-      console.log(`  ${result.message}\n`);
-    } else {
-      console.log(`\n  Error: ${result.message}`);
-      console.log(`\n  Tip: Run "npx storepix add-template feature-graphic" to add the template.\n`);
-      process.exit(1);
-    }
-  }
-
   const templateDir = join(configDir, 'templates', template);
   const htmlPath = join(templateDir, 'index.html');
 
   // Validate screenshot dimensions (unless skipped)
   if (!options.skipValidation) {
     console.log('  Validating screenshots...');
-    const validation = validateAllScreenshots(config.screenshots, configDir, deviceKeys, devices);
+    const validation = validateAllScreenshots(config.screenshots, configDir, deviceKeys, devices, {
+      sourceFit: config.sourceFit,
+      sourceGroups: config.sourceGroups,
+      locales
+    });
     const { valid, hasWarnings } = printValidationResults(validation);
 
     if (!valid) {
@@ -224,248 +288,900 @@ export async function generate(options) {
     if (!configValidation.valid) {
       process.exit(1);
     }
+
+    // Flag missing and untranslated strings before they ship in the base language
+    if (config.locales) {
+      const translationStatus = getTranslationStatus(config, createSchemaLookup(configDir, template), {
+        unknownKeys: localeFiles.unknownKeys
+      });
+      printTranslationIssues(translationStatus);
+    }
   }
 
-  // Start local HTTP server (needed for fetch() to work in templates)
-  const { server, port } = await startServer(configDir, template);
-  const baseUrl = `http://localhost:${port}`;
+  // Resolve worker count (--no-parallel forces a single worker)
+  const concurrency = options.parallel === false ? 1 : parseConcurrency(options.concurrency);
+  if (concurrency === null) {
+    console.log(`  Error: Invalid --concurrency value "${options.concurrency}"`);
+    console.log(`    Expected a positive integer.\n`);
+    process.exit(1);
+  }
+
+  const readyTimeout = parseReadyTimeout(options.readyTimeout);
+  if (readyTimeout === null) {
+    console.log(`  Error: Invalid --ready-timeout value "${options.readyTimeout}"`);
+    console.log(`    Expected a positive number of milliseconds.\n`);
+    process.exit(1);
+  }
 
-  // Launch browser
-  const browser = await chromium.launch();
+  const jobs = buildRenderJobs(config, configDir, deviceKeys, locales, template, {
+    optimize: options.optimize,
+    textLayout: !options.skipValidation,
+    contrast: !options.skipValidation,
+    debugLayout: options.debugLayout
+  });
+
+  // Skip renders whose inputs haven't changed since the last run
+  const outputRoot = join(configDir, config.output?.dir || './output');
+  mkdirSync(outputRoot, { recursive: true });
+  const cache = new RenderCache(outputRoot).load();
 
-  let totalGenerated = 0;
+  // Server and browser start lazily and stay warm in watch mode
+  const session = createRenderSession(configDir, template);
 
   try {
+    const { rendered, cached, issues } = await renderWithCache(session, jobs, cache, {
+      configDir,
+      concurrency,
+      readyTimeout,
+      force: options.force
+    });
+
+    if (rendered === 0) {
+      console.log(`  All ${cached} screenshots are up to date (use --force to rebuild).\n`);
+    } else {
+      const cachedSummary = cached > 0 ? ` (${rendered} rebuilt, ${cached} cached)` : '';
+      console.log(`\n  Done! Generated ${rendered + cached} screenshots${cachedSummary}.\n`);
+    }
+
+    if (issues.length > 0 && options.strict) {
+      await session.close();
+      console.log(`  Error: ${issues.length} render${issues.length === 1 ? '' : 's'} had issues (--strict)\n`);
+      process.exit(1);
+    }
+
+    // Text layout and contrast problems configured as errors fail the run even without --strict
+    const errorCount = countIssueErrors(issues);
+    if (errorCount > 0) {
+      await session.close();
+      console.log(`  Error: ${errorCount} check error${errorCount === 1 ? '' : 's'} (see textLayout and contrast in the config to change severities)\n`);
+      process.exit(1);
+    }
+
+    if (options.verify && !(await verifyJobOutputs(jobs))) {
+      await session.close();
+      process.exit(1);
+    }
+  } catch (err) {
+    await session.close();
+    console.log(`\n  Error: Render failed`);
+    console.log(`    ${err.message}\n`);
+    process.exit(1);
+  }
+
+  if (!options.watch) {
+    await session.close();
+    return;
+  }
+
+  watchAndRegenerate({
+    options,
+    configPath,
+    configDir,
+    config,
+    localeFiles: localeFiles.files,
+    template,
+    jobs,
+    outputRoot,
+    cache,
+    session,
+    concurrency,
+    readyTimeout
+  });
+}
+
+/**
+ * Find screenshots whose source file is missing for a device and locale
+ * Promotional devices (like feature graphics) don't need source images and are skipped.
+ * @param {Object} config - Loaded storepix config
+ * @param {string[]} deviceKeys - Devices to check
+ * @param {string} configDir - Config directory
+ * @param {Array<string|null>} [locales] - Locales to check ([null] when not localized)
+ * @returns {Array<{ id: string, device: string, locale: string|null, triedPaths: string[], missingSource?: boolean }>}
+ */
+function findMissingSources(config, deviceKeys, configDir, locales = [null]) {
+  const missing = [];
+
+  for (const baseScreenshot of config.screenshots) {
+    // Check each device has a valid source (locale/device-specific or base)
     for (const deviceKey of deviceKeys) {
       const device = getDevice(deviceKey);
-      console.log(`  Device: ${device.name} (${device.width}x${device.height})`);
+      const screenshot = applyDeviceOverrides(baseScreenshot, deviceKey);
 
-      const context = await browser.newContext({
-        viewport: { width: device.width, height: device.height },
-        deviceScaleFactor: 1
-      });
-      const page = await context.newPage();
+      // Skip source validation for promotional assets (they don't require screenshot sources)
+      if (device.type === 'promotional') {
+        continue;
+      }
+
+      if (!screenshot.source) {
+        missing.push({ id: screenshot.id, device: deviceKey, locale: null, triedPaths: [], missingSource: true });
+        continue;
+      }
 
       for (const locale of locales) {
-        const localeSuffix = locale ? `/${locale}` : '';
-        const outputBaseDir = join(
-          configDir,
-          config.output?.dir || './output',
-          locale || '',
-          deviceKey
-        );
-
-        // Ensure output directory exists
-        mkdirSync(outputBaseDir, { recursive: true });
-
-        if (locale) {
-          console.log(`    Locale: ${locale}`);
+        const { resolvedPath, triedPaths } = resolveSource(screenshot.source, deviceKey, configDir, {
+          locale,
+          sourceGroups: config.sourceGroups
+        });
+
+        if (!existsSync(join(configDir, resolvedPath))) {
+          missing.push({ id: screenshot.id, device: deviceKey, locale, triedPaths });
         }
+      }
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Print missing source entries from findMissingSources
+ * @param {Array} missingScreenshots
+ */
+function printMissingSources(missingScreenshots) {
+  for (const missing of missingScreenshots) {
+    if (missing.missingSource) {
+      console.log(`    - ${missing.id} (${missing.device}): missing a "source" path`);
+      continue;
+    }
+    const target = [missing.device, missing.locale].filter(Boolean).join(', ');
+    console.log(`    - ${missing.id} (${target}):`);
+    missing.triedPaths.forEach((path, i) => {
+      console.log(`      ${i === 0 ? 'Expected' : '      or'}: ${path}`);
+    });
+  }
+}
 
-        for (const screenshot of config.screenshots) {
-          // Resolve device-specific source path (skip for promotional devices)
-          let resolvedSource = '';
-          let isDeviceSpecific = false;
-          if (screenshot.source) {
-            const resolved = resolveSource(screenshot.source, deviceKey, configDir);
-            resolvedSource = resolved.resolvedPath;
-            isDeviceSpecific = resolved.isDeviceSpecific;
-          }
-
-          // Get localized text if available
-          let headline = screenshot.headline;
-          let subheadline = screenshot.subheadline;
-          let headlines = screenshot.headlines;
-          let subheadlines = screenshot.subheadlines;
-
-          if (locale && config.locales?.[locale]?.[screenshot.id]) {
-            const localized = config.locales[locale][screenshot.id];
-            headline = localized.headline || headline;
-            subheadline = localized.subheadline || subheadline;
-            headlines = localized.headlines || headlines;
-            subheadlines = localized.subheadlines || subheadlines;
-          }
-
-          // Collect custom content (any keys not reserved by storepix)
-          const reservedKeys = new Set([
-            'id', 'source', 'theme', 'layout', 'slices',
-            'headline', 'subheadline', 'headlines', 'subheadlines',
-            'background', 'logo'
-          ]);
-          const customContent = {};
-          for (const [key, value] of Object.entries(screenshot)) {
-            if (!reservedKeys.has(key)) {
-              customContent[key] = value;
-            }
-          }
-          // Merge with locale overrides for custom content
-          if (locale && config.locales?.[locale]?.[screenshot.id]) {
-            const localized = config.locales[locale][screenshot.id];
-            for (const [key, value] of Object.entries(localized)) {
-              if (!reservedKeys.has(key)) {
-                customContent[key] = value;
-              }
-            }
-          }
-
-          // Determine number of slices (for panorama mode)
-          const slices = screenshot.slices || 1;
-          const isPanorama = slices > 1;
-
-          // Determine if this is a promotional asset (like feature graphic)
-          const isPromotional = device.type === 'promotional';
-
-          // Build URL parameters
-          // Use relative path for screenshot so it's served via HTTP
-          const params = new URLSearchParams({
-            screenshot: resolvedSource || '',
-            background: screenshot.background || '',
-            headline: headline || '',
-            subheadline: subheadline || '',
-            logo: screenshot.logo || '',
-            theme: screenshot.theme || 'light',
-            layout: screenshot.layout || 'top',
-            // Pass device info for CSS scaling
-            deviceWidth: device.width.toString(),
-            deviceHeight: device.height.toString(),
-            // Pass device frame info for template customization
-            platform: device.platform || 'ios',
-            notchType: device.frame?.notch?.type || 'none',
-            notchWidth: (device.frame?.notch?.width || 0).toString(),
-            notchHeight: (device.frame?.notch?.height || 0).toString(),
-            hasHomeButton: (device.frame?.homeButton || false).toString(),
-            // Panorama/slicing
-            slices: slices.toString(),
-            // Status bar configuration
-            statusBar: (config.statusBar?.enabled ?? false).toString(),
-            statusBarTime: config.statusBar?.time || '9:41',
-            statusBarBattery: (config.statusBar?.battery ?? 100).toString(),
-            statusBarShowPercent: (config.statusBar?.showBatteryPercent ?? true).toString(),
-            statusBarStyle: config.statusBar?.style || 'auto',
-            // Pass theme variables
-            ...(config.theme && { themeJson: JSON.stringify(config.theme) })
+/**
+ * Create a render session: a local server plus a browser with one page per worker
+ *
+ * Everything is started on first use, so a run where every screenshot is
+ * cached never launches Chromium. In watch mode the session is reused across
+ * runs to avoid paying the browser startup cost on every change.
+ *
+ * @param {string} configDir - Config directory (served as web root)
+ * @param {string} template - Template served at /
+ * @returns {{ getPages: (count: number) => Promise<Object>, close: () => Promise<void> }}
+ */
+function createRenderSession(configDir, template) {
+  let server = null;
+  let browser = null;
+  let baseUrl = null;
+  const pages = [];
+
+  return {
+    async getPages(count) {
+      if (!server) {
+        // Start local HTTP server (needed for fetch() to work in templates)
+        const started = await startServer(configDir, template);
+        server = started.server;
+        baseUrl = `http://localhost:${started.port}`;
+      }
+      if (!browser) {
+        browser = await chromium.launch();
+      }
+
+      // One browser context per worker - contexts are isolated, so parallel
+      // renders can't leak state (viewport, storage) into each other
+      while (pages.length < count) {
+        const context = await browser.newContext({ deviceScaleFactor: 1 });
+        pages.push(await context.newPage());
+      }
+
+      return { baseUrl, pages };
+    },
+
+    async close() {
+      if (browser) await browser.close();
+      if (server) server.close();
+      browser = null;
+      server = null;
+      pages.length = 0;
+    }
+  };
+}
+
+/**
+ * Render the jobs whose inputs changed, skipping cached ones
+ * @param {Object} session - Render session from createRenderSession
+ * @param {Array<Object>} jobs - Render jobs
+ * @param {RenderCache} cache - Render cache
+ * @param {{ configDir: string, concurrency: number, readyTimeout: number, force?: boolean }} options
+ * @returns {Promise<{ rendered: number, cached: number, issues: Array<{ label: string, issues: Array<Object> }> }>}
+ *   Output file counts and the renders that reported issues
+ */
+async function renderWithCache(session, jobs, cache, { configDir, concurrency, readyTimeout, force = false }) {
+  const pendingJobs = [];
+  let cached = 0;
+  for (const job of jobs) {
+    job.hash = computeJobHash(cache, job, configDir);
+    if (!force && cache.isFresh(job.cacheKey, job.hash, job.outputs.map(o => o.path))) {
+      cached += job.outputs.length;
+    } else {
+      pendingJobs.push(job);
+    }
+  }
+
+  if (pendingJobs.length === 0) {
+    return { rendered: 0, cached, issues: [] };
+  }
+
+  // Create all output directories up front so workers never race on mkdir
+  for (const dir of new Set(pendingJobs.map(job => job.outputDir))) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  const pendingOutputs = pendingJobs.reduce((sum, job) => sum + job.outputs.length, 0);
+  const deviceCount = new Set(pendingJobs.map(job => job.deviceKey)).size;
+  const localeCount = new Set(pendingJobs.map(job => job.locale)).size;
+  const workerCount = Math.min(concurrency, pendingJobs.length);
+  const { baseUrl, pages } = await session.getPages(workerCount);
+
+  const cachedInfo = cached > 0 ? `, ${cached} cached` : '';
+  console.log(`  Rendering ${pendingOutputs} screenshots (${deviceCount} device${deviceCount === 1 ? '' : 's'}, ${localeCount} locale${localeCount === 1 ? '' : 's'}${cachedInfo}) with ${workerCount} worker${workerCount === 1 ? '' : 's'}\n`);
+
+  const progressWidth = String(pendingOutputs).length;
+  const legacyTemplates = new Set();
+  const renderIssues = [];
+  const optimizeTotals = { files: 0, originalSize: 0, size: 0 };
+  let rendered = 0;
+
+  try {
+    await runPool(pendingJobs, workerCount, async (job, index, workerId) => {
+      const { outputs, protocol, issues, debugImage } = await renderJob(pages[workerId], baseUrl, job, { readyTimeout });
+
+      // Renders with issues stay uncached so they're reported again next run
+      if (issues.length > 0) {
+        renderIssues.push({
+          label: job.outputs.map(output => output.label).join(', '),
+          issues,
+          ...(debugImage && { debugImage: relative(process.cwd(), debugImage) })
+        });
+        cache.remove(job.cacheKey);
+      } else {
+        cache.set(job.cacheKey, job.hash);
+      }
+
+      if (protocol === 'legacy') {
+        legacyTemplates.add(job.template);
+      }
+
+      // Each line is self-describing, so interleaved completions stay readable
+      for (const output of outputs) {
+        rendered++;
+        const counter = `[${String(rendered).padStart(progressWidth)}/${pendingOutputs}]`;
+        const sourceInfo = job.isDeviceSpecific || job.isLocaleSpecific ? ` [${job.resolvedSource}]` : '';
+        const issueInfo = issues.length > 0 ? ` - ${issues.length} issue${issues.length === 1 ? '' : 's'}` : '';
+        console.log(`    ${counter} ${output.label} (${formatOutputSize(output)})${sourceInfo}${issueInfo}`);
+
+        if (output.originalSize !== undefined) {
+          optimizeTotals.files++;
+          optimizeTotals.originalSize += output.originalSize;
+          optimizeTotals.size += output.size;
+        }
+      }
+
+      return outputs;
+    });
+  } finally {
+    // Persist whatever finished, even if a later render failed
+    cache.save();
+  }
+
+  for (const template of legacyTemplates) {
+    console.log(`\n  Note: Template "${template}" doesn't signal readiness, so fixed delays were used.`);
+    console.log('  Run "npx storepix upgrade" to get the storepixSignalReady() handshake.');
+  }
+
+  if (optimizeTotals.files > 0) {
+    const saved = optimizeTotals.originalSize - optimizeTotals.size;
+    const percent = optimizeTotals.originalSize > 0 ? Math.round((saved / optimizeTotals.originalSize) * 100) : 0;
+    console.log(`\n  Optimized ${optimizeTotals.files} PNG${optimizeTotals.files === 1 ? '' : 's'}: ${formatBytes(optimizeTotals.originalSize)} -> ${formatBytes(optimizeTotals.size)} (saved ${formatBytes(saved)}, ${percent}%)`);
+  }
+
+  if (renderIssues.length > 0) {
+    printRenderIssues(renderIssues);
+  }
+
+  return { rendered, cached, issues: renderIssues };
+}
+
+/**
+ * Decode every output of the given jobs and check it against its device
+ * @param {Array<Object>} jobs - Render jobs (rendered or cached)
+ * @returns {Promise<boolean>} True if every output passed
+ */
+async function verifyJobOutputs(jobs) {
+  const failures = [];
+  let checked = 0;
+
+  for (const job of jobs) {
+    for (const output of job.outputs) {
+      checked++;
+      const result = await verifyOutput(output.path, {
+        format: job.format,
+        width: job.device.width,
+        height: job.device.height,
+        platform: job.device.platform
+      });
+      if (!result.valid) {
+        failures.push({ label: output.label, errors: result.errors });
+      }
+    }
+  }
+
+  if (failures.length === 0) {
+    console.log(`  Verified ${checked} output${checked === 1 ? '' : 's'}: correct dimensions, store-accepted format and no alpha channel.\n`);
+    return true;
+  }
+
+  console.log(`  Error: ${failures.length} of ${checked} outputs failed verification\n`);
+  for (const failure of failures) {
+    console.log(`    ${failure.label}`);
+    for (const error of failure.errors) {
+      console.log(`      - ${error}`);
+    }
+  }
+  console.log();
+  return false;
+}
+
+/**
+ * Format an output's file size for the progress line
+ * @param {{ size: number, originalSize?: number }} output
+ * @returns {string} e.g. "812 KB" or "812 KB, -35%"
+ */
+function formatOutputSize(output) {
+  const size = formatBytes(output.size);
+  if (output.originalSize === undefined || output.originalSize <= output.size) {
+    return size;
+  }
+  const percent = Math.round(((output.originalSize - output.size) / output.originalSize) * 100);
+  return `${size}, -${percent}%`;
+}
+
+/**
+ * Resolve which devices and locales to render (CLI flags override config)
+ * @param {Object} config - Loaded storepix config
+ * @param {Object} options - CLI options
+ * @returns {{ deviceKeys: string[], locales: Array<string|null> }}
+ */
+function resolveTargets(config, options) {
+  const deviceKeys = options.device
+    ? [options.device]
+    : (config.devices || ['iphone-6.5']);
+
+  const locales = options.locale
+    ? [options.locale]
+    : (config.locales ? Object.keys(config.locales) : [null]);
+
+  return { deviceKeys, locales };
+}
+
+/**
+ * Watch templates, screenshots, other render inputs and config, re-rendering
+ * affected outputs
+ * @param {Object} state - Initial run state (config, jobs, cache, session, ...)
+ */
+function watchAndRegenerate(state) {
+  const { options, configPath, configDir, template, outputRoot, cache, session, concurrency, readyTimeout } = state;
+
+  const watchPaths = [
+    join(configDir, 'templates'),
+    join(configDir, 'screenshots'),
+    configPath,
+    ...state.localeFiles
+  ];
+  // Backgrounds, logos and sources kept elsewhere, e.g. ./assets/
+  watchPaths.push(...getInputDirs(state.jobs, configDir, watchPaths));
+
+  // An input next to the config would otherwise watch the outputs too
+  const watcher = new FileWatcher(watchPaths, { ignored: outputRoot }).start();
+
+  let queued = [];
+  let running = null;
+
+  const processChanges = async (changes) => {
+    const configChanged = changes.some(change => change.category === 'config');
+
+    if (configChanged) {
+      let config;
+      try {
+        // Use timestamp to bust module cache
+        config = (await import(`${pathToFileURL(configPath).href}?t=${Date.now()}`)).default;
+      } catch (err) {
+        console.log(`  [watch] Config error: ${err.message}\n`);
+        return;
+      }
+
+      if (!config.screenshots || !Array.isArray(config.screenshots) || config.screenshots.length === 0) {
+        console.log('  [watch] Config error: No screenshots defined in config\n');
+        return;
+      }
+
+      const loaded = loadLocaleFiles(config, configDir);
+      if (loaded.errors.length > 0) {
+        console.log(`  [watch] Config error: ${loaded.errors[0]}\n`);
+        return;
+      }
+      loaded.warnings.forEach(warning => console.log(`  [watch] ⚠ ${warning}`));
+      config = loaded.config;
+
+      // Pick up translation files the config now points at
+      const newFiles = loaded.files.filter(file => !state.localeFiles.includes(file));
+      if (newFiles.length > 0) {
+        watcher.add(newFiles);
+        state.localeFiles = [...state.localeFiles, ...newFiles];
+      }
+
+      const { deviceKeys } = resolveTargets(config, options);
+      const unknownDevices = deviceKeys.filter(key => !devices[key]);
+      if (unknownDevices.length > 0) {
+        console.log(`  [watch] Config error: Unknown device "${unknownDevices[0]}"\n`);
+        return;
+      }
+
+      const outputErrors = [
+        ...validateOutputConfig(config.output, devices),
+        ...validateOptimizeConfig(config.output?.optimize),
+        ...validateSourceFitConfig(config),
+        ...validateSourceGroups(config, devices),
+        ...validateAnnotations(config),
+        ...validateDeviceOverrides(config),
+        ...validateTextLayoutConfig(config.textLayout),
+        ...validateContrastConfig(config.contrast)
+      ];
+      if (outputErrors.length > 0) {
+        console.log(`  [watch] Config error: ${outputErrors[0]}\n`);
+        return;
+      }
+
+      if (!options.template && (config.template || 'default') !== template) {
+        console.log(`  [watch] Template changed to "${config.template}" - restart to switch templates`);
+      }
+
+      // Screenshots may have switched to a template the project doesn't have yet
+      for (const [name] of getRequiredTemplates(config, template, deviceKeys)) {
+        if (templateExistsInProject(configDir, name)) continue;
+        const result = tryAddTemplate(configDir, name);
+        if (!result.success) {
+          console.log(`  [watch] Config error: ${result.message}\n`);
+          return;
+        }
+        console.log(`  [watch] ${result.message}`);
+      }
+
+      if (!options.skipValidation) {
+        printConfigValidation(validateConfig(config, configDir), template);
+      }
+
+      state.config = config;
+      console.log('  [watch] Config reloaded');
+    }
+
+    const { deviceKeys, locales } = resolveTargets(state.config, options);
+    const activeLocales = locales.filter(locale => !locale || state.config.locales?.[locale]);
+
+    // Re-resolve sources - a device-specific file may have been added or removed
+    cache.invalidateHashes();
+    const previousJobs = new Map(state.jobs.map(job => [job.cacheKey, job]));
+    const jobs = buildRenderJobs(state.config, configDir, deviceKeys, activeLocales, template, {
+      optimize: options.optimize,
+      textLayout: !options.skipValidation,
+      contrast: !options.skipValidation,
+      debugLayout: options.debugLayout
+    });
+    state.jobs = jobs;
+
+    const inputDirs = getInputDirs(jobs, configDir, watchPaths);
+    if (inputDirs.length > 0) {
+      watcher.add(inputDirs);
+      watchPaths.push(...inputDirs);
+    }
+
+    // Sources that don't exist yet are reported and skipped rather than rendered blank
+    const missing = findMissingSources(state.config, deviceKeys, configDir, activeLocales);
+    if (missing.length > 0) {
+      console.log('  [watch] Skipping screenshots with missing sources:');
+      printMissingSources(missing);
+      console.log();
+    }
+    const missingKeys = new Set(missing.map(m => [m.locale, m.device, m.id].filter(Boolean).join('/')));
+
+    // A config change can touch any render - the cache narrows it down to the
+    // jobs whose resolved inputs actually changed
+    const affected = jobs.filter(job =>
+      !missingKeys.has(job.cacheKey) &&
+      (configChanged || isJobAffected(job, previousJobs.get(job.cacheKey), changes, configDir))
+    );
+
+    if (affected.length === 0) {
+      console.log('  [watch] No screenshots affected\n');
+      return;
+    }
+
+    const { rendered } = await renderWithCache(session, affected, cache, { configDir, concurrency, readyTimeout });
+    console.log(rendered === 0
+      ? '  [watch] Outputs unchanged\n'
+      : `\n  [watch] Rebuilt ${rendered} screenshot${rendered === 1 ? '' : 's'}\n`);
+
+    if (options.verify) {
+      await verifyJobOutputs(affected);
+    }
+  };
+
+  // Changes arriving mid-render are batched into a single follow-up run
+  const drain = async () => {
+    while (queued.length > 0) {
+      const changes = queued;
+      queued = [];
+      try {
+        await processChanges(changes);
+      } catch (err) {
+        console.log(`  [watch] Render failed: ${err.message}\n`);
+      }
+    }
+    running = null;
+  };
+
+  watcher.on('change', ({ type, path }) => {
+    // Translation files are part of the config wherever they live
+    const category = state.localeFiles.includes(path) ? 'config' : categorizeChange(path, configDir);
+    const relativePath = path.replace(configDir, '').replace(/^[\/\\]/, '');
+
+    console.log(`  [watch] ${type}: ${relativePath}`);
+
+    queued.push({ path, category });
+    if (!running) {
+      running = drain();
+    }
+  });
+
+  watcher.on('error', (err) => {
+    console.log(`  [watch] Error: ${err.message}`);
+  });
+
+  watcher.on('ready', () => {
+    console.log('  [watch] Watching for changes... Press Ctrl+C to stop\n');
+  });
+
+  const shutdown = async () => {
+    console.log('\n  Shutting down...');
+    watcher.stop();
+    await running;
+    await session.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Keys in a screenshot entry that storepix interprets itself.
+ * Everything else is passed to the template as custom content.
+ */
+const RESERVED_KEYS = new Set([
+  'id', 'source', 'sourceFit', 'theme', 'layout', 'slices',
+  'headline', 'subheadline', 'headlines', 'subheadlines',
+  'background', 'logo', 'annotations', 'overrides', 'template'
+]);
+
+/**
+ * Build the list of render jobs (one per device × locale × screenshot)
+ *
+ * Jobs are returned in a stable order (device, then locale, then screenshot)
+ * so output and progress numbering are deterministic regardless of how many
+ * workers render them.
+ *
+ * @param {Object} config - Loaded storepix config
+ * @param {string} configDir - Config directory
+ * @param {string[]} deviceKeys - Devices to render
+ * @param {Array<string|null>} locales - Locales to render (null = no locale)
+ * @param {string} template - Template served at / (screenshots can choose another)
+ * @param {{ optimize?: boolean, textLayout?: boolean, contrast?: boolean, debugLayout?: boolean }} [flags] - CLI flags that affect rendering
+ *   textLayout/contrast: false skips those checks; debugLayout writes annotated images for renders with layout findings
+ * @returns {Array<Object>} Render jobs
+ */
+function buildRenderJobs(config, configDir, deviceKeys, locales, template, flags = {}) {
+  const jobs = [];
+  const outputRoot = config.output?.dir || './output';
+  const optimize = resolveOptimizeOptions(config.output?.optimize, flags.optimize);
+  const textLayout = flags.textLayout === false ? null : resolveTextLayoutRules(config.textLayout);
+  const contrast = flags.contrast === false ? null : resolveContrastOptions(config.contrast);
+
+  // Font size bounds for automatic text fitting, from each template's schema
+  const textFitBounds = new Map();
+  const getTextFit = (name) => {
+    if (!textFitBounds.has(name)) {
+      textFitBounds.set(name, getTextFitBounds(loadTemplateSchema(configDir, name)));
+    }
+    return textFitBounds.get(name);
+  };
+
+  for (const deviceKey of deviceKeys) {
+    const device = getDevice(deviceKey);
+    const outputFormat = resolveOutputFormat(config.output, deviceKey, device);
+
+    for (const locale of locales) {
+      const outputDir = join(configDir, outputRoot, locale || '', deviceKey);
+      const labelPrefix = [deviceKey, locale].filter(Boolean).join('/');
+
+      for (const baseScreenshot of config.screenshots) {
+        // Fields overridden for this device's platform, type or key
+        const screenshot = applyDeviceOverrides(baseScreenshot, deviceKey);
+
+        // Resolve locale/device-specific source path (skip for promotional devices)
+        let resolvedSource = '';
+        let isDeviceSpecific = false;
+        let isLocaleSpecific = false;
+        if (screenshot.source) {
+          const resolved = resolveSource(screenshot.source, deviceKey, configDir, {
+            locale,
+            sourceGroups: config.sourceGroups
           });
+          resolvedSource = resolved.resolvedPath;
+          isDeviceSpecific = resolved.isDeviceSpecific;
+          isLocaleSpecific = resolved.isLocaleSpecific;
+        }
+
+        // Determine number of slices (for panorama mode)
+        const slices = screenshot.slices || 1;
+
+        // Promotional assets (like the feature graphic) have a template of their own
+        const isPromotional = device.type === 'promotional';
+        const { name: jobTemplate, path: templatePath } = resolveScreenshotTemplate(screenshot, deviceKey, template);
 
-          // Add headlines/subheadlines arrays for panorama mode
-          if (isPanorama && headlines) {
-            params.set('headlines', JSON.stringify(headlines));
-          }
-          if (isPanorama && subheadlines) {
-            params.set('subheadlines', JSON.stringify(subheadlines));
-          }
-
-          // Add custom content for data-storepix bindings
-          if (Object.keys(customContent).length > 0) {
-            params.set('customContent', JSON.stringify(customContent));
-          }
-
-          // For promotional devices, use feature-graphic template directly
-          const templatePath = isPromotional ? '/templates/feature-graphic/index.html' : '';
-          const url = `${baseUrl}${templatePath}?${params.toString()}`;
-
-          // For panorama, we need a wider viewport
-          if (isPanorama) {
-            await page.setViewportSize({
-              width: device.width * slices,
-              height: device.height
-            });
-          }
-
-          await page.goto(url, { waitUntil: 'networkidle' });
-
-          // Wait for screenshot image to load with better error handling
-          // Skip for promotional assets which don't have screenshot images
-          if (!isPromotional) {
-            const imgSelector = '#screenshot-img';
-            try {
-              await page.waitForSelector(imgSelector, { state: 'visible', timeout: 5000 });
-            } catch {
-              console.log(`      Warning: Screenshot image element not found in template`);
-            }
-
-            const imageLoadResult = await page.evaluate(() => {
-              return new Promise((resolve) => {
-                const img = document.getElementById('screenshot-img');
-                if (!img) {
-                  resolve({ success: true, reason: 'no-img-element' });
-                  return;
-                }
-                if (img.complete && img.naturalWidth > 0) {
-                  resolve({ success: true, width: img.naturalWidth, height: img.naturalHeight });
-                } else if (img.complete && img.naturalWidth === 0) {
-                  resolve({ success: false, reason: 'image-load-failed' });
-                } else {
-                  img.onload = () => resolve({ success: true, width: img.naturalWidth, height: img.naturalHeight });
-                  img.onerror = () => resolve({ success: false, reason: 'image-load-error' });
-                }
-              });
-            });
-
-            if (!imageLoadResult.success) {
-              console.log(`      Warning: Failed to load image for ${screenshot.id}`);
-              console.log(`        Source: ${resolvedSource}`);
-            }
-          }
-
-          // Wait for status bar to load if enabled
-          if (config.statusBar?.enabled) {
-            await page.waitForTimeout(500);
-          }
-
-          // Small delay for any animations/rendering
-          await page.waitForTimeout(300);
-
-          if (isPanorama) {
-            // Capture full panorama and slice it
-            for (let i = 0; i < slices; i++) {
-              const sliceId = `${screenshot.id}-${i + 1}`;
-              const outputPath = join(outputBaseDir, `${sliceId}.png`);
-
-              await page.screenshot({
-                path: outputPath,
-                type: 'png',
-                clip: {
-                  x: i * device.width,
-                  y: 0,
-                  width: device.width,
-                  height: device.height
-                }
-              });
-
-              const stats = statSync(outputPath);
-              const sourceInfo = isDeviceSpecific ? ` [${resolvedSource}]` : '';
-              console.log(`      ${sliceId}.png (${(stats.size / 1024).toFixed(0)} KB)${sourceInfo}`);
-              totalGenerated++;
-            }
-
-            // Reset viewport to normal size for next screenshot
-            await page.setViewportSize({
-              width: device.width,
-              height: device.height
-            });
-          } else {
-            // Normal single screenshot
-            const outputPath = join(outputBaseDir, `${screenshot.id}.png`);
-            await page.screenshot({
-              path: outputPath,
-              type: 'png',
-              clip: { x: 0, y: 0, width: device.width, height: device.height }
-            });
-
-            const stats = statSync(outputPath);
-            const sourceInfo = isDeviceSpecific ? ` [${resolvedSource}]` : '';
-            console.log(`      ${screenshot.id}.png (${(stats.size / 1024).toFixed(0)} KB)${sourceInfo}`);
-            totalGenerated++;
-          }
+        const params = buildRenderParams(config, screenshot, locale, deviceKey, resolvedSource, getTextFit(jobTemplate));
+
+        // Panorama renders one wide page and clips each slice out of it.
+        // RTL store listings read right to left, so slice 1 is the rightmost part.
+        const rtl = getTextDirection(locale) === 'rtl';
+        const outputs = [];
+        for (let i = 0; i < slices; i++) {
+          const name = slices > 1 ? `${screenshot.id}-${i + 1}` : screenshot.id;
+          const file = `${name}.${outputFormat.extension}`;
+          const position = rtl ? slices - 1 - i : i;
+          outputs.push({
+            file,
+            path: join(outputDir, file),
+            label: `${labelPrefix}/${file}`,
+            clip: { x: position * device.width, y: 0, width: device.width, height: device.height }
+          });
         }
+
+        // Files referenced by the render, hashed for the incremental cache
+        const inputFiles = [resolvedSource, screenshot.background, screenshot.logo].filter(Boolean);
+
+        jobs.push({
+          cacheKey: [locale, deviceKey, screenshot.id].filter(Boolean).join('/'),
+          template: jobTemplate,
+          inputFiles,
+          deviceKey,
+          device,
+          locale,
+          screenshot,
+          resolvedSource,
+          isDeviceSpecific,
+          isLocaleSpecific,
+          isPromotional,
+          statusBar: config.statusBar?.enabled ?? false,
+          path: `${templatePath}?${params.toString()}`,
+          viewport: { width: device.width * slices, height: device.height },
+          format: outputFormat.format,
+          quality: outputFormat.quality,
+          // Optimization only applies to PNG output
+          optimize: outputFormat.format === 'png' ? optimize : null,
+          textLayout,
+          contrast,
+          debugLayoutPath: textLayout && flags.debugLayout
+            ? join(configDir, outputRoot, 'debug', locale || '', deviceKey, `${screenshot.id}.png`)
+            : null,
+          outputDir,
+          outputs
+        });
       }
+    }
+  }
 
-      await context.close();
+  return jobs;
+}
+
+/**
+ * Build template URL parameters for a single screenshot render
+ * @param {Object} config - Loaded storepix config
+ * @param {Object} screenshot - Screenshot entry, with the device's overrides applied
+ * @param {string|null} locale - Locale being rendered
+ * @param {string} deviceKey - Device being rendered
+ * @param {string} resolvedSource - Resolved source path
+ * @param {Object} [textFit] - Font size bounds from the template schema (see getTextFitBounds)
+ * @returns {URLSearchParams}
+ */
+function buildRenderParams(config, screenshot, locale, deviceKey, resolvedSource, textFit = {}) {
+  const device = getDevice(deviceKey);
+
+  // Get localized text, following the locale's fallback chain (e.g. de-AT → de → base),
+  // then the locale's own per-device overrides
+  const localized = applyDeviceOverrides(resolveLocalizedScreenshot(config, screenshot, locale).values, deviceKey);
+  const { headline, subheadline, headlines, subheadlines, annotations } = localized;
+
+  // Collect custom content (any keys not reserved by storepix)
+  const customContent = {};
+  for (const [key, value] of Object.entries(localized)) {
+    if (!RESERVED_KEYS.has(key)) {
+      customContent[key] = value;
     }
+  }
+
+  const slices = screenshot.slices || 1;
+  const isPanorama = slices > 1;
+
+  // Use relative path for screenshot so it's served via HTTP
+  const params = new URLSearchParams({
+    screenshot: resolvedSource || '',
+    background: screenshot.background || '',
+    headline: headline || '',
+    subheadline: subheadline || '',
+    logo: screenshot.logo || '',
+    theme: screenshot.theme || 'light',
+    layout: screenshot.layout || 'top',
+    // Pass device info for CSS scaling
+    deviceWidth: device.width.toString(),
+    deviceHeight: device.height.toString(),
+    // Pass device frame info for template customization
+    platform: device.platform || 'ios',
+    notchType: device.frame?.notch?.type || 'none',
+    notchWidth: (device.frame?.notch?.width || 0).toString(),
+    notchHeight: (device.frame?.notch?.height || 0).toString(),
+    hasHomeButton: (device.frame?.homeButton || false).toString(),
+    // Panorama/slicing
+    slices: slices.toString(),
+    // Status bar configuration
+    statusBar: (config.statusBar?.enabled ?? false).toString(),
+    statusBarTime: config.statusBar?.time || '9:41',
+    statusBarBattery: (config.statusBar?.battery ?? 100).toString(),
+    statusBarShowPercent: (config.statusBar?.showBatteryPercent ?? true).toString(),
+    statusBarStyle: config.statusBar?.style || 'auto',
+    // Pass theme variables
+    ...(config.theme && { themeJson: JSON.stringify(config.theme) })
+  });
+
+  // Language and text direction, so templates can set <html lang dir> and mirror
+  if (locale) {
+    params.set('lang', locale);
+    params.set('dir', getTextDirection(locale));
+  }
+
+  // Add headlines/subheadlines arrays for panorama mode
+  if (isPanorama && headlines) {
+    params.set('headlines', JSON.stringify(headlines));
+  }
+  if (isPanorama && subheadlines) {
+    params.set('subheadlines', JSON.stringify(subheadlines));
+  }
+
+  // Non-strict fit policies change how the template sizes the source image
+  const sourceFit = resolveSourceFit(config.sourceFit, screenshot.sourceFit);
+  if (sourceFit.mode !== 'strict') {
+    params.set('sourceFit', sourceFit.mode);
+  }
+
+  // Overlays drawn over the device screen (promotional graphics have none)
+  if (Array.isArray(annotations) && annotations.length > 0 && device.type !== 'promotional') {
+    params.set('annotations', JSON.stringify(annotations));
+  }
+
+  // Add custom content for data-storepix bindings
+  if (Object.keys(customContent).length > 0) {
+    params.set('customContent', JSON.stringify(customContent));
+  }
+
+  // Font size bounds so the template can shrink text that would overflow
+  if (Object.keys(textFit).length > 0) {
+    params.set('textFit', JSON.stringify(textFit));
+  }
+
+  return params;
+}
+
+/**
+ * Render a single job on a worker page and write its output file(s)
+ * @param {import('playwright').Page} page - Worker page
+ * @param {string} baseUrl - Local server URL
+ * @param {Object} job - Render job from buildRenderJobs
+ * @param {{ readyTimeout: number }} options
+ * @returns {Promise<{ outputs: Array<{ file: string, path: string, label: string, size: number, originalSize?: number }>, protocol: string, issues: Array<Object>, debugImage: string|null }>}
+ */
+async function renderJob(page, baseUrl, job, { readyTimeout }) {
+  const url = `${baseUrl}${job.path}`;
+  const diagnostics = collectPageDiagnostics(page);
+  let readiness;
+  let pageIssues;
+
+  try {
+    await page.setViewportSize(job.viewport);
+    await page.goto(url, { waitUntil: 'load', timeout: readyTimeout });
+
+    // Wait for the template to signal it's ready (fonts, images, status bar)
+    readiness = await waitForTemplateReady(page, { timeout: readyTimeout, statusBar: job.statusBar });
   } finally {
-    await browser.close();
-    server.close();
+    pageIssues = diagnostics.stop();
+  }
+
+  if (!readiness.ready) {
+    // Errors collected so far usually explain why the template never got ready
+    const details = pageIssues.map(issue => `\n      ${issue.message}`).join('');
+    throw new Error(`${job.outputs[0].label}: ${readiness.error}${details}`);
+  }
+
+  const issues = addTextFitIssues(addFailedImages(pageIssues, readiness.failedImages, url), readiness.unfitText);
+
+  // Clipped, truncated and overflowing text, and text over the device frame
+  let findings = [];
+  if (job.textLayout) {
+    findings = await measureTextLayout(page, {
+      sliceWidth: job.device.width,
+      slices: job.outputs.length,
+      rtl: getTextDirection(job.locale) === 'rtl'
+    });
+    issues.push(...getTextLayoutIssues(findings, job.textLayout));
+  }
+
+  // Browser screenshots are RGBA - PNGs are flattened onto the template background
+  const background = job.format === 'png' ? await getPageBackground(page) : null;
+
+  const outputs = [];
+  for (const output of job.outputs) {
+    await captureScreenshot(page, output.path, {
+      format: job.format,
+      quality: job.quality,
+      clip: output.clip
+    });
+
+    if (background) {
+      await flattenPngFile(output.path, background);
+    }
+
+    if (job.optimize) {
+      const { originalSize, size } = await optimizePngFile(output.path, job.optimize);
+      outputs.push({ ...output, size, originalSize });
+    } else {
+      outputs.push({ ...output, size: statSync(output.path).size });
+    }
+  }
+
+  // Text against what's actually behind it, per theme (the page is final now)
+  if (job.contrast) {
+    const results = await measureContrast(page, { sliceWidth: job.device.width });
+    issues.push(...getContrastIssues(results, job.contrast, job.screenshot.theme || 'light'));
+  }
+
+  // Annotated copy of the page, only for renders with something to show
+  let debugImage = null;
+  if (job.debugLayoutPath && issues.some(issue => issue.type === 'layout')) {
+    mkdirSync(dirname(job.debugLayoutPath), { recursive: true });
+    await writeLayoutDebugImage(page, findings, job.textLayout, job.debugLayoutPath);
+    debugImage = job.debugLayoutPath;
   }
 
-  console.log(`\n  Done! Generated ${totalGenerated} screenshots.\n`);
+  return { outputs, protocol: readiness.protocol, issues, debugImage };
 }
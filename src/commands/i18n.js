@@ -0,0 +1,246 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, resolve, relative, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { readTranslationFile, writeXliff, writeCsv } from '../utils/i18n-formats.js';
+import { mapTranslationKeys, mergeLocaleEntries, loadLocaleFiles, collectTranslationUnits, getScreenshotKey, DEFAULT_KEY_PREFIX } from '../utils/i18n.js';
+import { createSchemaLookup } from '../utils/config-validation.js';
+import { getTranslationStatus, printTranslationStatus } from '../utils/i18n-status.js';
+
+/** Export formats and their file extensions */
+const EXPORT_FORMATS = { xliff: '.xlf', csv: '.csv' };
+
+/**
+ * Load the project config for an i18n command, exiting on errors
+ * @param {string} configOption - --config value
+ * @returns {Promise<{ config: Object, configPath: string, configDir: string }>}
+ */
+async function loadProjectConfig(configOption) {
+  const configPath = resolve(configOption);
+
+  if (!existsSync(configPath)) {
+    console.log(`  Error: Config file not found`);
+    console.log(`    Path: ${configPath}`);
+    console.log(`\n  Tip: Run "npx storepix init" to create a new project.\n`);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = (await import(pathToFileURL(configPath).href)).default;
+  } catch (err) {
+    console.log(`  Error: Failed to load config file`);
+    console.log(`    Path: ${configPath}`);
+    console.log(`    ${err.message}\n`);
+    process.exit(1);
+  }
+
+  return { config, configPath, configDir: dirname(configPath) };
+}
+
+/**
+ * Read the translation files config.locales points at, exiting on errors
+ * @param {Object} config - Loaded storepix config
+ * @param {string} configDir - Config directory
+ * @returns {ReturnType<typeof loadLocaleFiles>}
+ */
+function loadLocales(config, configDir) {
+  const loaded = loadLocaleFiles(config, configDir);
+  if (loaded.errors.length > 0) {
+    console.log(`  Error: Failed to load translation files`);
+    for (const error of loaded.errors) {
+      console.log(`    ${error}`);
+    }
+    console.log();
+    process.exit(1);
+  }
+  return loaded;
+}
+
+/**
+ * Import a translation file into a storepix locale file
+ *
+ * Screenshot strings are picked out of the file (see utils/i18n.js for the
+ * key format) and merged into the JSON file config.locales points at for
+ * that locale, or i18n/<locale>.json next to the config.
+ *
+ * @param {string} file - Translation file (.strings, strings.xml, .xlf/.xliff, .json, .csv)
+ * @param {Object} options
+ */
+export async function i18nImport(file, options) {
+  console.log('\n  storepix - Importing Translations\n');
+
+  const { config, configDir } = await loadProjectConfig(options.config);
+  const filePath = resolve(file);
+
+  if (!existsSync(filePath)) {
+    console.log(`  Error: Translation file not found`);
+    console.log(`    Path: ${filePath}\n`);
+    process.exit(1);
+  }
+
+  let translations;
+  try {
+    translations = readTranslationFile(filePath);
+  } catch (err) {
+    console.log(`  Error: Failed to read translation file`);
+    console.log(`    ${err.message}\n`);
+    process.exit(1);
+  }
+
+  const locale = options.locale || translations.locale;
+  if (!locale) {
+    console.log(`  Error: Can't tell which locale ${file} is for`);
+    console.log(`    Pass --locale (e.g., --locale de)\n`);
+    process.exit(1);
+  }
+  if (options.locale && translations.locale && translations.locale !== options.locale) {
+    console.log(`  ⚠ ${file} is translated to "${translations.locale}", importing as "${locale}"\n`);
+  }
+
+  const prefix = options.prefix ?? config.i18n?.prefix ?? DEFAULT_KEY_PREFIX;
+  const { locale: entries, mapped, unknown } = mapTranslationKeys(translations.entries, config.screenshots || [], { prefix });
+
+  if (mapped.length === 0) {
+    console.log(`  Error: No screenshot strings found in ${file}`);
+    console.log(`    Expected keys like ${getScreenshotKey(prefix, '<screenshot id>')}.headline (${translations.entries.size} keys read)\n`);
+    process.exit(1);
+  }
+
+  // Merge into the existing locale file so several sources can be imported
+  const current = config.locales?.[locale];
+  const configuredFile = typeof current === 'string' && extname(current).toLowerCase() === '.json' ? current : null;
+  const outPath = resolve(configDir, options.out || configuredFile || join('i18n', `${locale}.json`));
+  let existing = {};
+  if (existsSync(outPath)) {
+    try {
+      existing = JSON.parse(readFileSync(outPath, 'utf-8'));
+    } catch (err) {
+      console.log(`  Error: Failed to read existing locale file`);
+      console.log(`    Path: ${outPath}`);
+      console.log(`    ${err.message}\n`);
+      process.exit(1);
+    }
+  }
+  const merged = mergeLocaleEntries(existing, entries);
+
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, JSON.stringify(merged, null, 2) + '\n');
+
+  const screenshotCount = Object.keys(entries).length;
+  console.log(`  Format: ${translations.format}`);
+  console.log(`  Locale: ${locale}`);
+  console.log(`  Imported: ${mapped.length} string(s) for ${screenshotCount} screenshot(s)`);
+  if (translations.untranslated.length > 0) {
+    console.log(`  Untranslated: ${translations.untranslated.length} unit(s) without a target`);
+  }
+  if (unknown.length > 0) {
+    console.log(`\n  ⚠ ${unknown.length} key(s) don't match a screenshot id:`);
+    for (const key of unknown) {
+      console.log(`    ${key}`);
+    }
+  }
+
+  const relativeOut = `./${relative(configDir, outPath).split('\\').join('/')}`;
+  console.log(`\n  Written: ${relativeOut}`);
+
+  if (typeof current !== 'string' || resolve(configDir, current) !== outPath) {
+    console.log('\n  Use it in storepix.config.js:');
+    console.log(`    locales: { '${locale}': '${relativeOut}' }`);
+  }
+  console.log();
+}
+
+/**
+ * Export screenshot strings for translators as XLIFF or CSV
+ *
+ * Writes one file per locale with the base text as source, any existing
+ * translation as target, and the screenshot id, field description and
+ * maximum length as context. Translated files go back in with i18n import.
+ *
+ * @param {Object} options
+ */
+export async function i18nExport(options) {
+  console.log('\n  storepix - Exporting Translations\n');
+
+  const { config: rawConfig, configDir } = await loadProjectConfig(options.config);
+
+  const format = (options.format || 'xliff').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    console.log(`  Error: Unknown format "${options.format}"`);
+    console.log(`    Available: ${Object.keys(EXPORT_FORMATS).join(', ')}\n`);
+    process.exit(1);
+  }
+
+  const { config } = loadLocales(rawConfig, configDir);
+
+  const sourceLocale = options.sourceLocale || config.i18n?.sourceLocale || 'en';
+  const locales = options.locale
+    ? [options.locale]
+    : Object.keys(config.locales || {}).filter(locale => locale !== sourceLocale);
+
+  if (locales.length === 0) {
+    console.log('  Error: No locales to export');
+    console.log('    Pass --locale (e.g., --locale fr) or add locales to storepix.config.js\n');
+    process.exit(1);
+  }
+  if (options.out && locales.length > 1) {
+    console.log('  Error: --out needs a single --locale');
+    console.log(`    Exporting ${locales.join(', ')} - omit --out to write i18n/export/<locale>${EXPORT_FORMATS[format]}\n`);
+    process.exit(1);
+  }
+
+  const getSchema = createSchemaLookup(configDir, options.template || config.template || 'default');
+
+  console.log(`  Format: ${format}`);
+  console.log(`  Source: ${sourceLocale}\n`);
+
+  for (const locale of locales) {
+    const units = collectTranslationUnits(config, getSchema, locale);
+    const content = format === 'csv'
+      ? writeCsv(units)
+      : writeXliff(units, { sourceLocale, targetLocale: locale });
+
+    const outPath = resolve(configDir, options.out || join('i18n', 'export', `${locale}${EXPORT_FORMATS[format]}`));
+    mkdirSync(dirname(outPath), { recursive: true });
+    writeFileSync(outPath, content);
+
+    const translated = units.filter(unit => unit.target).length;
+    console.log(`  ${locale}: ${units.length} string(s), ${translated} already translated → ./${relative(configDir, outPath).split('\\').join('/')}`);
+  }
+
+  console.log('\n  Import translated files with:');
+  console.log(`    npx storepix i18n import <file>${format === 'csv' ? ' --locale <locale>' : ''}\n`);
+}
+
+/**
+ * Show which strings are translated in each locale
+ *
+ * Prints a screenshot string × locale matrix, or the full status as JSON
+ * with --json. With --strict, exits with an error when anything is missing
+ * or a locale refers to an unknown screenshot.
+ *
+ * @param {Object} options
+ */
+export async function i18nStatus(options) {
+  if (!options.json) {
+    console.log('\n  storepix - Translation Status\n');
+  }
+
+  const { config: rawConfig, configDir } = await loadProjectConfig(options.config);
+
+  const loaded = loadLocales(rawConfig, configDir);
+  const config = loaded.config;
+
+  const getSchema = createSchemaLookup(configDir, options.template || config.template || 'default');
+  const status = getTranslationStatus(config, getSchema, { unknownKeys: loaded.unknownKeys });
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    printTranslationStatus(status);
+  }
+
+  if (options.strict && !status.complete) {
+    process.exit(1);
+  }
+}
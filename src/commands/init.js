@@ -131,7 +131,7 @@ export default {
   // Output settings
   output: {
     dir: './output',
-    format: 'png',
+    format: 'png',  // 'png', 'jpeg' or 'webp' (quality: 1-100 for jpeg/webp)
   },
 
   // Device sizes to generate
@@ -4,7 +4,10 @@ import { resolve, dirname, join } from 'path';
 import { pathToFileURL } from 'url';
 import handler from 'serve-handler';
 import { devices, getDevice, defaultDevice } from '../devices/index.js';
-import { templateExistsInProject, tryAddTemplate, getAvailableTemplates } from '../utils/template-helper.js';
+import { templateExistsInProject, tryAddTemplate, getAvailableTemplates, serveContentHelper } from '../utils/template-helper.js';
+import { waitForTemplateReady } from '../utils/readiness.js';
+import { loadTemplateSchema, getTextFitBounds } from '../utils/config-validation.js';
+import { applyDeviceOverrides } from '../utils/device-overrides.js';
 
 // SSE clients for watch mode
 let sseClients = [];
@@ -99,6 +102,25 @@ async function openBrowserWindow(url, device, slices = 1) {
     });
 
     const page = await context.newPage();
+
+    // Report readiness problems on every load (including watch mode reloads)
+    page.on('load', async () => {
+      try {
+        const readiness = await waitForTemplateReady(page);
+        if (!readiness.ready) {
+          console.log(`  Warning: ${readiness.error}`);
+        }
+        for (const src of readiness.failedImages) {
+          console.log(`  Warning: Failed to load image: ${src}`);
+        }
+        for (const { field, text, min } of readiness.unfitText) {
+          console.log(`  Warning: ${field} "${text}" doesn't fit even at ${min}px`);
+        }
+      } catch {
+        // Page navigated away or browser closed mid-check
+      }
+    });
+
     await page.goto(url);
 
     // Keep browser open - return cleanup function
@@ -202,6 +224,11 @@ export async function preview(options) {
       }
     }
 
+    // Shared helper script falls back to the installed package
+    if (serveContentHelper(req, res, configDir)) {
+      return;
+    }
+
     // Default file serving
     try {
       await handler(req, res, {
@@ -213,8 +240,6 @@ export async function preview(options) {
           { source: '/index.html', destination: `/templates/${template}/index.html` },
           // Serve template assets (CSS, JS, images) from template directory
           { source: '/styles.css', destination: `/templates/${template}/styles.css` },
-          // Custom content helper script
-          { source: '/storepix-content.js', destination: '/templates/storepix-content.js' },
           { source: '/status-bar/**', destination: `/templates/status-bar/**` },
         ]
       });
@@ -277,18 +302,20 @@ export async function preview(options) {
 
   // Determine which device to use for browser window
   let selectedDevice = null;
+  let selectedDeviceKey = null;
   if (shouldOpen) {
     if (deviceKey) {
-      selectedDevice = getDevice(deviceKey);
+      selectedDeviceKey = devices[deviceKey] ? deviceKey : defaultDevice;
       if (!devices[deviceKey]) {
         console.log(`\n  Warning: Unknown device "${deviceKey}", using ${defaultDevice}`);
       }
     } else if (config.devices && config.devices.length > 0) {
       // Use first device from config
-      selectedDevice = getDevice(config.devices[0]);
+      selectedDeviceKey = config.devices[0];
     } else {
-      selectedDevice = getDevice(defaultDevice);
+      selectedDeviceKey = defaultDevice;
     }
+    selectedDevice = getDevice(selectedDeviceKey);
   }
 
   let closeBrowser = null;
@@ -306,7 +333,10 @@ export async function preview(options) {
     let previewUrl = `http://localhost:${port}`;
     let previewSlices = 1;
     if (config.screenshots && config.screenshots.length > 0) {
-      const s = config.screenshots[0];
+      // With the selected device's overrides, when there is one
+      const s = selectedDeviceKey
+        ? applyDeviceOverrides(config.screenshots[0], selectedDeviceKey)
+        : config.screenshots[0];
       previewSlices = s.slices || 1;
 
       const params = new URLSearchParams({
@@ -329,6 +359,11 @@ export async function preview(options) {
         }
       }
 
+      // Arrows, circles, spotlights and callouts over the screenshot
+      if (Array.isArray(s.annotations) && s.annotations.length > 0) {
+        params.set('annotations', JSON.stringify(s.annotations));
+      }
+
       // Add device parameters if opening browser
       if (shouldOpen && selectedDevice) {
         const device = selectedDevice;
@@ -356,6 +391,12 @@ export async function preview(options) {
       // For promotional devices, use feature-graphic template directly
       const isPromotional = selectedDevice?.type === 'promotional';
       const templatePath = isPromotional ? '/templates/feature-graphic/index.html' : '';
+
+      // Font size bounds for automatic text fitting
+      const textFit = getTextFitBounds(loadTemplateSchema(configDir, isPromotional ? 'feature-graphic' : template));
+      if (Object.keys(textFit).length > 0) {
+        params.set('textFit', JSON.stringify(textFit));
+      }
       previewUrl = `http://localhost:${port}${templatePath}?${params.toString()}`;
       const panoramaInfo = previewSlices > 1 ? ` (${previewSlices}-slice panorama)` : '';
       console.log(`  Preview first screenshot${panoramaInfo}:`);
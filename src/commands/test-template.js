@@ -1,11 +1,14 @@
 import { chromium } from 'playwright';
 import { createServer } from 'http';
-import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
 import { join, dirname, resolve } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import handler from 'serve-handler';
 import { devices, deviceList, getDevice } from '../devices/index.js';
-import { getAvailableTemplates } from '../utils/template-helper.js';
+import { getAvailableTemplates, serveContentHelper } from '../utils/template-helper.js';
+import { waitForTemplateReady, parseReadyTimeout } from '../utils/readiness.js';
+import { getTextDirection } from '../utils/locales.js';
+import { getTextFitBounds } from '../utils/config-validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -93,6 +96,11 @@ function startServer(templatesDir, mockDir, template) {
         });
       }
 
+      // The shared helper next to the templates, with the markup parser
+      if (serveContentHelper(req, res, dirname(templatesDir))) {
+        return;
+      }
+
       // Serve templates
       await handler(req, res, {
         public: templatesDir,
@@ -180,10 +188,11 @@ async function generateMockScreenshot(page, device, deviceKey, outputPath) {
 /**
  * Render a single variant for a device
  */
-async function renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, variant) {
+async function renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, variant, readyTimeout, textFit = {}) {
   const device = getDevice(deviceKey);
   const slices = variant.slices || 1;
   const isPanorama = slices > 1;
+  const rtl = getTextDirection(variant.locale) === 'rtl';
 
   const viewportWidth = device.width * slices;
   const viewportHeight = device.height;
@@ -211,6 +220,22 @@ async function renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, va
     hasHomeButton: (device.frame?.homeButton || false).toString(),
   });
 
+  // Language and text direction (variant.locale, e.g. 'ar' for RTL)
+  if (variant.locale) {
+    params.set('lang', variant.locale);
+    params.set('dir', rtl ? 'rtl' : 'ltr');
+  }
+
+  // Font size bounds from the template schema, for automatic text fitting
+  if (Object.keys(textFit).length > 0) {
+    params.set('textFit', JSON.stringify(textFit));
+  }
+
+  // Annotation overlays (variant.annotations, in mock screenshot pixels)
+  if (variant.annotations) {
+    params.set('annotations', JSON.stringify(variant.annotations));
+  }
+
   // Add headlines/subheadlines arrays for panorama mode
   if (isPanorama && variant.headlines) {
     params.set('headlines', JSON.stringify(variant.headlines));
@@ -219,14 +244,25 @@ async function renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, va
     params.set('subheadlines', JSON.stringify(variant.subheadlines));
   }
 
-  await pg.goto(`${baseUrl}?${params.toString()}`, { waitUntil: 'networkidle' });
-  await pg.waitForTimeout(500);
+  await pg.goto(`${baseUrl}?${params.toString()}`, { waitUntil: 'load', timeout: readyTimeout });
+
+  // Capture anyway on failure - the gallery shows what went wrong
+  const readiness = await waitForTemplateReady(pg, { timeout: readyTimeout });
+  if (!readiness.ready) {
+    process.stdout.write(`\x1b[2K\r`);
+    console.log(`    Warning: ${variant.name}/${deviceKey}: ${readiness.error}`);
+  }
+  for (const { field, text, min } of readiness.unfitText) {
+    process.stdout.write(`\x1b[2K\r`);
+    console.log(`    Warning: ${variant.name}/${deviceKey}: ${field} "${text}" doesn't fit even at ${min}px`);
+  }
 
   const results = [];
 
   if (isPanorama) {
-    // Capture each slice
+    // Capture each slice (right to left for RTL, matching generate)
     for (let i = 0; i < slices; i++) {
+      const position = rtl ? slices - 1 - i : i;
       const filename = `${variant.name}-${deviceKey}-${i + 1}.png`;
       const outputPath = join(renderDir, filename);
 
@@ -234,7 +270,7 @@ async function renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, va
         path: outputPath,
         type: 'png',
         clip: {
-          x: i * device.width,
+          x: position * device.width,
           y: 0,
           width: device.width,
           height: device.height
@@ -295,6 +331,8 @@ function generateGalleryHtml(template, variants, results, deviceCount, outputDir
     if (variant.theme) variantDesc.push(`theme: ${variant.theme}`);
     if (variant.layout) variantDesc.push(`layout: ${variant.layout}`);
     if (variant.slices) variantDesc.push(`slices: ${variant.slices}`);
+    if (variant.locale) variantDesc.push(`locale: ${variant.locale}`);
+    if (variant.annotations) variantDesc.push(`annotations: ${variant.annotations.length}`);
 
     // Determine device type for filtering
     const getDeviceType = (deviceKey) => {
@@ -682,6 +720,13 @@ export async function testTemplate(template, options) {
   const outputDir = resolve(options.output || './.storepix-test');
   const shouldOpen = options.open !== false;
 
+  const readyTimeout = parseReadyTimeout(options.readyTimeout);
+  if (readyTimeout === null) {
+    console.log(`\n  Error: Invalid --ready-timeout value "${options.readyTimeout}"`);
+    console.log(`    Expected a positive number of milliseconds.\n`);
+    process.exit(1);
+  }
+
   // Validate device if specified via CLI
   if (options.device && !devices[options.device]) {
     console.log(`\n  Error: Unknown device "${options.device}"`);
@@ -697,6 +742,10 @@ export async function testTemplate(template, options) {
   const testConfig = await loadTestConfig(template);
   const variants = testConfig.variants;
 
+  // Font size bounds for automatic text fitting
+  const schemaPath = join(packageTemplatesDir, template, 'schema.json');
+  const textFit = existsSync(schemaPath) ? getTextFitBounds(JSON.parse(readFileSync(schemaPath, 'utf-8'))) : {};
+
   // CLI device flag overrides config
   const deviceKeys = options.device ? [options.device] : testConfig.devices;
 
@@ -752,7 +801,7 @@ export async function testTemplate(template, options) {
     let totalRendered = 0;
     for (const variant of variants) {
       for (const deviceKey of deviceKeys) {
-        const variantResults = await renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, variant);
+        const variantResults = await renderVariant(browser, baseUrl, mockDir, renderDir, deviceKey, variant, readyTimeout, textFit);
         results.push(...variantResults);
         totalRendered += variantResults.length;
         const progress = Math.round((totalRendered / totalExpectedImages) * 100);
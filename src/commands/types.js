@@ -87,7 +87,13 @@ function generateTypeDefinitions(templateName, schema) {
 export type StorepixDevice =
   | 'iphone-6.9' | 'iphone-6.7' | 'iphone-6.5' | 'iphone-6.3' | 'iphone-6.1' | 'iphone-5.5' | 'iphone-4.7'
   | 'ipad-13' | 'ipad-12.9' | 'ipad-11'
-  | 'android-phone' | 'android-tablet-7' | 'android-tablet-10' | 'android-wear';
+  | 'android-phone' | 'android-tablet-7' | 'android-tablet-10' | 'android-wear' | 'android-feature-graphic';
+
+/** Device types (first part of the device key) */
+export type StorepixDeviceType = 'iphone' | 'ipad' | 'android';
+
+/** Platforms */
+export type StorepixPlatform = 'ios' | 'android';
 
 /** Screenshot theme */
 export type StorepixThemeMode = 'light' | 'dark';
@@ -110,6 +116,10 @@ export interface StorepixTheme {
   homeIndicatorLight?: string;
   /** Home indicator color for dark theme */
   homeIndicatorDark?: string;
+  /** Color of **accent** words in headlines (defaults to primary) */
+  accentColor?: string;
+  /** Default color of annotation arrows, circles and callouts */
+  annotationColor?: string;
 }
 
 /** Status bar configuration */
@@ -126,43 +136,144 @@ export interface StorepixStatusBar {
   style?: StorepixStatusBarStyle;
 }
 
+/** Output image format ('jpg' is accepted as an alias for 'jpeg') */
+export type StorepixOutputFormat = 'png' | 'jpeg' | 'jpg' | 'webp';
+
+/** Output format settings (overridable per store and per device) */
+export interface StorepixOutputFormatSettings {
+  /** Image format */
+  format?: StorepixOutputFormat;
+  /** Quality for JPEG and WebP (1-100, default 90) */
+  quality?: number;
+}
+
 /** Output configuration */
-export interface StorepixOutput {
+export interface StorepixOutput extends StorepixOutputFormatSettings {
   /** Output directory (relative to config) */
   dir?: string;
-  /** Output format */
-  format?: 'png';
+  /** Format overrides per store (device platform) */
+  stores?: Partial<Record<'ios' | 'android', StorepixOutputFormatSettings>>;
+  /** Format overrides per device (take precedence over stores) */
+  devices?: Partial<Record<StorepixDevice, StorepixOutputFormatSettings>>;
+  /** Optimize generated PNGs (true = lossless) */
+  optimize?: boolean | StorepixOptimize;
+}
+
+/** PNG optimization settings */
+export interface StorepixOptimize {
+  /** Reduce to a palette when that's smaller (lossy) */
+  quantize?: boolean;
+  /** Palette size when quantizing (2-256, default 256) */
+  colors?: number;
+}
+
+/** How sources that don't match the device size are fitted */
+export type StorepixSourceFitMode = 'strict' | 'scale' | 'cover' | 'contain';
+
+/** Source fit policy */
+export interface StorepixSourceFit {
+  /** Fit mode (default 'strict') */
+  mode?: StorepixSourceFitMode;
+  /** Largest relative aspect ratio difference accepted (default 0.02) */
+  tolerance?: number;
+}
+
+/** How a text layout problem is reported */
+export type StorepixTextLayoutSeverity = 'error' | 'warning' | 'off';
+
+/** Text layout check severities */
+export interface StorepixTextLayout {
+  /** Text cut off by the page edge, a container or a panorama seam (default 'warning') */
+  clipped?: StorepixTextLayoutSeverity;
+  /** Text cut off inside its own element (default 'warning') */
+  truncated?: StorepixTextLayoutSeverity;
+  /** Text spilling out of its own element's box (default 'warning') */
+  overflow?: StorepixTextLayoutSeverity;
+  /** Text drawn over the device frame (default 'warning') */
+  overlap?: StorepixTextLayoutSeverity;
+}
+
+/** WCAG conformance level for the contrast check */
+export type StorepixContrastLevel = 'AA' | 'AAA';
+
+/** Contrast check thresholds */
+export interface StorepixContrast {
+  /** WCAG level whose ratios apply (default 'AA') */
+  level?: StorepixContrastLevel;
+  /** Minimum ratio for normal text (AA 4.5, AAA 7) */
+  normal?: number;
+  /** Minimum ratio for large text (AA 3, AAA 4.5) */
+  large?: number;
+  /** Report low contrast as an error (fails generate) or a warning (default) */
+  severity?: 'error' | 'warning';
 }
 
+/** Annotation overlay (x/y in source screenshot pixels) */
+export type StorepixAnnotation =
+  | { type: 'arrow'; x: number; y: number; from: { x: number; y: number }; color?: string; strokeWidth?: number; id?: string }
+  | { type: 'circle'; x: number; y: number; radius?: number; color?: string; strokeWidth?: number; id?: string }
+  | { type: 'spotlight'; x: number; y: number; radius?: number; width?: number; height?: number; opacity?: number; id?: string }
+  | { type: 'callout'; x: number; y: number; text: string; position?: 'top' | 'bottom' | 'left' | 'right'; color?: string; id?: string };
+
+/** Screenshot fields changed per device (platform, then device type, then device key - most specific wins) */
+export type StorepixOverrides = Partial<Record<StorepixPlatform | StorepixDeviceType | StorepixDevice, Partial<Omit<StorepixScreenshot, 'id' | 'overrides'>>>>;
+
+/** Bundled templates (project templates can have any name) */
+export type StorepixTemplateName = 'default' | 'minimal' | 'photo' | 'panorama' | 'feature-graphic' | (string & {});
+
+/** Values of custom content fields, and of fields used by other templates in the set */
+export type StorepixFieldValue = string | number | boolean | string[] | StorepixAnnotation[] | StorepixOverrides | undefined;
+
 /** Base screenshot configuration (all templates) */
 export interface StorepixScreenshotBase {
   /** Unique identifier for this screenshot (used in output filename) */
   id: string;
   /** Path to source screenshot image (relative to config directory) */
   source: string;
+  /** Fit mode for this screenshot's source (overrides config.sourceFit) */
+  sourceFit?: StorepixSourceFitMode;
+  /** Template for this screenshot (overrides config.template, e.g. 'panorama' for a hero pair) */
+  template?: StorepixTemplateName;
   /** Color theme for background and text */
   theme?: StorepixThemeMode;
   /** Position of headline relative to device */
   layout?: StorepixLayout;
-  /** Main marketing headline */
+  /** Main marketing headline (supports **accent**, *emphasis*, &nbsp; and line breaks) */
   headline?: string;
-  /** Secondary text below headline */
+  /** Secondary text below headline (same markup as headline) */
   subheadline?: string;
+  /** Arrows, circles, spotlights and callouts drawn over the app screenshot */
+  annotations?: StorepixAnnotation[];
+  /** Fields that differ on some devices, e.g. { 'iphone-4.7': { headline: '...' }, android: { theme: 'dark' } } */
+  overrides?: StorepixOverrides;
 }
 
 ${templateSpecificFields}
 
-/** Localization overrides */
+/** Localization overrides, or a path to a translation file (.strings, strings.xml, XLIFF, JSON) */
 export interface StorepixLocales {
-  [locale: string]: {
-    [screenshotId: string]: Partial<StorepixScreenshot>;
+  [locale: string]: string | {
+    [screenshotId: string]: Partial<Omit<StorepixScreenshot, 'annotations'>> & {
+      /** Callout text by annotation id (or index), or a replacement list */
+      annotations?: Record<string, string> | StorepixAnnotation[];
+    };
   };
 }
 
+/** Translation file settings */
+export interface StorepixI18n {
+  /** Key prefix for screenshot strings (default: 'screenshot', e.g. screenshot.home.headline) */
+  prefix?: string;
+  /** Language of the base screenshot text for exports (default: 'en') */
+  sourceLocale?: string;
+  /** Maximum lengths for translators by field, overriding the template schema */
+  maxLength?: Record<string, number>;
+}
+
 /** Main storepix configuration */
 export interface StorepixConfig {
-  /** Template to use (from ./templates/) */
-  template?: string;
+  /** Template to use (from ./templates/), unless a screenshot picks its own */
+  template?: StorepixTemplateName;
   /** Output settings */
   output?: StorepixOutput;
   /** Device sizes to generate */
@@ -171,10 +282,22 @@ export interface StorepixConfig {
   theme?: StorepixTheme;
   /** Status bar injection configuration */
   statusBar?: StorepixStatusBar;
+  /** How sources that don't match the device size are fitted */
+  sourceFit?: StorepixSourceFitMode | StorepixSourceFit;
+  /** Named device groups whose sources live in screenshots/<group>/ */
+  sourceGroups?: Record<string, StorepixDevice[]>;
+  /** Text layout checks after rendering (false to skip) */
+  textLayout?: false | StorepixTextLayout;
+  /** Text contrast check after rendering (false to skip) */
+  contrast?: false | StorepixContrastLevel | StorepixContrast;
   /** Screenshot definitions */
   screenshots: StorepixScreenshot[];
   /** Localization overrides by locale and screenshot ID */
   locales?: StorepixLocales;
+  /** Fallback locales per locale (default: drop subtags, e.g. de-AT → de) */
+  localeFallbacks?: Record<string, string[]>;
+  /** Translation file settings */
+  i18n?: StorepixI18n;
 }
 
 declare const config: StorepixConfig;
@@ -195,7 +318,7 @@ export interface StorepixScreenshot extends StorepixScreenshotBase {
   /** Background image path (relative to config directory) */
   background?: string;
   /** Custom content fields for data-storepix bindings */
-  [key: string]: string | number | boolean | undefined;
+  [key: string]: StorepixFieldValue;
 }`;
 
     case 'panorama':
@@ -208,14 +331,14 @@ export interface StorepixScreenshot extends StorepixScreenshotBase {
   /** Per-slice subheadlines (panorama mode only, when slices > 1) */
   subheadlines?: string[];
   /** Custom content fields for data-storepix bindings */
-  [key: string]: string | number | boolean | string[] | undefined;
+  [key: string]: StorepixFieldValue;
 }`;
 
     default:
       return `/** Screenshot configuration for '${templateName}' template */
 export interface StorepixScreenshot extends StorepixScreenshotBase {
   /** Custom content fields for data-storepix bindings */
-  [key: string]: string | number | boolean | undefined;
+  [key: string]: StorepixFieldValue;
 }`;
   }
 }
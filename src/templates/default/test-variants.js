@@ -7,6 +7,9 @@
  *   - [...]: Custom array of device IDs
  *
  * variants: Array of test cases with different options
+ *   (locale: sets lang/dir, e.g. 'ar' renders right-to-left;
+ *    annotations: overlays in mock screenshot pixels;
+ *    headline markup: **accent**, *emphasis*, \n and &nbsp;)
  */
 export default {
   devices: 'default',
@@ -32,6 +35,34 @@ export default {
       layout: 'bottom',
       headline: 'Feature Title',
       subheadline: 'Description text goes here'
+    },
+    {
+      name: 'light-top-rtl',
+      theme: 'light',
+      layout: 'top',
+      locale: 'ar',
+      headline: 'عنوان الميزة',
+      subheadline: 'نص الوصف هنا'
+    },
+    {
+      name: 'light-top-annotations',
+      theme: 'light',
+      layout: 'top',
+      headline: 'Feature Title',
+      subheadline: 'Description text goes here',
+      annotations: [
+        { type: 'spotlight', x: 540, y: 700, radius: 260 },
+        { type: 'circle', x: 540, y: 700, radius: 120 },
+        { type: 'arrow', x: 640, y: 800, from: { x: 860, y: 1200 } },
+        { type: 'callout', x: 540, y: 560, text: 'Tap to save', position: 'top' }
+      ]
+    },
+    {
+      name: 'dark-top-markup',
+      theme: 'dark',
+      layout: 'top',
+      headline: 'Track your **daily moods**',
+      subheadline: 'Log it in *seconds*,\nevery&nbsp;day'
     }
   ]
 };
@@ -1,6 +1,6 @@
 /**
  * Test configuration for the panorama template
- * Tests single mode and panorama (slices: 2)
+ * Tests single mode and panorama (slices: 2), including right-to-left
  */
 export default {
   devices: 'default',
@@ -26,6 +26,14 @@ export default {
       slices: 2,
       headlines: ['First Headline', 'Second Headline'],
       subheadlines: ['First subheadline', 'Second subheadline']
+    },
+    {
+      name: 'panorama-rtl',
+      theme: 'light',
+      slices: 2,
+      locale: 'ar',
+      headlines: ['العنوان الأول', 'العنوان الثاني'],
+      subheadlines: ['النص الفرعي الأول', 'النص الفرعي الثاني']
     }
   ]
 };
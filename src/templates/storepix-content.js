@@ -37,3 +37,490 @@ function applyCustomContent(urlParams) {
     }
   });
 }
+
+/**
+ * Language and text direction
+ *
+ * Call with the page's URL params:
+ *
+ *   applyTextDirection(urlParams);
+ *
+ * generate passes lang and dir for localized renders (dir is 'rtl' for
+ * Arabic, Hebrew, Persian, Urdu and other right-to-left locales). This sets
+ * <html lang dir>, so CSS logical properties (inset-inline-start,
+ * text-align: start, flex rows) and [dir="rtl"] rules mirror the layout.
+ */
+function applyTextDirection(urlParams) {
+  const lang = urlParams.get('lang');
+  const dir = urlParams.get('dir');
+  if (lang) {
+    document.documentElement.lang = lang;
+  }
+  if (dir === 'rtl' || dir === 'ltr') {
+    document.documentElement.dir = dir;
+  }
+  return document.documentElement.dir || 'ltr';
+}
+
+/**
+ * Source fit for the app screenshot
+ *
+ * Call with the page's URL params after setting the screenshot's src:
+ *
+ *   applySourceFit(urlParams);
+ *
+ * generate only passes sourceFit when the config uses a non-strict policy
+ * (scale, cover or contain); otherwise the template's own CSS applies.
+ */
+function applySourceFit(urlParams, img = document.getElementById('screenshot-img')) {
+  const objectFit = { scale: 'fill', cover: 'cover', contain: 'contain' }[urlParams.get('sourceFit')];
+  if (objectFit && img) {
+    img.style.objectFit = objectFit;
+  }
+}
+
+/**
+ * Annotation overlays
+ *
+ * Call with the page's URL params after setting the screenshot's src, and
+ * pass the result to storepixSignalReady:
+ *
+ *   const annotationsReady = applyAnnotations(urlParams);
+ *   storepixSignalReady(statusBarReady, textFitReady, annotationsReady);
+ *
+ * generate passes the screenshot's annotations (arrow, circle, spotlight,
+ * callout - see src/utils/annotations.js). Once the screenshot image loads,
+ * they are drawn in a .storepix-annotations layer covering .device-screen.
+ * x/y are source screenshot pixels, mapped through the image's object-fit,
+ * so they land on the same UI element on every device; strokes and callout
+ * text are base-design pixels, multiplied by --scale like the template CSS.
+ *
+ * Colors default to --annotation-color (set it in the template's :root or
+ * with theme.annotationColor); callout text uses --annotation-text-color.
+ */
+function applyAnnotations(urlParams, img = document.getElementById('screenshot-img')) {
+  const annotations = JSON.parse(urlParams.get('annotations') || '[]');
+  const screen = img && img.closest('.device-screen');
+  if (annotations.length === 0 || !screen || !img.getAttribute('src')) {
+    return Promise.resolve();
+  }
+
+  const loaded = img.complete ? Promise.resolve() : new Promise(resolve => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  });
+  const fonts = document.fonts ? document.fonts.ready : Promise.resolve();
+
+  return Promise.all([loaded, fonts]).then(() => {
+    // A failed image is reported by the readiness check - nothing to map onto
+    if (img.naturalWidth > 0) {
+      drawStorepixAnnotations(screen, img, annotations);
+    }
+  });
+}
+
+/**
+ * Draw annotations over a device screen
+ * @param {HTMLElement} screen - .device-screen element
+ * @param {HTMLImageElement} img - Loaded screenshot image inside it
+ * @param {Array<Object>} annotations - Annotation entries
+ */
+function drawStorepixAnnotations(screen, img, annotations) {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const scale = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--scale')) || 1;
+  const defaultColor = 'var(--annotation-color, var(--primary))';
+
+  if (!document.getElementById('storepix-annotation-styles')) {
+    const style = document.createElement('style');
+    style.id = 'storepix-annotation-styles';
+    // Added first, so template stylesheets can override it
+    style.textContent = `
+      .storepix-annotations { position: absolute; overflow: hidden; pointer-events: none; z-index: 150; }
+      .storepix-annotations svg { position: absolute; inset: 0; width: 100%; height: 100%; }
+      .storepix-callout {
+        position: absolute; box-sizing: border-box; width: max-content; max-width: 70%;
+        padding: calc(18px * var(--scale)) calc(28px * var(--scale));
+        border-radius: calc(24px * var(--scale));
+        background: var(--storepix-annotation-color); color: var(--annotation-text-color, #FFFFFF);
+        font: 600 calc(36px * var(--scale)) / 1.25 var(--font-family, sans-serif); text-align: center;
+        box-shadow: 0 calc(8px * var(--scale)) calc(24px * var(--scale)) rgba(0, 0, 0, 0.2);
+      }
+      .storepix-callout::after { content: ''; position: absolute; border: calc(16px * var(--scale)) solid transparent; }
+      .storepix-callout[data-position="top"]::after { top: 100%; left: var(--storepix-pointer); transform: translateX(-50%); border-top-color: var(--storepix-annotation-color); border-bottom-width: 0; }
+      .storepix-callout[data-position="bottom"]::after { bottom: 100%; left: var(--storepix-pointer); transform: translateX(-50%); border-bottom-color: var(--storepix-annotation-color); border-top-width: 0; }
+      .storepix-callout[data-position="left"]::after { left: 100%; top: var(--storepix-pointer); transform: translateY(-50%); border-left-color: var(--storepix-annotation-color); border-right-width: 0; }
+      .storepix-callout[data-position="right"]::after { right: 100%; top: var(--storepix-pointer); transform: translateY(-50%); border-right-color: var(--storepix-annotation-color); border-left-width: 0; }
+    `;
+    document.head.prepend(style);
+  }
+
+  // Cover the screen's padding box. Layout offsets ignore transforms, so the
+  // layer follows rotated device frames.
+  const positioned = getComputedStyle(screen).position !== 'static';
+  const width = screen.clientWidth;
+  const height = screen.clientHeight;
+  const layer = document.createElement('div');
+  layer.className = 'storepix-annotations';
+  layer.style.left = `${positioned ? 0 : screen.offsetLeft + screen.clientLeft}px`;
+  layer.style.top = `${positioned ? 0 : screen.offsetTop + screen.clientTop}px`;
+  layer.style.width = `${width}px`;
+  layer.style.height = `${height}px`;
+  layer.style.borderRadius = getComputedStyle(screen).borderRadius;
+
+  // Source pixels → layer pixels, following object-fit and object-position
+  const imgStyle = getComputedStyle(img);
+  const boxLeft = img.offsetLeft - (positioned ? 0 : screen.offsetLeft + screen.clientLeft);
+  const boxTop = img.offsetTop - (positioned ? 0 : screen.offsetTop + screen.clientTop);
+  const boxWidth = img.offsetWidth;
+  const boxHeight = img.offsetHeight;
+  let scaleX = boxWidth / img.naturalWidth;
+  let scaleY = boxHeight / img.naturalHeight;
+  if (imgStyle.objectFit !== 'fill') {
+    const fit = { contain: Math.min, cover: Math.max }[imgStyle.objectFit];
+    const uniform = fit ? fit(scaleX, scaleY) : imgStyle.objectFit === 'scale-down' ? Math.min(1, scaleX, scaleY) : 1;
+    scaleX = uniform;
+    scaleY = uniform;
+  }
+  const [positionX, positionY] = imgStyle.objectPosition.split(' ');
+  const offset = (value, free) => (value.endsWith('%') ? (free * parseFloat(value)) / 100 : parseFloat(value) || 0);
+  const originX = boxLeft + offset(positionX || '50%', boxWidth - img.naturalWidth * scaleX);
+  const originY = boxTop + offset(positionY || '50%', boxHeight - img.naturalHeight * scaleY);
+  const toLayer = point => ({ x: originX + point.x * scaleX, y: originY + point.y * scaleY });
+
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  layer.appendChild(svg);
+  screen.appendChild(layer);
+
+  const shape = (tag, attributes, parent = svg) => {
+    const node = document.createElementNS(svgNs, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      node.setAttribute(name, value);
+    }
+    parent.appendChild(node);
+    return node;
+  };
+
+  // All spotlights share one mask, so overlapping holes don't dim twice
+  const spotlights = annotations.filter(annotation => annotation.type === 'spotlight');
+  if (spotlights.length > 0) {
+    const mask = shape('mask', { id: 'storepix-spotlight-mask' }, shape('defs', {}));
+    shape('rect', { width, height, fill: '#FFFFFF' }, mask);
+    for (const spotlight of spotlights) {
+      const center = toLayer(spotlight);
+      if (spotlight.width && spotlight.height) {
+        const w = spotlight.width * scaleX;
+        const h = spotlight.height * scaleY;
+        shape('rect', { x: center.x - w / 2, y: center.y - h / 2, width: w, height: h, rx: 24 * scale, fill: '#000000' }, mask);
+      } else {
+        const radius = spotlight.radius || 160;
+        shape('ellipse', { cx: center.x, cy: center.y, rx: radius * scaleX, ry: radius * scaleY, fill: '#000000' }, mask);
+      }
+    }
+    const opacity = Math.max(...spotlights.map(spotlight => spotlight.opacity ?? 0.6));
+    shape('rect', { width, height, fill: `rgba(0, 0, 0, ${opacity})`, mask: 'url(#storepix-spotlight-mask)' });
+  }
+
+  annotations.forEach((annotation, index) => {
+    const point = toLayer(annotation);
+    const color = annotation.color || defaultColor;
+    const strokeWidth = (annotation.strokeWidth || 8) * scale;
+
+    if (annotation.type === 'circle') {
+      const radius = annotation.radius || 80;
+      const circle = shape('ellipse', { cx: point.x, cy: point.y, rx: radius * scaleX, ry: radius * scaleY, fill: 'none', 'stroke-width': strokeWidth });
+      circle.style.stroke = color;
+    } else if (annotation.type === 'arrow') {
+      // Stop the line at the base of the head so its end doesn't poke through the tip
+      const from = toLayer(annotation.from);
+      const angle = Math.atan2(point.y - from.y, point.x - from.x);
+      const headLength = strokeWidth * 4;
+      const headWidth = strokeWidth * 3.5;
+      const base = { x: point.x - Math.cos(angle) * headLength, y: point.y - Math.sin(angle) * headLength };
+      const line = shape('line', { x1: from.x, y1: from.y, x2: base.x, y2: base.y, 'stroke-width': strokeWidth, 'stroke-linecap': 'round' });
+      line.style.stroke = color;
+      const normal = { x: -Math.sin(angle) * headWidth / 2, y: Math.cos(angle) * headWidth / 2 };
+      const head = shape('polygon', {
+        points: `${point.x},${point.y} ${base.x + normal.x},${base.y + normal.y} ${base.x - normal.x},${base.y - normal.y}`,
+        'stroke-width': strokeWidth / 2,
+        'stroke-linejoin': 'round'
+      });
+      head.style.fill = color;
+      head.style.stroke = color;
+    } else if (annotation.type === 'callout') {
+      const position = annotation.position || 'top';
+      const callout = document.createElement('div');
+      callout.className = 'storepix-callout';
+      callout.dataset.position = position;
+      callout.dataset.storepixAnnotation = annotation.id || String(index);
+      callout.textContent = annotation.text;
+      callout.style.setProperty('--storepix-annotation-color', color);
+      layer.appendChild(callout);
+
+      // Sit beside the point with room for the pointer, sliding along the
+      // edge to stay on screen while the pointer keeps marking the point
+      const gap = 20 * scale;
+      const margin = 24 * scale;
+      const bubbleWidth = callout.offsetWidth;
+      const bubbleHeight = callout.offsetHeight;
+      const clamp = (value, size, limit) => Math.min(Math.max(value, margin), Math.max(margin, limit - margin - size));
+      let left;
+      let top;
+      if (position === 'top' || position === 'bottom') {
+        left = clamp(point.x - bubbleWidth / 2, bubbleWidth, width);
+        top = position === 'top' ? point.y - gap - bubbleHeight : point.y + gap;
+        callout.style.setProperty('--storepix-pointer', `${point.x - left}px`);
+      } else {
+        top = clamp(point.y - bubbleHeight / 2, bubbleHeight, height);
+        left = position === 'left' ? point.x - gap - bubbleWidth : point.x + gap;
+        callout.style.setProperty('--storepix-pointer', `${point.y - top}px`);
+      }
+      callout.style.left = `${left}px`;
+      callout.style.top = `${top}px`;
+    }
+  });
+}
+
+/**
+ * Headline markup
+ *
+ * Set headline text with applyStorepixMarkup() instead of textContent:
+ *
+ *   applyStorepixMarkup(document.getElementById('headline'), config.headline);
+ *
+ * Supported markup:
+ *   **accent**   <strong class="storepix-accent">, colored by --accent-color
+ *   *emphasis*   <em>
+ *   newline      <br>
+ *   &nbsp;       non-breaking space
+ *   \*  \\  \&   literal characters
+ *
+ * Markers without a closing partner are shown as typed. The text is turned
+ * into DOM nodes, never parsed as HTML. The parser, parseStorepixMarkup(), is
+ * appended when this file is served (see src/utils/markup-parser.js), so
+ * config validation warns about exactly what renders.
+ */
+function applyStorepixMarkup(el, text) {
+  const build = (parent, nodes) => nodes.forEach(node => {
+    if (typeof node === 'string') {
+      parent.appendChild(document.createTextNode(node));
+    } else if (node.type === 'break') {
+      parent.appendChild(document.createElement('br'));
+    } else {
+      const span = document.createElement(node.type === 'accent' ? 'strong' : 'em');
+      if (node.type === 'accent') span.className = 'storepix-accent';
+      build(span, node.children);
+      parent.appendChild(span);
+    }
+  });
+
+  el.replaceChildren();
+  build(el, parseStorepixMarkup(text ?? ''));
+}
+
+/**
+ * Automatic text fitting
+ *
+ * Mark the elements to fit with the schema field whose bounds apply, then
+ * call with the page's URL params once their text is set:
+ *
+ *   <h1 class="headline" id="headline" data-storepix-fit="headline">
+ *
+ *   const textFitReady = applyTextFit(urlParams);
+ *   storepixSignalReady(statusBarReady, textFitReady);
+ *
+ * generate passes textFit with the bounds fields declare in schema.json:
+ *
+ *   "fit": { "min": 56, "max": 88, "maxLines": 2, "group": "headline" }
+ *
+ * Sizes are base-design pixels, multiplied by --scale like the template CSS.
+ * Custom [data-storepix] fields with bounds are fitted too. After web fonts
+ * load, each element gets the largest size between min and max at which its
+ * text stays inside its container (the closest [data-storepix-fit-box], or
+ * the parent element) and within maxLines, and its line breaks are balanced.
+ * Elements sharing a group all get the group's smallest size.
+ *
+ * Results are kept on window.storepixTextFit and returned to the renderer
+ * with the ready signal, so text that doesn't fit even at min is reported.
+ */
+function applyTextFit(urlParams) {
+  const bounds = JSON.parse(urlParams.get('textFit') || '{}');
+  const fonts = document.fonts ? document.fonts.ready : Promise.resolve();
+
+  return fonts.then(() => {
+    const scale = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--scale')) || 1;
+    const results = [];
+    const groups = {};
+
+    for (const [field, fit] of Object.entries(bounds)) {
+      const selector = `[data-storepix-fit="${field}"], [data-storepix="${field}"]`;
+      document.querySelectorAll(selector).forEach(el => {
+        // Hidden or empty elements (e.g. unused panorama headlines) are skipped
+        if (!el.textContent.trim() || el.getClientRects().length === 0) return;
+
+        const result = fitTextElement(el, fit, scale);
+        results.push({ field, el, ...result });
+        if (fit.group) {
+          (groups[fit.group] = groups[fit.group] || []).push(results[results.length - 1]);
+        }
+      });
+    }
+
+    for (const members of Object.values(groups)) {
+      const size = Math.min(...members.map(member => member.size));
+      members.forEach(member => {
+        member.el.style.fontSize = `${size * scale}px`;
+        member.size = size;
+      });
+    }
+
+    window.storepixTextFit = results.map(({ field, el, size, fits }) => ({
+      field,
+      text: el.textContent.trim(),
+      size,
+      min: bounds[field].min,
+      max: bounds[field].max,
+      fits
+    }));
+    return window.storepixTextFit;
+  });
+}
+
+/**
+ * Find the largest font size at which an element's text fits
+ * @param {HTMLElement} el - Element to fit
+ * @param {{ min: number, max: number, maxLines?: number }} fit - Bounds in base-design pixels
+ * @param {number} scale - Template scale factor
+ * @returns {{ size: number, fits: boolean }} Size in base-design pixels
+ */
+function fitTextElement(el, { min, max, maxLines }, scale) {
+  el.style.textWrap = 'balance';
+  const box = el.closest('[data-storepix-fit-box]') || el.parentElement;
+  const range = document.createRange();
+  range.selectNodeContents(el);
+
+  const within = (inner, outer) => inner.left >= outer.left - 1 && inner.right <= outer.right + 1 &&
+    inner.top >= outer.top - 1 && inner.bottom <= outer.bottom + 1;
+
+  const fitsAt = (size) => {
+    el.style.fontSize = `${size * scale}px`;
+    const text = range.getBoundingClientRect();
+    const boxRect = box.getBoundingClientRect();
+    if (!within(text, boxRect) || box.scrollWidth > box.clientWidth + 1) return false;
+    if (box.parentElement && !within(boxRect, box.parentElement.getBoundingClientRect())) return false;
+    if (maxLines) {
+      const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || size * scale * 1.2;
+      if (Math.round(text.height / lineHeight) > maxLines) return false;
+    }
+    return true;
+  };
+
+  if (fitsAt(max)) return { size: max, fits: true };
+  if (!fitsAt(min)) return { size: min, fits: false };
+
+  // Binary search down to half a pixel
+  let low = min;
+  let high = max;
+  while (high - low > 0.5) {
+    const mid = (low + high) / 2;
+    if (fitsAt(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const size = Math.floor(low * 10) / 10;
+  fitsAt(size);
+  return { size, fits: true };
+}
+
+/**
+ * Readiness handshake for storepix renderers
+ *
+ * Call at the end of the template script, passing promises for any async work
+ * still in flight (e.g. status bar loading):
+ *
+ *   storepixSignalReady(config.statusBar ? initStatusBar() : null);
+ *
+ * This sets window.storepixReady, which `generate`, `preview` and
+ * `test-template` await before capturing. It resolves once the passed
+ * promises have settled, web fonts have loaded and every image (including
+ * CSS background images) has loaded or failed. Text fitting results (see
+ * applyTextFit) are passed back with it. A rejected task rejects
+ * storepixReady, failing the render with the task's error message.
+ *
+ * window.storepixReadyState tracks what is still pending, so a render that
+ * times out can report what it was waiting for.
+ */
+function storepixSignalReady(...tasks) {
+  const state = { stage: 'tasks', pending: [] };
+  window.storepixReadyState = state;
+
+  window.storepixReady = Promise.all(tasks.map(task => Promise.resolve(task)))
+    .then(() => {
+      state.stage = 'fonts';
+      return document.fonts ? document.fonts.ready : null;
+    })
+    .then(() => {
+      state.stage = 'images';
+      return waitForStorepixImages(state);
+    })
+    .then((images) => {
+      state.stage = 'paint';
+      // Two frames: one to apply pending style changes, one to paint them
+      return new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(() => {
+          state.stage = 'ready';
+          resolve({ images, textFit: window.storepixTextFit || [] });
+        }));
+      });
+    });
+
+  return window.storepixReady;
+}
+
+/**
+ * Wait for every <img> and CSS background image in the document to settle
+ * @param {{ pending: string[] }} state - Readiness state (pending URLs are tracked here)
+ * @returns {Promise<Array<{ src: string, ok: boolean }>>}
+ */
+function waitForStorepixImages(state) {
+  const loads = [];
+
+  const track = (src, promise) => {
+    state.pending.push(src);
+    loads.push(promise.then(ok => {
+      state.pending = state.pending.filter(p => p !== src);
+      return { src, ok };
+    }));
+  };
+
+  document.querySelectorAll('img').forEach(img => {
+    const src = img.getAttribute('src');
+    if (!src) return;
+    if (img.complete) {
+      loads.push(Promise.resolve({ src, ok: img.naturalWidth > 0 }));
+      return;
+    }
+    track(src, new Promise(resolve => {
+      img.addEventListener('load', () => resolve(true), { once: true });
+      img.addEventListener('error', () => resolve(false), { once: true });
+    }));
+  });
+
+  document.querySelectorAll('*').forEach(el => {
+    const background = getComputedStyle(el).backgroundImage;
+    if (!background || background === 'none') return;
+    for (const match of background.matchAll(/url\(["']?(.*?)["']?\)/g)) {
+      const src = match[1];
+      track(src, new Promise(resolve => {
+        const probe = new Image();
+        probe.onload = () => resolve(true);
+        probe.onerror = () => resolve(false);
+        probe.src = src;
+      }));
+    }
+  });
+
+  return Promise.all(loads);
+}
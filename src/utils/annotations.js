@@ -0,0 +1,215 @@
+/**
+ * Annotation overlays
+ *
+ * A screenshot's `annotations` are drawn over the app screenshot by
+ * applyAnnotations() in storepix-content.js. Positions are pixels of the
+ * source screenshot, so they stay on the same UI element on every device:
+ *
+ *   annotations: [
+ *     { type: 'spotlight', x: 642, y: 1180, radius: 220 },
+ *     { type: 'circle', x: 1010, y: 2460, radius: 90 },
+ *     { type: 'arrow', x: 1010, y: 2360, from: { x: 760, y: 1980 } },
+ *     { type: 'callout', id: 'save', x: 1010, y: 2360, text: 'Tap to save', position: 'top' }
+ *   ]
+ *
+ * Callout text is localized through config.locales, keyed by the callout's
+ * id (or its index in the list):
+ *
+ *   locales: { de: { '01_home': { annotations: { save: 'Zum Speichern tippen' } } } }
+ *
+ * A locale can also replace the whole list with an array of its own.
+ */
+
+/** Supported annotation types */
+export const ANNOTATION_TYPES = ['arrow', 'circle', 'spotlight', 'callout'];
+
+/** Sides a callout bubble can sit on, relative to the point it marks */
+export const CALLOUT_POSITIONS = ['top', 'bottom', 'left', 'right'];
+
+/** Options each type accepts besides type, x and y */
+const TYPE_OPTIONS = {
+  arrow: ['id', 'color', 'from', 'strokeWidth'],
+  circle: ['id', 'color', 'radius', 'strokeWidth'],
+  spotlight: ['id', 'radius', 'width', 'height', 'opacity'],
+  callout: ['id', 'color', 'text', 'position']
+};
+
+/**
+ * Key a callout's text is localized under
+ * @param {Object} annotation - Annotation entry
+ * @param {number} index - Position in the screenshot's annotations
+ * @returns {string}
+ */
+export function getAnnotationKey(annotation, index) {
+  return annotation.id ?? String(index);
+}
+
+/**
+ * Find a callout by its localization key
+ * @param {Array<Object>} [annotations]
+ * @param {string} key - From getAnnotationKey
+ * @returns {Object|null}
+ */
+export function findCallout(annotations, key) {
+  if (!Array.isArray(annotations)) {
+    return null;
+  }
+  return annotations.find((annotation, index) => annotation?.type === 'callout' && getAnnotationKey(annotation, index) === key) || null;
+}
+
+/**
+ * Apply a locale's annotations override
+ * @param {Array<Object>} annotations - Annotations resolved so far
+ * @param {Array<Object>|Object<string, string>} override - A full replacement list, or callout text by key
+ * @returns {Array<Object>}
+ */
+export function localizeAnnotations(annotations, override) {
+  if (Array.isArray(override)) {
+    return override;
+  }
+  if (!Array.isArray(annotations)) {
+    return annotations;
+  }
+  return annotations.map((annotation, index) => {
+    const text = override[getAnnotationKey(annotation, index)];
+    return annotation.type === 'callout' && text ? { ...annotation, text } : annotation;
+  });
+}
+
+/**
+ * Validate every screenshot's annotations and their locale overrides
+ * @param {Object} config - Loaded storepix config (locale files already loaded)
+ * @returns {string[]} Error messages
+ */
+export function validateAnnotations(config) {
+  const errors = [];
+
+  for (const screenshot of config.screenshots || []) {
+    if (screenshot.annotations !== undefined) {
+      errors.push(...validateAnnotationList(screenshot.annotations, `[${screenshot.id}] annotations`));
+    }
+    // Per-device overrides can replace the list (see device-overrides.js)
+    for (const [key, values] of Object.entries(screenshot.overrides || {})) {
+      if (values?.annotations === undefined) continue;
+      errors.push(...validateAnnotationList(values.annotations, `[${screenshot.id}] overrides.${key}.annotations`));
+    }
+  }
+
+  for (const [locale, entries] of Object.entries(config.locales || {})) {
+    if (typeof entries !== 'object' || entries === null) continue;
+
+    for (const [id, entry] of Object.entries(entries)) {
+      const override = entry?.annotations;
+      if (override === undefined) continue;
+
+      const path = `locales.${locale}.${id}.annotations`;
+      if (Array.isArray(override)) {
+        errors.push(...validateAnnotationList(override, path));
+        continue;
+      }
+      if (typeof override !== 'object' || override === null) {
+        errors.push(`${path} must be an array of annotations or an object of callout text by id`);
+        continue;
+      }
+
+      const base = (config.screenshots || []).find(s => s.id === id)?.annotations;
+      const keys = Array.isArray(base)
+        ? base.map((annotation, index) => annotation?.type === 'callout' ? getAnnotationKey(annotation, index) : null).filter(Boolean)
+        : [];
+      for (const [key, text] of Object.entries(override)) {
+        if (!keys.includes(key)) {
+          errors.push(`${path}.${key} doesn't match a callout (expected one of: ${keys.join(', ') || 'none'})`);
+        } else if (typeof text !== 'string') {
+          errors.push(`${path}.${key} must be a string`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one annotations array
+ * @param {*} annotations
+ * @param {string} path - Prefix for messages
+ * @returns {string[]} Error messages
+ */
+function validateAnnotationList(annotations, path) {
+  if (!Array.isArray(annotations)) {
+    return [`${path} must be an array`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isPositive = value => isNumber(value) && value > 0;
+
+  annotations.forEach((annotation, index) => {
+    const at = `${path}[${index}]`;
+    if (typeof annotation !== 'object' || annotation === null || Array.isArray(annotation)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    const { type } = annotation;
+    if (!ANNOTATION_TYPES.includes(type)) {
+      errors.push(`${at}.type must be one of: ${ANNOTATION_TYPES.join(', ')} (got ${JSON.stringify(type)})`);
+      return;
+    }
+
+    for (const key of Object.keys(annotation)) {
+      if (!['type', 'x', 'y', ...TYPE_OPTIONS[type]].includes(key)) {
+        errors.push(`${at}.${key} is not an option for ${type} annotations`);
+      }
+    }
+    for (const key of ['x', 'y']) {
+      if (!isNumber(annotation[key])) {
+        errors.push(`${at}.${key} must be a number (source screenshot pixels)`);
+      }
+    }
+
+    if (annotation.id !== undefined) {
+      if (typeof annotation.id !== 'string' || !annotation.id) {
+        errors.push(`${at}.id must be a non-empty string`);
+      } else if (ids.has(annotation.id)) {
+        errors.push(`${at}.id "${annotation.id}" is used more than once`);
+      }
+      ids.add(annotation.id);
+    }
+    if (annotation.color !== undefined && typeof annotation.color !== 'string') {
+      errors.push(`${at}.color must be a CSS color string`);
+    }
+    for (const key of ['radius', 'width', 'height', 'strokeWidth']) {
+      if (annotation[key] !== undefined && !isPositive(annotation[key])) {
+        errors.push(`${at}.${key} must be a positive number`);
+      }
+    }
+
+    switch (type) {
+      case 'arrow':
+        if (typeof annotation.from !== 'object' || annotation.from === null || !isNumber(annotation.from.x) || !isNumber(annotation.from.y)) {
+          errors.push(`${at}.from must be the point the arrow starts at, e.g. { x: 400, y: 1800 }`);
+        }
+        break;
+      case 'spotlight':
+        if ((annotation.width === undefined) !== (annotation.height === undefined)) {
+          errors.push(`${at} needs both width and height for a rectangular spotlight`);
+        }
+        if (annotation.opacity !== undefined && !(isNumber(annotation.opacity) && annotation.opacity >= 0 && annotation.opacity <= 1)) {
+          errors.push(`${at}.opacity must be a number from 0 to 1`);
+        }
+        break;
+      case 'callout':
+        if (typeof annotation.text !== 'string' || !annotation.text) {
+          errors.push(`${at}.text must be a non-empty string`);
+        }
+        if (annotation.position !== undefined && !CALLOUT_POSITIONS.includes(annotation.position)) {
+          errors.push(`${at}.position must be one of: ${CALLOUT_POSITIONS.join(', ')} (got ${JSON.stringify(annotation.position)})`);
+        }
+        break;
+    }
+  });
+
+  return errors;
+}
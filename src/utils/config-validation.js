@@ -1,6 +1,9 @@
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateLocaleFallbacks, describeLocaleSources } from './locales.js';
+import { validateMarkup } from './markup.js';
+import { resolveScreenshotTemplate } from './template-helper.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,11 +39,43 @@ export function loadTemplateSchema(configDir, templateName) {
   return null;
 }
 
+/**
+ * Look up the schema of the template a screenshot renders with
+ *
+ * Schemas are loaded once per template. Without a device key, a
+ * screenshot's own `template` wins over the default.
+ *
+ * @param {string} configDir - Project config directory
+ * @param {string} template - Default template (CLI option or config.template)
+ * @returns {(screenshot: Object, deviceKey?: string) => Object|null}
+ */
+export function createSchemaLookup(configDir, template) {
+  const schemas = new Map();
+  return (screenshot, deviceKey) => {
+    const { name } = resolveScreenshotTemplate(screenshot, deviceKey, template);
+    if (!schemas.has(name)) {
+      schemas.set(name, loadTemplateSchema(configDir, name));
+    }
+    return schemas.get(name);
+  };
+}
+
 /**
  * Get list of known screenshot config fields (reserved keys)
  */
 const RESERVED_KEYS = ['id', 'source', 'theme', 'layout', 'slices', 'headline', 'subheadline', 'headlines', 'subheadlines', 'background', 'logo'];
 
+/**
+ * Screenshot fields handled by storepix itself rather than the template
+ */
+const TEMPLATE_INDEPENDENT_KEYS = ['id', 'source', 'sourceFit', 'overrides', 'template'];
+
+/**
+ * Screenshot fields drawn by the shared helper script, for templates whose
+ * schema lists them under "supports"
+ */
+const HELPER_KEYS = ['annotations'];
+
 /**
  * Compute Levenshtein distance between two strings
  * @param {string} a
@@ -109,7 +144,13 @@ export function validateScreenshotConfig(screenshot, schema, templateName) {
   }
 
   const schemaFields = Object.keys(schema.fields);
-  const screenshotFields = Object.keys(screenshot).filter(k => k !== 'id' && k !== 'source');
+  const screenshotFields = Object.keys(screenshot).filter(k => !TEMPLATE_INDEPENDENT_KEYS.includes(k) && !HELPER_KEYS.includes(k));
+
+  for (const field of HELPER_KEYS) {
+    if (screenshot[field] !== undefined && !schema.supports?.[field]) {
+      warnings.push(`Field "${field}" is not supported by the "${templateName}" template`);
+    }
+  }
 
   // Determine current mode for templates with modes (e.g., panorama)
   let activeMode = null;
@@ -285,6 +326,10 @@ function validateFieldType(fieldName, value, fieldConfig) {
 
 /**
  * Validate entire config file against template schema
+ *
+ * Each screenshot is checked against its own `template`'s schema when it
+ * sets one, otherwise config.template's.
+ *
  * @param {Object} config - Full storepix config object
  * @param {string} configDir - Config directory path
  * @returns {{ valid: boolean, errors: string[], warnings: string[], suggestions: string[] }}
@@ -295,16 +340,44 @@ export function validateConfig(config, configDir) {
   const allSuggestions = [];
 
   const templateName = config.template || 'default';
-  const schema = loadTemplateSchema(configDir, templateName);
 
-  if (!schema) {
-    // No schema available - skip validation
-    return { valid: true, errors: [], warnings: [], suggestions: [], hasSchema: false };
-  }
+  // Screenshots can pick their own template, so schemas are loaded as needed
+  const schemas = new Map();
+  const getSchema = (name) => {
+    if (!schemas.has(name)) {
+      schemas.set(name, loadTemplateSchema(configDir, name));
+    }
+    return schemas.get(name);
+  };
 
-  // Validate each screenshot
+  // Locale fallbacks don't depend on the template
+  allErrors.push(...validateLocaleFallbacks(config));
+  allWarnings.push(...describeLocaleSources(config));
+  allWarnings.push(...validateMarkup(config));
+
+  // Check for template-specific fields from other templates
+  const otherTemplateFields = {
+    background: ['photo'],
+    slices: ['panorama'],
+    headlines: ['panorama'],
+    subheadlines: ['panorama'],
+    logo: ['feature-graphic'],
+  };
+
+  // Validate each screenshot against its template's schema
   for (const screenshot of config.screenshots || []) {
-    const { errors, warnings, suggestions } = validateScreenshotConfig(screenshot, schema, templateName);
+    const screenshotTemplate = typeof screenshot.template === 'string' && screenshot.template ? screenshot.template : templateName;
+    if (screenshot.template !== undefined && screenshotTemplate !== screenshot.template) {
+      allErrors.push(`[${screenshot.id}] Field "template" must be a template name`);
+    }
+
+    const schema = getSchema(screenshotTemplate);
+    if (!schema) {
+      // No schema available - skip template validation
+      continue;
+    }
+
+    const { errors, warnings, suggestions } = validateScreenshotConfig(screenshot, schema, screenshotTemplate);
 
     for (const error of errors) {
       allErrors.push(`[${screenshot.id}] ${error}`);
@@ -315,23 +388,32 @@ export function validateConfig(config, configDir) {
     for (const suggestion of suggestions) {
       allSuggestions.push(`[${screenshot.id}] ${suggestion}`);
     }
-  }
 
-  // Check for template-specific fields from other templates
-  const otherTemplateFields = {
-    background: ['photo'],
-    slices: ['panorama'],
-    headlines: ['panorama'],
-    subheadlines: ['panorama'],
-    logo: ['feature-graphic'],
-  };
-
-  for (const screenshot of config.screenshots || []) {
     for (const [field, templates] of Object.entries(otherTemplateFields)) {
-      if (screenshot[field] !== undefined && !templates.includes(templateName)) {
-        allWarnings.push(`[${screenshot.id}] Field "${field}" is only used by ${templates.join('/')} template, not "${templateName}"`);
+      if (screenshot[field] !== undefined && !templates.includes(screenshotTemplate)) {
+        allWarnings.push(`[${screenshot.id}] Field "${field}" is only used by ${templates.join('/')} template, not "${screenshotTemplate}"`);
       }
     }
+
+    // Each per-device override is checked merged into the entry (with the
+    // template it ends up using), reporting only what the base entry doesn't already
+    if (typeof screenshot.overrides !== 'object' || screenshot.overrides === null) continue;
+    for (const [key, values] of Object.entries(screenshot.overrides)) {
+      if (typeof values !== 'object' || values === null) continue;
+      const prefix = `[${screenshot.id}] overrides.${key}:`;
+      const overrideTemplate = values.template ?? screenshotTemplate;
+      if (typeof overrideTemplate !== 'string' || !overrideTemplate) {
+        allErrors.push(`${prefix} Field "template" must be a template name`);
+        continue;
+      }
+
+      const overrideSchema = getSchema(overrideTemplate);
+      if (!overrideSchema) continue;
+      const merged = validateScreenshotConfig({ ...screenshot, ...values }, overrideSchema, overrideTemplate);
+      allErrors.push(...merged.errors.filter(e => !errors.includes(e)).map(e => `${prefix} ${e}`));
+      allWarnings.push(...merged.warnings.filter(w => !warnings.includes(w)).map(w => `${prefix} ${w}`));
+      allSuggestions.push(...merged.suggestions.filter(s => !suggestions.includes(s)).map(s => `${prefix} ${s}`));
+    }
   }
 
   return {
@@ -339,7 +421,7 @@ export function validateConfig(config, configDir) {
     errors: allErrors,
     warnings: allWarnings,
     suggestions: allSuggestions,
-    hasSchema: true
+    hasSchema: Boolean(getSchema(templateName))
   };
 }
 
@@ -354,7 +436,6 @@ export function printConfigValidation(result, templateName) {
   if (!hasSchema) {
     console.log(`\n  Note: Template "${templateName}" has no schema.json.`);
     console.log('  Run "npx storepix upgrade" to add config validation support.\n');
-    return;
   }
 
   if (errors.length === 0 && warnings.length === 0 && suggestions.length === 0) {
@@ -417,3 +498,34 @@ export function getTemplateSpecificFields(schema) {
     .filter(([_, config]) => config.templateSpecific)
     .map(([name]) => name);
 }
+
+/**
+ * Get the font size bounds fields declare for automatic text fitting
+ *
+ * Fields opt in with "fit": { "min", "max", "maxLines"?, "group"? } (sizes in
+ * base-design pixels). Declarations without a valid min/max are ignored.
+ *
+ * @param {Object|null} schema
+ * @returns {Object<string, { min: number, max: number, maxLines?: number, group?: string }>}
+ */
+export function getTextFitBounds(schema) {
+  const bounds = {};
+  if (!schema || !schema.fields) {
+    return bounds;
+  }
+
+  for (const [name, config] of Object.entries(schema.fields)) {
+    const fit = config.fit;
+    if (!fit || !(fit.min > 0) || !(fit.max >= fit.min)) {
+      continue;
+    }
+    bounds[name] = {
+      min: fit.min,
+      max: fit.max,
+      ...(Number.isInteger(fit.maxLines) && fit.maxLines > 0 && { maxLines: fit.maxLines }),
+      ...(typeof fit.group === 'string' && { group: fit.group })
+    };
+  }
+
+  return bounds;
+}
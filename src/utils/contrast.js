@@ -0,0 +1,319 @@
+import { decodePng } from './png.js';
+import { parseCssColor } from './opaque-output.js';
+
+/**
+ * Contrast checks
+ *
+ * After a render is captured, the text of #headline, #subheadline and fitted
+ * [data-storepix-fit] elements is compared with what is behind it: the text
+ * is hidden, the page is captured again, and the WCAG contrast ratio between
+ * the text color and each sampled background pixel is computed. Backgrounds
+ * that change from word to word (the photo template) are measured where the
+ * text actually sits.
+ *
+ *   contrast: 'AA'    // default - 4.5:1, or 3:1 for large text
+ *   contrast: 'AAA'   // 7:1, or 4.5:1 for large text
+ *   contrast: { level: 'AA', normal: 5, severity: 'error' }
+ *   contrast: false   // skip the check
+ */
+
+/** Minimum ratios per WCAG level */
+export const CONTRAST_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+/** Accepted severities */
+export const CONTRAST_SEVERITIES = ['error', 'warning'];
+
+/** Elements whose text is checked (accents have a color of their own) */
+export const CONTRAST_SELECTOR = '[data-storepix-fit], #headline, #subheadline, .storepix-accent';
+
+/**
+ * Store listings show a screenshot about as wide as a phone screen, so font
+ * sizes are judged as if the image were this many CSS pixels wide (the
+ * 1284px base design at 3x)
+ */
+const VIEWING_WIDTH = 428;
+
+/**
+ * Share of the background allowed below the threshold - a few stray pixels
+ * don't fail a render, a bright patch behind a word does
+ */
+const TOLERATED_SHARE = 0.05;
+
+/** Upper bound on background pixels sampled per line of text */
+const MAX_SAMPLES_PER_LINE = 2000;
+
+/** Marks the elements hidden while the background is captured */
+const HIDE_ATTRIBUTE = 'data-storepix-contrast';
+
+const OPTION_KEYS = ['level', 'normal', 'large', 'severity'];
+
+/** What the browser paints behind a transparent page */
+const WHITE = { r: 255, g: 255, b: 255 };
+
+/**
+ * Resolve config.contrast
+ * @param {boolean|string|Object} [value] - config.contrast
+ * @returns {{ level: string, normal: number, large: number, severity: string }|null} Thresholds, or null when the check is off
+ */
+export function resolveContrastOptions(value) {
+  if (value === false) {
+    return null;
+  }
+  const options = typeof value === 'string' ? { level: value } : (typeof value === 'object' && value !== null ? value : {});
+  const level = options.level || 'AA';
+  return {
+    level,
+    normal: options.normal ?? CONTRAST_LEVELS[level].normal,
+    large: options.large ?? CONTRAST_LEVELS[level].large,
+    severity: options.severity || 'warning'
+  };
+}
+
+/**
+ * Validate config.contrast
+ * @param {*} value - config.contrast
+ * @returns {string[]} Error messages
+ */
+export function validateContrastConfig(value) {
+  if (value === undefined || typeof value === 'boolean') {
+    return [];
+  }
+  const levels = Object.keys(CONTRAST_LEVELS);
+  if (typeof value === 'string') {
+    return levels.includes(value) ? [] : [`contrast must be one of: ${levels.join(', ')} (got ${JSON.stringify(value)})`];
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return ['contrast must be false, a WCAG level or an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    if (!OPTION_KEYS.includes(key)) {
+      errors.push(`contrast.${key} is not an option (expected one of: ${OPTION_KEYS.join(', ')})`);
+    }
+  }
+  if (value.level !== undefined && !levels.includes(value.level)) {
+    errors.push(`contrast.level must be one of: ${levels.join(', ')} (got ${JSON.stringify(value.level)})`);
+  }
+  for (const key of ['normal', 'large']) {
+    if (value[key] !== undefined && (typeof value[key] !== 'number' || value[key] < 1 || value[key] > 21)) {
+      errors.push(`contrast.${key} must be a ratio between 1 and 21 (got ${JSON.stringify(value[key])})`);
+    }
+  }
+  if (value.severity !== undefined && !CONTRAST_SEVERITIES.includes(value.severity)) {
+    errors.push(`contrast.severity must be one of: ${CONTRAST_SEVERITIES.join(', ')} (got ${JSON.stringify(value.severity)})`);
+  }
+  return errors;
+}
+
+/**
+ * WCAG relative luminance of an sRGB color
+ * @param {{ r: number, g: number, b: number }} color - 0-255 channels
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colors
+ * @param {{ r: number, g: number, b: number }} a
+ * @param {{ r: number, g: number, b: number }} b
+ * @returns {number} 1 to 21
+ */
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Whether text counts as large under WCAG (24px, or 18.67px bold) when the
+ * screenshot is viewed at phone size
+ * @param {number} fontSize - Computed font size in page pixels
+ * @param {number} fontWeight - Computed font weight
+ * @param {number} sliceWidth - Width of one output image
+ * @returns {boolean}
+ */
+export function isLargeText(fontSize, fontWeight, sliceWidth) {
+  const size = (fontSize * VIEWING_WIDTH) / sliceWidth;
+  return size >= 24 || (size >= 18.66 && fontWeight >= 700);
+}
+
+/**
+ * Measure the contrast of each text element of a captured page
+ *
+ * Call after the outputs are captured - the text is hidden while the
+ * background is captured, and shown again afterwards.
+ *
+ * @param {import('playwright').Page} page - Page that was just captured
+ * @param {{ sliceWidth: number }} options - Width of one output image
+ * @returns {Promise<Array<{ element: string, text: string, ratio: number, large: boolean }>>}
+ */
+export async function measureContrast(page, { sliceWidth }) {
+  const elements = await page.evaluate(inspectTextContrast, { selector: CONTRAST_SELECTOR, attribute: HIDE_ATTRIBUTE });
+  if (elements.length === 0) {
+    return [];
+  }
+
+  let buffer;
+  try {
+    buffer = await page.screenshot({ type: 'png' });
+  } finally {
+    await page.evaluate((attribute) => {
+      document.getElementById('storepix-contrast-hide')?.remove();
+      document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+    }, HIDE_ATTRIBUTE);
+  }
+
+  const image = decodePng(buffer);
+  return elements
+    .map(element => measureElementContrast(element, image, { sliceWidth }))
+    .filter(Boolean);
+}
+
+/**
+ * Compare a text color with the background pixels behind its lines
+ * @param {{ element: string, text: string, color: string, fontSize: number, fontWeight: number, rects: Array<Object> }} element
+ *   From the page; rects are text lines in page pixels
+ * @param {{ width: number, height: number, pixels: Uint8Array }} image - RGBA capture of the page without text
+ * @param {{ sliceWidth: number }} options
+ * @returns {{ element: string, text: string, ratio: number, large: boolean }|null}
+ *   ratio is met by all but the lowest 5% of the background; null if the
+ *   color can't be measured (e.g. gradient text)
+ */
+export function measureElementContrast({ element, text, color, fontSize, fontWeight, rects }, image, { sliceWidth }) {
+  const foreground = parseCssColor(color);
+  if (!foreground || foreground.a === 0) {
+    return null;
+  }
+
+  const ratios = [];
+  for (const rect of rects) {
+    const left = Math.max(0, Math.floor(rect.x));
+    const top = Math.max(0, Math.floor(rect.y));
+    const right = Math.min(image.width, Math.ceil(rect.x + rect.width));
+    const bottom = Math.min(image.height, Math.ceil(rect.y + rect.height));
+    if (right <= left || bottom <= top) continue;
+
+    const step = Math.max(1, Math.ceil(Math.sqrt(((right - left) * (bottom - top)) / MAX_SAMPLES_PER_LINE)));
+    for (let y = top; y < bottom; y += step) {
+      for (let x = left; x < right; x += step) {
+        const i = (y * image.width + x) * 4;
+        const background = blend({ r: image.pixels[i], g: image.pixels[i + 1], b: image.pixels[i + 2], a: image.pixels[i + 3] / 255 }, WHITE);
+        ratios.push(contrastRatio(blend(foreground, background), background));
+      }
+    }
+  }
+  if (ratios.length === 0) {
+    return null;
+  }
+
+  ratios.sort((a, b) => a - b);
+  return {
+    element,
+    text,
+    ratio: ratios[Math.floor(ratios.length * TOLERATED_SHARE)],
+    large: isLargeText(fontSize, fontWeight, sliceWidth)
+  };
+}
+
+/**
+ * Turn contrast measurements into render issues
+ * @param {Array<Object>} results - From measureContrast
+ * @param {Object} options - From resolveContrastOptions
+ * @param {string} theme - Theme the screenshot was rendered with
+ * @returns {Array<{ type: 'contrast', severity: string, message: string }>}
+ */
+export function getContrastIssues(results, options, theme) {
+  return results
+    .filter(result => result.ratio < (result.large ? options.large : options.normal))
+    .map(result => ({
+      type: 'contrast',
+      severity: options.severity,
+      message: describeContrast(result, options, theme)
+    }));
+}
+
+/**
+ * Describe a failed measurement in one line
+ * @param {{ element: string, text: string, ratio: number, large: boolean }} result
+ * @param {Object} options - From resolveContrastOptions
+ * @param {string} theme
+ * @returns {string}
+ */
+export function describeContrast({ element, text, ratio, large }, options, theme) {
+  const quoted = `"${text.length > 40 ? `${text.slice(0, 39)}…` : text}"`;
+  const required = large ? options.large : options.normal;
+  const shown = Math.floor(ratio * 100) / 100;
+  return `${element} ${quoted} has a contrast of ${shown}:1 on the ${theme} theme (${options.level} needs ${required}:1 for ${large ? 'large' : 'normal'} text)`;
+}
+
+/**
+ * Composite a translucent color over an opaque one
+ * @param {{ r: number, g: number, b: number, a: number }} top
+ * @param {{ r: number, g: number, b: number }} bottom
+ * @returns {{ r: number, g: number, b: number }}
+ */
+function blend(top, bottom) {
+  if (top.a >= 1) {
+    return { r: top.r, g: top.g, b: top.b };
+  }
+  return {
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a)
+  };
+}
+
+/**
+ * Runs in the page: read each text element's color and line boxes, then hide
+ * the text (and its shadow) so only the background is left to capture
+ * @param {{ selector: string, attribute: string }} options
+ * @returns {Array<Object>} Elements to measure
+ */
+function inspectTextContrast({ selector, attribute }) {
+  const elements = [];
+
+  for (const el of document.querySelectorAll(selector)) {
+    const text = el.textContent.trim();
+    const style = getComputedStyle(el);
+    if (!text || el.getClientRects().length === 0 || style.visibility === 'hidden') continue;
+
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const rects = [...range.getClientRects()]
+      .filter(r => r.width > 0 && r.height > 0)
+      .map(r => ({ x: r.left, y: r.top, width: r.width, height: r.height }));
+    if (rects.length === 0) continue;
+
+    // Accent words are named after the headline they're in
+    const owner = el.closest('[data-storepix], [id], [data-storepix-fit]') || el;
+    elements.push({
+      element: (owner.dataset.storepix || owner.id || owner.dataset.storepixFit) + (owner === el ? '' : ' accent'),
+      text,
+      color: style.color,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: parseInt(style.fontWeight, 10) || 400,
+      rects
+    });
+    el.setAttribute(attribute, '');
+  }
+
+  if (elements.length > 0) {
+    const hide = document.createElement('style');
+    hide.id = 'storepix-contrast-hide';
+    hide.textContent = `[${attribute}], [${attribute}] * { color: transparent !important; ` +
+      '-webkit-text-fill-color: transparent !important; -webkit-text-stroke: 0 !important; ' +
+      'text-shadow: none !important; text-decoration-color: transparent !important; }';
+    document.head.appendChild(hide);
+  }
+
+  return elements;
+}
@@ -0,0 +1,122 @@
+import { devices, getDevice } from '../devices/index.js';
+import { getDeviceType } from './resolve-source.js';
+
+/**
+ * Per-device overrides
+ *
+ * A screenshot's `overrides` change its fields for some devices, keyed by
+ * platform, device type or device key:
+ *
+ *   {
+ *     id: '01_home',
+ *     headline: 'Track your daily moods in seconds',
+ *     overrides: {
+ *       android: { theme: 'dark', layout: 'bottom' },
+ *       'iphone-4.7': { headline: 'Track your daily moods' }
+ *     }
+ *   }
+ *
+ * More specific keys win: the platform (ios, android) is applied first, then
+ * the device type (iphone, ipad, android), then the device key. The feature
+ * graphic only takes overrides keyed by its own device key. Overrides
+ * are merged before localization, so translated text still replaces them;
+ * a locale entry can have `overrides` of its own for its text.
+ */
+
+/** Platforms overrides can be keyed by */
+export const OVERRIDE_PLATFORMS = [...new Set(Object.values(devices).map(device => device.platform))];
+
+/** Device types overrides can be keyed by (see getDeviceType) */
+export const OVERRIDE_TYPES = [...new Set(Object.keys(devices).map(getDeviceType).filter(Boolean))];
+
+/** Keys overrides can use: platforms, device types and device keys */
+export const OVERRIDE_KEYS = [...OVERRIDE_PLATFORMS, ...OVERRIDE_TYPES, ...Object.keys(devices)];
+
+/** Fields an override can't change */
+const FIXED_FIELDS = ['id', 'overrides'];
+
+/**
+ * Get the override keys that apply to a device, least specific first
+ *
+ * Promotional assets (the Play Store feature graphic) aren't screenshots, so
+ * overrides meant for the platform's phones and tablets don't reach them -
+ * only their own key does.
+ *
+ * @param {string} deviceKey - e.g. 'iphone-4.7'
+ * @returns {string[]} e.g. ['ios', 'iphone', 'iphone-4.7']
+ */
+export function getOverrideKeys(deviceKey) {
+  const device = getDevice(deviceKey);
+  if (device.type === 'promotional') {
+    return [deviceKey];
+  }
+  return [...new Set([device.platform, getDeviceType(deviceKey), deviceKey].filter(Boolean))];
+}
+
+/**
+ * Merge the overrides that apply to a device into a screenshot or locale entry
+ * @param {Object} entry - Screenshot entry (or resolved locale values)
+ * @param {string} deviceKey
+ * @returns {Object} The entry for this device, without `overrides`
+ */
+export function applyDeviceOverrides(entry, deviceKey) {
+  if (entry.overrides === undefined) {
+    return entry;
+  }
+
+  const { overrides, ...values } = entry;
+  for (const key of getOverrideKeys(deviceKey)) {
+    Object.assign(values, overrides?.[key]);
+  }
+  return values;
+}
+
+/**
+ * Check override keys and values in screenshots and locale entries
+ *
+ * Field values are checked against the template schema by validateConfig.
+ *
+ * @param {Object} config - Loaded storepix config (locale files already loaded)
+ * @returns {string[]} Error messages
+ */
+export function validateDeviceOverrides(config) {
+  const errors = [];
+  const validKeys = new Set(OVERRIDE_KEYS);
+
+  const check = (overrides, path) => {
+    if (overrides === undefined) return;
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+      errors.push(`${path} must be an object keyed by device, device type or platform`);
+      return;
+    }
+
+    for (const [key, values] of Object.entries(overrides)) {
+      if (!validKeys.has(key)) {
+        errors.push(`${path}.${key} doesn't match a device key, device type (${OVERRIDE_TYPES.join(', ')}) or platform (${OVERRIDE_PLATFORMS.join(', ')})`);
+        continue;
+      }
+      if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        errors.push(`${path}.${key} must be an object of screenshot fields`);
+        continue;
+      }
+      for (const field of FIXED_FIELDS) {
+        if (values[field] !== undefined) {
+          errors.push(`${path}.${key}.${field} can't be overridden per device`);
+        }
+      }
+    }
+  };
+
+  for (const screenshot of config.screenshots || []) {
+    check(screenshot.overrides, `[${screenshot.id}] overrides`);
+  }
+
+  for (const [locale, entries] of Object.entries(config.locales || {})) {
+    if (typeof entries !== 'object' || entries === null) continue;
+    for (const [id, entry] of Object.entries(entries)) {
+      check(entry?.overrides, `locales.${locale}.${id}.overrides`);
+    }
+  }
+
+  return errors;
+}
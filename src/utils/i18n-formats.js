@@ -0,0 +1,485 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parseXml, localName, childElements, findElements, textContent, escapeXml } from './xml.js';
+
+/**
+ * Translation file readers
+ *
+ * Reads key/value pairs from the localization formats apps already use:
+ *
+ *   .strings        Apple strings files ("key" = "value";)
+ *   .xml            Android resources (<string>, <string-array>)
+ *   .xlf / .xliff   XLIFF 1.2 and 2.0 (target text)
+ *   .json           Flat ({ "a.b": "..." }) or nested ({ a: { b: "..." } })
+ *   .csv            key and target columns (as written by writeCsv)
+ *
+ * Every reader returns a Map of key → string (or string[] for Android string
+ * arrays and JSON arrays). Mapping keys to screenshot fields is done by
+ * i18n.js. XLIFF and CSV can also be written, for handing strings to
+ * translators.
+ */
+
+/** Translation formats by file extension */
+export const TRANSLATION_FORMATS = {
+  '.strings': 'strings',
+  '.xml': 'android',
+  '.xlf': 'xliff',
+  '.xliff': 'xliff',
+  '.json': 'json',
+  '.csv': 'csv'
+};
+
+/** Columns written by writeCsv */
+const CSV_COLUMNS = ['key', 'screenshot', 'field', 'description', 'max_length', 'source', 'target'];
+
+/**
+ * Parse an Apple .strings file
+ * @param {string} text - File contents
+ * @returns {Map<string, string>}
+ * @throws {Error} On syntax errors, with the line number
+ */
+export function parseStrings(text) {
+  const entries = new Map();
+  let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split('\n').length;
+    throw new Error(`Invalid .strings file on line ${line}: ${message}`);
+  };
+
+  const skipTrivia = () => {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+      if (text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+        if (end === -1) fail('unterminated comment');
+        pos = end + 2;
+      } else if (text.startsWith('//', pos)) {
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end + 1;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readToken = () => {
+    if (text[pos] !== '"') {
+      // Unquoted keys are allowed for simple identifiers
+      const match = /^[A-Za-z0-9_.$:/-]+/.exec(text.slice(pos));
+      if (!match) fail('expected a quoted string');
+      pos += match[0].length;
+      return match[0];
+    }
+
+    let value = '';
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] !== '\\') {
+        value += text[pos++];
+        continue;
+      }
+      const next = text[pos + 1];
+      if (next === 'U' || next === 'u') {
+        const hex = text.slice(pos + 2, pos + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('invalid \\U escape');
+        value += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+        continue;
+      }
+      value += { n: '\n', t: '\t', r: '\r', 0: '\0' }[next] ?? next;
+      pos += 2;
+    }
+    if (pos >= text.length) fail('unterminated string');
+    pos++;
+    return value;
+  };
+
+  skipTrivia();
+  while (pos < text.length) {
+    const key = readToken();
+    skipTrivia();
+    if (text[pos] !== '=') fail(`expected "=" after "${key}"`);
+    pos++;
+    skipTrivia();
+    const value = readToken();
+    skipTrivia();
+    if (text[pos] !== ';') fail(`expected ";" after the value of "${key}"`);
+    pos++;
+    entries.set(key, value);
+    skipTrivia();
+  }
+
+  return entries;
+}
+
+/**
+ * Undo Android resource string escaping and whitespace rules
+ * @param {string} raw - Text content of a <string> or <item>
+ * @returns {string}
+ */
+function unescapeAndroid(raw) {
+  let value = '';
+  let quoted = false;
+  // Unquoted whitespace runs collapse to one space, dropped at either end
+  let pendingSpace = false;
+
+  const append = (text) => {
+    if (pendingSpace && value) value += ' ';
+    pendingSpace = false;
+    value += text;
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '\\' && i + 1 < raw.length) {
+      const next = raw[++i];
+      if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(raw.slice(i + 1, i + 5))) {
+        append(String.fromCharCode(parseInt(raw.slice(i + 1, i + 5), 16)));
+        i += 4;
+      } else {
+        append({ n: '\n', t: '\t' }[next] ?? next);
+      }
+    } else if (char === '"') {
+      // Double quotes preserve whitespace and aren't part of the value
+      append('');
+      quoted = !quoted;
+    } else if (/\s/.test(char) && !quoted) {
+      pendingSpace = true;
+    } else {
+      append(char);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Parse an Android strings.xml resource file
+ * @param {string} text - File contents
+ * @returns {Map<string, string|string[]>}
+ */
+export function parseAndroidStrings(text) {
+  const root = parseXml(text);
+  if (localName(root) !== 'resources') {
+    throw new Error(`Expected a <resources> root element, found <${root.name}>`);
+  }
+
+  const entries = new Map();
+  for (const element of root.children) {
+    if (typeof element === 'string' || !element.attributes.name) continue;
+
+    if (localName(element) === 'string') {
+      entries.set(element.attributes.name, unescapeAndroid(textContent(element)));
+    } else if (localName(element) === 'string-array') {
+      entries.set(element.attributes.name, childElements(element, 'item').map(item => unescapeAndroid(textContent(item))));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 file
+ *
+ * Units without a target (untranslated) are left out. In 1.2, a unit's
+ * resname is used as the key when present, otherwise its id.
+ *
+ * @param {string} text - File contents
+ * @returns {{ entries: Map<string, string>, version: string, sourceLocale: string|null, targetLocale: string|null, untranslated: string[] }}
+ */
+export function parseXliff(text) {
+  const root = parseXml(text);
+  if (localName(root) !== 'xliff') {
+    throw new Error(`Expected an <xliff> root element, found <${root.name}>`);
+  }
+
+  const version = root.attributes.version || '1.2';
+  const entries = new Map();
+  const untranslated = [];
+
+  if (version.startsWith('2')) {
+    for (const unit of findElements(root, 'unit')) {
+      const targets = findElements(unit, 'target');
+      if (targets.length === 0) {
+        untranslated.push(unit.attributes.id);
+        continue;
+      }
+      entries.set(unit.attributes.id, targets.map(textContent).join(''));
+    }
+    return {
+      entries,
+      version,
+      sourceLocale: root.attributes.srcLang || null,
+      targetLocale: root.attributes.trgLang || null,
+      untranslated
+    };
+  }
+
+  const [file] = findElements(root, 'file');
+  for (const unit of findElements(root, 'trans-unit')) {
+    const key = unit.attributes.resname || unit.attributes.id;
+    const [target] = childElements(unit, 'target');
+    if (!target) {
+      untranslated.push(key);
+      continue;
+    }
+    entries.set(key, textContent(target));
+  }
+  return {
+    entries,
+    version,
+    sourceLocale: file?.attributes['source-language'] || null,
+    targetLocale: file?.attributes['target-language'] || null,
+    untranslated
+  };
+}
+
+/**
+ * Parse a flat or nested JSON translation file
+ *
+ * Nested objects are flattened with "." (`{ a: { b: 'x' } }` → `a.b`).
+ * Arrays of strings are kept as arrays.
+ *
+ * @param {string} text - File contents
+ * @returns {Map<string, string|string[]>}
+ */
+export function parseJsonTranslations(text) {
+  const data = JSON.parse(text);
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('Expected a JSON object');
+  }
+
+  const entries = new Map();
+  const walk = (object, prefix) => {
+    for (const [key, value] of Object.entries(object)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (Array.isArray(value)) {
+        entries.set(path, value.map(String));
+      } else if (typeof value === 'object' && value !== null) {
+        walk(value, path);
+      } else if (value !== null) {
+        entries.set(path, String(value));
+      }
+    }
+  };
+  walk(data, '');
+
+  return entries;
+}
+
+/**
+ * Parse CSV rows (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text - File contents
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Parse a CSV translation file
+ *
+ * The first row names the columns; "key" and "target" are required. Rows
+ * with an empty target are left out.
+ *
+ * @param {string} text - File contents
+ * @returns {{ entries: Map<string, string>, untranslated: string[] }}
+ */
+export function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const keyColumn = columns.indexOf('key');
+  const targetColumn = columns.indexOf('target');
+  if (keyColumn === -1 || targetColumn === -1) {
+    throw new Error('Expected "key" and "target" columns in the first row');
+  }
+
+  const entries = new Map();
+  const untranslated = [];
+  for (const row of rows) {
+    const key = row[keyColumn];
+    if (row[targetColumn]) {
+      entries.set(key, row[targetColumn]);
+    } else {
+      untranslated.push(key);
+    }
+  }
+
+  return { entries, untranslated };
+}
+
+/**
+ * @typedef {Object} TranslationUnit
+ * @property {string} key - Translation key (e.g. 'screenshot.01_home.headline')
+ * @property {string} id - Screenshot id
+ * @property {string} field - Field name (e.g. 'headline', 'headlines[1]')
+ * @property {string} source - Source text
+ * @property {string|null} target - Existing translation
+ * @property {string|null} description - What the field is for
+ * @property {number|null} maxLength - Maximum length in characters
+ */
+
+/**
+ * Describe a unit for translators
+ * @param {TranslationUnit} unit
+ * @returns {string}
+ */
+function describeUnit(unit) {
+  const parts = [`Screenshot "${unit.id}", ${unit.field}`];
+  if (unit.description) parts.push(unit.description);
+  if (unit.maxLength) parts.push(`Max ${unit.maxLength} characters`);
+  return parts.join('. ');
+}
+
+/**
+ * Write units as an XLIFF 1.2 document
+ *
+ * Each unit carries its context in a note and its maximum length as
+ * maxwidth, which most translation tools enforce.
+ *
+ * @param {TranslationUnit[]} units
+ * @param {Object} options
+ * @param {string} options.sourceLocale - source-language
+ * @param {string} options.targetLocale - target-language
+ * @returns {string}
+ */
+export function writeXliff(units, { sourceLocale, targetLocale }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file original="storepix" datatype="plaintext" source-language="${escapeXml(sourceLocale)}" target-language="${escapeXml(targetLocale)}">`,
+    '    <body>'
+  ];
+
+  for (const unit of units) {
+    const width = unit.maxLength ? ` maxwidth="${unit.maxLength}" size-unit="char"` : '';
+    lines.push(`      <trans-unit id="${escapeXml(unit.key)}" resname="${escapeXml(unit.key)}"${width}>`);
+    lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+    if (unit.target) {
+      lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+    }
+    lines.push(`        <note>${escapeXml(describeUnit(unit))}</note>`);
+    lines.push('      </trans-unit>');
+  }
+
+  lines.push('    </body>', '  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Write units as CSV (key, screenshot, field, description, max_length, source, target)
+ * @param {TranslationUnit[]} units
+ * @returns {string}
+ */
+export function writeCsv(units) {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = units.map(unit => [
+    unit.key, unit.id, unit.field, unit.description, unit.maxLength, unit.source, unit.target
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Decode a translation file, following its byte order mark
+ *
+ * Xcode exports .strings files as UTF-16, so a UTF-16 BOM (little or big
+ * endian) picks that encoding. A UTF-8 BOM is dropped, and files without a
+ * BOM are read as UTF-8.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+export function decodeTranslationText(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    // Node has no big-endian decoder - swap each pair of bytes (a copy, even length)
+    const body = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+    return body.swap16().toString('utf16le');
+  }
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return buffer.subarray(3).toString('utf-8');
+  }
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Read a translation file, picking the format from its extension
+ * @param {string} filePath - Absolute path
+ * @returns {{ format: string, entries: Map<string, string|string[]>, locale: string|null, untranslated: string[] }}
+ *   locale is only known for XLIFF (its target language)
+ * @throws {Error} If the file can't be read or parsed, or the extension is unknown
+ */
+export function readTranslationFile(filePath) {
+  const format = TRANSLATION_FORMATS[extname(filePath).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported translation file "${filePath}" (use ${Object.keys(TRANSLATION_FORMATS).join(', ')})`);
+  }
+
+  const text = decodeTranslationText(readFileSync(filePath));
+  try {
+    switch (format) {
+      case 'strings':
+        return { format, entries: parseStrings(text), locale: null, untranslated: [] };
+      case 'android':
+        return { format, entries: parseAndroidStrings(text), locale: null, untranslated: [] };
+      case 'xliff': {
+        const { entries, targetLocale, untranslated } = parseXliff(text);
+        return { format, entries, locale: targetLocale, untranslated };
+      }
+      case 'csv': {
+        const { entries, untranslated } = parseCsv(text);
+        return { format, entries, locale: null, untranslated };
+      }
+      default:
+        return { format, entries: parseJsonTranslations(text), locale: null, untranslated: [] };
+    }
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+}
@@ -0,0 +1,194 @@
+import { collectTranslationUnits } from './i18n.js';
+import { resolveLocalizedScreenshot } from './locales.js';
+import { findCallout } from './annotations.js';
+
+/**
+ * Translation completeness
+ *
+ * Checks every translatable string (see collectTranslationUnits) in every
+ * locale other than the source locale:
+ *
+ *   translated - the locale has its own value
+ *   inherited  - a fallback locale supplies it (see locales.js)
+ *   identical  - the value is the same as the base text
+ *   missing    - nothing in the locale's chain, so the base text is rendered
+ *
+ * Locale entries for screenshot ids that don't exist, and prefixed keys in
+ * translation files that don't match a screenshot, are reported as unknown.
+ */
+
+/** Cell marks for the status matrix */
+const MARKS = {
+  translated: '\x1b[32m✓\x1b[0m',
+  inherited: '\x1b[36m←\x1b[0m',
+  identical: '\x1b[33m=\x1b[0m',
+  missing: '\x1b[31m✗\x1b[0m'
+};
+
+/**
+ * Check the translation status of every locale
+ * @param {Object} config - Loaded storepix config (locale files already loaded)
+ * @param {(screenshot: Object, deviceKey?: string) => Object|null} getSchema - Template schema lookup
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.unknownKeys] - Unmatched file keys per locale (from loadLocaleFiles)
+ * @returns {{
+ *   sourceLocale: string,
+ *   locales: string[],
+ *   strings: Array<{ id: string, field: string, source: string }>,
+ *   cells: Array<{ locale: string, id: string, field: string, status: string, from: string|null }>,
+ *   summary: Object<string, { translated: number, inherited: number, identical: number, missing: number }>,
+ *   unknown: Array<{ locale: string, key: string }>,
+ *   complete: boolean
+ * }}
+ *   complete is false when anything is missing or unknown
+ */
+export function getTranslationStatus(config, getSchema, { unknownKeys = {} } = {}) {
+  const sourceLocale = config.i18n?.sourceLocale || 'en';
+  const locales = Object.keys(config.locales || {}).filter(locale => locale !== sourceLocale);
+  const units = collectTranslationUnits(config, getSchema);
+  const screenshots = new Map((config.screenshots || []).map(screenshot => [screenshot.id, screenshot]));
+
+  const cells = [];
+  const summary = {};
+
+  for (const locale of locales) {
+    const counts = { translated: 0, inherited: 0, identical: 0, missing: 0 };
+    const resolved = new Map();
+
+    for (const unit of units) {
+      if (!resolved.has(unit.id)) {
+        resolved.set(unit.id, resolveLocalizedScreenshot(config, screenshots.get(unit.id), locale));
+      }
+      const { values, sources } = resolved.get(unit.id);
+
+      // Array entries are listed as e.g. headlines[1], callouts as annotations.<key>,
+      // override text as overrides.<device>.<field>
+      const [, field, index] = /^(.+?)(?:\[(\d+)\])?$/.exec(unit.field);
+      const callout = /^annotations\.(.+)$/.exec(field);
+      const override = /^overrides\.(.+)\.([^.]+)$/.exec(field);
+      const fieldValue = override ? values.overrides?.[override[1]]?.[override[2]] : values[field];
+      const value = callout
+        ? findCallout(values.annotations, callout[1])?.text
+        : index === undefined ? fieldValue : fieldValue?.[Number(index)];
+      const from = sources[callout ? 'annotations' : override ? 'overrides' : field];
+
+      let status;
+      if (from === null || !value) {
+        status = 'missing';
+      } else if (value === unit.source) {
+        status = 'identical';
+      } else if (from !== locale) {
+        status = 'inherited';
+      } else {
+        status = 'translated';
+      }
+
+      counts[status]++;
+      cells.push({ locale, id: unit.id, field: unit.field, status, from: status === 'inherited' ? from : null });
+    }
+
+    summary[locale] = counts;
+  }
+
+  const unknown = [];
+  for (const [locale, entries] of Object.entries(config.locales || {})) {
+    for (const id of Object.keys(entries || {})) {
+      if (!screenshots.has(id)) {
+        unknown.push({ locale, key: id });
+      }
+    }
+    for (const key of unknownKeys[locale] || []) {
+      unknown.push({ locale, key });
+    }
+  }
+
+  return {
+    sourceLocale,
+    locales,
+    strings: units.map(({ id, field, source }) => ({ id, field, source })),
+    cells,
+    summary,
+    unknown,
+    complete: unknown.length === 0 && cells.every(cell => cell.status !== 'missing')
+  };
+}
+
+/**
+ * Print the full locale × string matrix (for storepix i18n status)
+ * @param {Object} status - Result from getTranslationStatus
+ */
+export function printTranslationStatus(status) {
+  const { locales, strings, cells, summary, unknown } = status;
+
+  if (locales.length === 0) {
+    console.log(`  No locales to check besides the source locale "${status.sourceLocale}".\n`);
+    return;
+  }
+
+  const labels = strings.map(({ id, field }) => `${id} ${field}`);
+  const labelWidth = Math.max(6, ...labels.map(label => label.length)) + 2;
+  const columnWidths = locales.map(locale => Math.max(2, locale.length) + 2);
+
+  console.log(`  ${'String'.padEnd(labelWidth)}${locales.map((locale, i) => locale.padEnd(columnWidths[i])).join('')}`);
+  strings.forEach((_, row) => {
+    const marks = locales.map((locale, i) => {
+      const cell = cells[i * strings.length + row];
+      return MARKS[cell.status] + ' '.repeat(columnWidths[i] - 1);
+    });
+    console.log(`  ${labels[row].padEnd(labelWidth)}${marks.join('')}`);
+  });
+  console.log(`\n  ${MARKS.translated} translated  ${MARKS.inherited} inherited  ${MARKS.identical} identical to base  ${MARKS.missing} missing\n`);
+
+  for (const locale of locales) {
+    const { translated, inherited, identical, missing } = summary[locale];
+    const done = translated + inherited;
+    console.log(`  ${locale}: ${done}/${strings.length} translated` +
+      (identical > 0 ? `, ${identical} identical to base` : '') +
+      (missing > 0 ? `, ${missing} missing` : ''));
+  }
+
+  if (unknown.length > 0) {
+    console.log('\n  Unknown screenshot ids:');
+    for (const { locale, key } of unknown) {
+      console.log(`    ${locale}: ${key}`);
+    }
+  }
+  console.log();
+}
+
+/**
+ * Print only the problems, for the generate log
+ * @param {Object} status - Result from getTranslationStatus
+ * @returns {boolean} Whether anything was printed
+ */
+export function printTranslationIssues(status) {
+  const lines = [];
+  const list = (items) => (items.length > 3 ? `${items.slice(0, 3).join(', ')} and ${items.length - 3} more` : items.join(', '));
+
+  for (const locale of status.locales) {
+    const localeCells = status.cells.filter(cell => cell.locale === locale);
+    const missing = localeCells.filter(cell => cell.status === 'missing').map(cell => `${cell.id} ${cell.field}`);
+    const identical = localeCells.filter(cell => cell.status === 'identical').map(cell => `${cell.id} ${cell.field}`);
+
+    if (missing.length > 0) {
+      lines.push(`${locale}: missing ${list(missing)}`);
+    }
+    if (identical.length > 0) {
+      lines.push(`${locale}: identical to base: ${list(identical)}`);
+    }
+  }
+  for (const { locale, key } of status.unknown) {
+    lines.push(`${locale}: unknown screenshot "${key}"`);
+  }
+
+  if (lines.length === 0) {
+    return false;
+  }
+
+  console.log('  Translations:');
+  for (const line of lines) {
+    console.log(`    \x1b[33m⚠ ${line}\x1b[0m`);
+  }
+  console.log('    Run "npx storepix i18n status" for the full matrix.\n');
+  return true;
+}
@@ -0,0 +1,468 @@
+import { existsSync } from 'fs';
+import { join, isAbsolute } from 'path';
+import { readTranslationFile } from './i18n-formats.js';
+import { getAnnotationKey, findCallout, localizeAnnotations } from './annotations.js';
+import { OVERRIDE_KEYS } from './device-overrides.js';
+
+/**
+ * Translation file mapping
+ *
+ * Maps keys from app localization files to screenshot fields, so
+ * config.locales can point at the files translators already work on:
+ *
+ *   locales: {
+ *     de: './i18n/de.json',
+ *     fr: '../App/fr.lproj/Screenshots.strings',
+ *     ja: './translations/ja.xliff'
+ *   }
+ *
+ * Keys are `<prefix>.<screenshot id>.<field>` (prefix defaults to
+ * 'screenshot', configurable with config.i18n.prefix; '' leaves keys as
+ * `<screenshot id>.<field>`). Android resource
+ * names can't contain dots, so "_" works as a separator too:
+ *
+ *   screenshot.01_home.headline     → 01_home headline
+ *   screenshot.home.headline        → 01_home headline (numeric id prefix is optional)
+ *   screenshot_home_subheadline     → 01_home subheadline
+ *   screenshot.hero.headlines.1     → hero headlines[1]
+ *   screenshot.home.annotations.save → 01_home callout "save" (see annotations.js)
+ *   screenshot.home.overrides.iphone-4.7.headline → 01_home headline on iphone-4.7
+ *                                      (see device-overrides.js)
+ *
+ * Keys without the prefix are only used when they start with an exact
+ * screenshot id (the storepix locale JSON format, { "01_home": { ... } }).
+ * Anything else in the file is app text and is ignored.
+ */
+
+/** Default key prefix for screenshot strings */
+export const DEFAULT_KEY_PREFIX = 'screenshot';
+
+/** Fields that hold one string per panorama slice */
+const ARRAY_FIELDS = ['headlines', 'subheadlines'];
+
+/** Screenshot keys that aren't text, so never go to translators */
+const NON_TEXT_KEYS = new Set(['id', 'source', 'sourceFit', 'template', 'theme', 'layout', 'slices', 'background', 'logo']);
+
+/** Override keys as they can appear in keys, longest first - Android names use "_" for "." and "-" */
+const OVERRIDE_KEY_NAMES = OVERRIDE_KEYS
+  .flatMap(key => [...new Set([key, key.replace(/[.-]/g, '_')])].map(name => ({ name, key })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Key of a screenshot's strings, e.g. 'screenshot.01_home'
+ * @param {string} prefix - Key prefix ('' for none)
+ * @param {string} id - Screenshot id
+ * @returns {string}
+ */
+export function getScreenshotKey(prefix, id) {
+  return prefix ? `${prefix}.${id}` : id;
+}
+
+/**
+ * Names a screenshot can be referred to by in keys, e.g. '01_home' → ['01_home', 'home']
+ * @param {string} id - Screenshot id
+ * @returns {string[]}
+ */
+function getKeyNames(id) {
+  const alias = id.replace(/^\d+[_-]/, '');
+  return alias && alias !== id ? [id, alias] : [id];
+}
+
+/**
+ * Find the field a key refers to, after the screenshot name
+ * @param {string} field - e.g. 'headline', 'headlines.1', 'annotations.save'
+ * @returns {{ field: string, index: number|null, callout?: string }|null}
+ */
+function matchField(field) {
+  const indexed = /^(headlines|subheadlines)(?:[._](\d+)|\[(\d+)\])$/.exec(field);
+  if (indexed) {
+    return { field: indexed[1], index: Number(indexed[2] ?? indexed[3]) };
+  }
+  const callout = /^annotations[._](.+)$/.exec(field);
+  if (callout) {
+    return { field: 'annotations', index: null, callout: callout[1] };
+  }
+  return field ? { field, index: null } : null;
+}
+
+/**
+ * Find the device override a field refers to, e.g. 'overrides.iphone-4.7.headline'
+ * @param {string} field - Field part of the key
+ * @returns {{ field: string, index: number|null, override: string }|null}
+ */
+function matchOverrideField(field) {
+  const rest = /^overrides[._](.+)$/.exec(field)?.[1];
+  if (rest === undefined) {
+    return null;
+  }
+  for (const { name, key } of OVERRIDE_KEY_NAMES) {
+    if (!rest.startsWith(name) || !['.', '_'].includes(rest[name.length])) {
+      continue;
+    }
+    const match = matchField(rest.slice(name.length + 1));
+    // Callouts are translated by id for every device
+    if (match && match.callout === undefined) {
+      return { ...match, override: key };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the screenshot and field a key refers to
+ * @param {string} rest - Key without prefix
+ * @param {Array<{ name: string, id: string }>} names - Key names, longest first
+ * @returns {{ id: string, field: string, index: number|null, callout?: string, override?: string }|null}
+ */
+function matchKey(rest, names) {
+  for (const { name, id } of names) {
+    if (!rest.startsWith(name) || !['.', '_'].includes(rest[name.length])) {
+      continue;
+    }
+    const field = rest.slice(name.length + 1);
+    const match = /^overrides[._]/.test(field) ? matchOverrideField(field) : matchField(field);
+    if (match) {
+      return { id, ...match };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map translation keys to screenshot fields
+ * @param {Map<string, string|string[]>} entries - Keys and values from a translation file
+ * @param {Array<{ id: string }>} screenshots - config.screenshots
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Key prefix (default: 'screenshot')
+ * @returns {{ locale: Object<string, Object>, mapped: string[], unknown: string[] }}
+ *   Locale entries in config.locales format, the keys used, and prefixed keys
+ *   that don't match any screenshot
+ */
+export function mapTranslationKeys(entries, screenshots, { prefix = DEFAULT_KEY_PREFIX } = {}) {
+  const exactNames = screenshots.map(s => ({ name: s.id, id: s.id }));
+  const allNames = screenshots.flatMap(s => getKeyNames(s.id).map(name => ({ name, id: s.id })));
+
+  // Aliases shared by several screenshots (01_home, 02_home) or equal to an id are ambiguous
+  const counts = new Map();
+  allNames.forEach(({ name }) => counts.set(name, (counts.get(name) || 0) + 1));
+  const prefixedNames = allNames
+    .filter(({ name, id }) => name === id || counts.get(name) === 1)
+    .sort((a, b) => b.name.length - a.name.length);
+  exactNames.sort((a, b) => b.name.length - a.name.length);
+
+  const locale = {};
+  const mapped = [];
+  const unknown = [];
+
+  for (const [key, value] of entries) {
+    let match = null;
+    const separator = key[prefix.length];
+    if (prefix && key.startsWith(prefix) && (separator === '.' || separator === '_')) {
+      match = matchKey(key.slice(prefix.length + 1), prefixedNames);
+      if (!match) {
+        unknown.push(key);
+        continue;
+      }
+    } else {
+      match = matchKey(key, exactNames);
+      if (!match) continue;
+    }
+
+    // Override text goes under the locale entry's own overrides
+    const screenshotEntry = locale[match.id] ||= {};
+    const entry = match.override === undefined
+      ? screenshotEntry
+      : ((screenshotEntry.overrides ||= {})[match.override] ||= {});
+    if (match.callout !== undefined) {
+      entry.annotations = { ...entry.annotations, [match.callout]: String(value) };
+    } else if (match.index !== null) {
+      const values = Array.isArray(entry[match.field]) ? entry[match.field] : [];
+      values[match.index] = String(value);
+      entry[match.field] = Array.from(values, v => v ?? '');
+    } else if (Array.isArray(value) && !ARRAY_FIELDS.includes(match.field)) {
+      entry[match.field] = value.join('\n');
+    } else {
+      entry[match.field] = value;
+    }
+    mapped.push(key);
+  }
+
+  return { locale, mapped, unknown };
+}
+
+/**
+ * Merge imported locale entries into a locale file's existing entries
+ *
+ * A translation file can cover part of a screenshot, so only what it sets
+ * changes: headlines[] and subheadlines[] by index (mapTranslationKeys pads
+ * the entries it skips with ''), callout text by key and override text per
+ * device.
+ *
+ * @param {Object<string, Object>} existing - Current locale file contents
+ * @param {Object<string, Object>} imported - Locale entries from mapTranslationKeys
+ * @returns {Object<string, Object>}
+ */
+export function mergeLocaleEntries(existing, imported) {
+  const merged = { ...existing };
+  for (const [id, fields] of Object.entries(imported)) {
+    merged[id] = mergeLocaleFields(existing[id] || {}, fields);
+  }
+  return merged;
+}
+
+/**
+ * Merge one screenshot's (or device override's) imported fields
+ * @param {Object} current - Existing fields
+ * @param {Object} fields - Imported fields
+ * @returns {Object}
+ */
+function mergeLocaleFields(current, fields) {
+  const merged = { ...current, ...fields };
+  for (const [field, value] of Object.entries(fields)) {
+    const previous = current[field];
+    if (field === 'overrides') {
+      merged.overrides = { ...previous };
+      for (const [key, values] of Object.entries(value)) {
+        merged.overrides[key] = mergeLocaleFields(merged.overrides[key] || {}, values);
+      }
+    } else if (field === 'annotations' && !Array.isArray(value)) {
+      // A full annotation list in the file keeps its callouts, with the new text
+      merged.annotations = Array.isArray(previous)
+        ? localizeAnnotations(previous, value)
+        : { ...previous, ...value };
+    } else if (ARRAY_FIELDS.includes(field) && Array.isArray(value) && Array.isArray(previous)) {
+      const length = Math.max(value.length, previous.length);
+      merged[field] = Array.from({ length }, (_, index) => value[index] || previous[index] || '');
+    }
+  }
+  return merged;
+}
+
+/**
+ * List the strings to hand to translators for a locale
+ *
+ * Covers headline, subheadline, each headlines[] and subheadlines[] entry,
+ * callout text, string custom content and the text of per-device overrides.
+ * Source text is the base screenshot; targets are the locale's own values
+ * (not inherited through fallbacks). Descriptions and maximum lengths
+ * come from the schema of the template each screenshot (or device override)
+ * renders with, and config.i18n.maxLength overrides the schema per field.
+ *
+ * @param {Object} config - Loaded storepix config (locale files already loaded)
+ * @param {(screenshot: Object, deviceKey?: string) => Object|null} getSchema - Template schema lookup
+ *   (see createSchemaLookup in config-validation.js)
+ * @param {string|null} [locale] - Target locale for existing translations
+ * @returns {import('./i18n-formats.js').TranslationUnit[]}
+ */
+export function collectTranslationUnits(config, getSchema, locale = null) {
+  const prefix = config.i18n?.prefix ?? DEFAULT_KEY_PREFIX;
+  const units = [];
+
+  for (const screenshot of config.screenshots || []) {
+    const translated = (locale && config.locales?.[locale]?.[screenshot.id]) || {};
+    const schema = getSchema(screenshot);
+    const base = getScreenshotKey(prefix, screenshot.id);
+
+    for (const [field, value] of Object.entries(screenshot)) {
+      if (NON_TEXT_KEYS.has(field)) continue;
+
+      if (field === 'annotations') {
+        units.push(...collectCalloutUnits(screenshot, translated.annotations, base));
+        continue;
+      }
+
+      if (field === 'overrides') {
+        units.push(...collectOverrideUnits(config, getSchema, screenshot, translated.overrides, base));
+        continue;
+      }
+
+      units.push(...collectFieldUnits(config, schema, {
+        id: screenshot.id,
+        field,
+        value,
+        target: translated[field],
+        key: `${base}.${field}`,
+        name: field
+      }));
+    }
+  }
+
+  return units;
+}
+
+/**
+ * List the strings of one screenshot field
+ * @param {Object} config - Loaded storepix config
+ * @param {Object|null} schema - Template schema
+ * @param {Object} options
+ * @param {string} options.id - Screenshot id
+ * @param {string} options.field - Field name, for the schema lookup
+ * @param {*} options.value - Source value
+ * @param {*} options.target - The locale's own value
+ * @param {string} options.key - Translation key
+ * @param {string} options.name - Field as listed in units, e.g. 'overrides.iphone-4.7.headline'
+ * @param {string} [options.device] - Override key the text is for
+ * @returns {import('./i18n-formats.js').TranslationUnit[]}
+ */
+function collectFieldUnits(config, schema, { id, field, value, target, key, name, device }) {
+  const fieldSchema = schema?.fields?.[field];
+  if (fieldSchema && !['string', 'array'].includes(fieldSchema.type)) {
+    return [];
+  }
+
+  const description = fieldSchema?.description || (fieldSchema ? null : `Custom content (data-storepix="${field}")`);
+  const context = {
+    id,
+    description: device && description ? `${description} (${device} only)` : description,
+    maxLength: config.i18n?.maxLength?.[field] ?? fieldSchema?.maxLength ?? null
+  };
+
+  if (ARRAY_FIELDS.includes(field) && Array.isArray(value)) {
+    return value.map((text, index) => ({
+      key: `${key}.${index}`,
+      field: `${name}[${index}]`,
+      source: text,
+      target: target?.[index] || null,
+      ...context
+    }));
+  }
+  if (typeof value === 'string' && value) {
+    return [{
+      key,
+      field: name,
+      source: value,
+      target: typeof target === 'string' ? target : null,
+      ...context
+    }];
+  }
+  return [];
+}
+
+/**
+ * List the text a screenshot's per-device overrides change
+ * @param {Object} config - Loaded storepix config
+ * @param {(screenshot: Object, deviceKey?: string) => Object|null} getSchema - Template schema lookup
+ * @param {Object} screenshot - Base screenshot
+ * @param {Object} [translated] - The locale's own overrides
+ * @param {string} base - Key of the screenshot's strings (see getScreenshotKey)
+ * @returns {import('./i18n-formats.js').TranslationUnit[]}
+ */
+function collectOverrideUnits(config, getSchema, screenshot, translated, base) {
+  if (typeof screenshot.overrides !== 'object' || screenshot.overrides === null) {
+    return [];
+  }
+
+  return Object.entries(screenshot.overrides).flatMap(([device, values]) => {
+    if (typeof values !== 'object' || values === null) {
+      return [];
+    }
+    // An override can switch template, e.g. on the feature graphic
+    const schema = getSchema({ ...screenshot, ...values }, device);
+    return Object.entries(values)
+      .filter(([field]) => !NON_TEXT_KEYS.has(field) && field !== 'annotations' && field !== 'overrides')
+      .flatMap(([field, value]) => collectFieldUnits(config, schema, {
+        id: screenshot.id,
+        field,
+        value,
+        target: translated?.[device]?.[field],
+        key: `${base}.overrides.${device}.${field}`,
+        name: `overrides.${device}.${field}`,
+        device
+      }));
+  });
+}
+
+/**
+ * List the callout text of a screenshot's annotations
+ * @param {Object} screenshot - Base screenshot
+ * @param {Array<Object>|Object<string, string>} [translated] - The locale's annotations override
+ * @param {string} base - Key of the screenshot's strings (see getScreenshotKey)
+ * @returns {import('./i18n-formats.js').TranslationUnit[]}
+ */
+function collectCalloutUnits(screenshot, translated, base) {
+  if (!Array.isArray(screenshot.annotations)) {
+    return [];
+  }
+
+  return screenshot.annotations.flatMap((annotation, index) => {
+    if (annotation?.type !== 'callout' || typeof annotation.text !== 'string' || !annotation.text) {
+      return [];
+    }
+    const key = getAnnotationKey(annotation, index);
+    const target = Array.isArray(translated) ? findCallout(translated, key)?.text : translated?.[key];
+    return [{
+      key: `${base}.annotations.${key}`,
+      field: `annotations.${key}`,
+      source: annotation.text,
+      target: typeof target === 'string' ? target : null,
+      id: screenshot.id,
+      description: 'Callout text drawn over the app screenshot',
+      maxLength: null
+    }];
+  });
+}
+
+/**
+ * Load locales that point at translation files
+ *
+ * Returns a copy of the config with every string entry in config.locales
+ * replaced by the mapped screenshot fields. Inline locale objects are kept
+ * as they are.
+ *
+ * @param {Object} config - Loaded storepix config
+ * @param {string} configDir - Directory containing the config file
+ * @returns {{ config: Object, files: string[], errors: string[], warnings: string[], unknownKeys: Object<string, string[]> }}
+ *   files are the absolute paths read (for watching); unknownKeys lists, per
+ *   locale, prefixed keys that don't match a screenshot
+ */
+export function loadLocaleFiles(config, configDir) {
+  const result = { config, files: [], errors: [], warnings: [], unknownKeys: {} };
+  const locales = config.locales;
+  if (!locales || typeof locales !== 'object' || !Object.values(locales).some(v => typeof v === 'string')) {
+    return result;
+  }
+
+  const prefix = config.i18n?.prefix ?? DEFAULT_KEY_PREFIX;
+  const loaded = {};
+
+  for (const [locale, value] of Object.entries(locales)) {
+    if (typeof value !== 'string') {
+      loaded[locale] = value;
+      continue;
+    }
+
+    const filePath = isAbsolute(value) ? value : join(configDir, value);
+    result.files.push(filePath);
+    if (!existsSync(filePath)) {
+      result.errors.push(`locales.${locale}: translation file not found: ${value}`);
+      loaded[locale] = {};
+      continue;
+    }
+
+    let file;
+    try {
+      file = readTranslationFile(filePath);
+    } catch (err) {
+      result.errors.push(`locales.${locale}: ${err.message}`);
+      loaded[locale] = {};
+      continue;
+    }
+
+    if (file.locale && file.locale !== locale) {
+      result.warnings.push(`locales.${locale}: ${value} is translated to "${file.locale}"`);
+    }
+
+    const { locale: entries, mapped, unknown } = mapTranslationKeys(file.entries, config.screenshots || [], { prefix });
+    if (mapped.length === 0) {
+      result.warnings.push(`locales.${locale}: no screenshot strings found in ${value} (expected keys like ${getScreenshotKey(prefix, '<id>')}.headline)`);
+    }
+    if (unknown.length > 0) {
+      result.unknownKeys[locale] = unknown;
+      result.warnings.push(`locales.${locale}: ${unknown.length} key(s) in ${value} don't match a screenshot: ${unknown.join(', ')}`);
+    }
+    loaded[locale] = entries;
+  }
+
+  result.config = { ...config, locales: loaded };
+  return result;
+}
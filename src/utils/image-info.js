@@ -0,0 +1,130 @@
+import { isPng, readChunks, readHeader, COLOR_TYPE } from './png.js';
+
+/**
+ * Image header parsing
+ *
+ * Reads format, dimensions and alpha support from PNG, JPEG and WebP headers
+ * without decoding pixel data.
+ */
+
+/** JPEG start-of-frame markers (SOF0-SOF15, excluding DHT, JPG and DAC) */
+const JPEG_SOF_MARKERS = new Set([
+  0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF
+]);
+
+/**
+ * Read basic image information from file contents
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{ format: 'png'|'jpeg'|'webp', width: number, height: number, hasAlphaChannel: boolean, colorType?: number }}
+ * @throws {Error} If the format is unknown or the header is malformed
+ */
+export function readImageInfo(buffer) {
+  if (isPng(buffer)) {
+    return readPngInfo(buffer);
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return readJpegInfo(buffer);
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return readWebpInfo(buffer);
+  }
+  throw new Error('Unrecognized image format (expected PNG, JPEG or WebP)');
+}
+
+/**
+ * @param {Buffer} buffer
+ */
+function readPngInfo(buffer) {
+  const chunks = readChunks(buffer);
+  const { width, height, colorType } = readHeader(chunks);
+  const hasAlphaChannel = colorType === COLOR_TYPE.GRAY_ALPHA ||
+    colorType === COLOR_TYPE.RGBA ||
+    chunks.some(chunk => chunk.type === 'tRNS');
+
+  return { format: 'png', width, height, hasAlphaChannel, colorType };
+}
+
+/**
+ * Walk JPEG markers until the start-of-frame segment
+ * @param {Buffer} buffer
+ */
+function readJpegInfo(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      throw new Error('Malformed JPEG: expected a marker');
+    }
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and standalone markers have no length
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (offset + 9 > buffer.length) break;
+      return {
+        format: 'jpeg',
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        hasAlphaChannel: false
+      };
+    }
+    if (marker === 0xDA) {
+      break; // Start of scan before any frame header
+    }
+    offset += 2 + length;
+  }
+
+  throw new Error('Malformed JPEG: no frame header found');
+}
+
+/**
+ * Read the first WebP chunk (VP8, VP8L or VP8X)
+ * @param {Buffer} buffer
+ */
+function readWebpInfo(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  const data = 20;
+  const needed = { 'VP8 ': 10, 'VP8L': 5, 'VP8X': 10 }[chunk] || 0;
+  if (buffer.length < data + needed) {
+    throw new Error('Malformed WebP: file too short');
+  }
+
+  switch (chunk) {
+    case 'VP8 ':
+      // Lossy: frame tag (3) + start code (3), then 14-bit dimensions
+      return {
+        format: 'webp',
+        width: buffer.readUInt16LE(data + 6) & 0x3FFF,
+        height: buffer.readUInt16LE(data + 8) & 0x3FFF,
+        hasAlphaChannel: false
+      };
+    case 'VP8L': {
+      // Lossless: signature byte, then 14-bit width-1, 14-bit height-1, alpha hint bit
+      const bits = buffer.readUInt32LE(data + 1);
+      return {
+        format: 'webp',
+        width: (bits & 0x3FFF) + 1,
+        height: ((bits >> 14) & 0x3FFF) + 1,
+        hasAlphaChannel: Boolean((bits >> 28) & 1)
+      };
+    }
+    case 'VP8X':
+      // Extended: flags byte, 3 reserved, 24-bit canvas width-1 and height-1
+      return {
+        format: 'webp',
+        width: buffer.readUIntLE(data + 4, 3) + 1,
+        height: buffer.readUIntLE(data + 7, 3) + 1,
+        hasAlphaChannel: Boolean(buffer[data] & 0x10)
+      };
+    default:
+      throw new Error(`Malformed WebP: unknown chunk "${chunk}"`);
+  }
+}
@@ -0,0 +1,178 @@
+import { localizeAnnotations } from './annotations.js';
+
+/**
+ * Locale fallback chains
+ *
+ * A locale inherits text from less specific locales before falling back to
+ * the base screenshot, so regional variants only list what differs:
+ *
+ *   locales: {
+ *     de: { '01_home': { headline: 'Verfolge deine', subheadline: 'Stimmungen' } },
+ *     'de-AT': { '01_home': { subheadline: 'Launen' } },
+ *   }
+ *
+ * renders de-AT with the German headline. The implicit chain drops subtags
+ * from the end (zh-Hant-TW → zh-Hant → zh) and only includes locales defined
+ * in config.locales. config.localeFallbacks replaces it for a locale:
+ *
+ *   localeFallbacks: { 'pt-PT': ['pt-BR'] }
+ */
+
+/** Text fields where an empty value falls back instead of overriding */
+const TEXT_FIELDS = ['headline', 'subheadline', 'headlines', 'subheadlines'];
+
+/** Languages written right-to-left */
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+/** Scripts written right-to-left (a script subtag overrides the language) */
+const RTL_SCRIPTS = new Set(['arab', 'hebr', 'syrc', 'thaa', 'nkoo', 'adlm', 'rohg']);
+
+/**
+ * Get the text direction for a locale
+ *
+ * e.g. 'ar' → 'rtl', 'he-IL' → 'rtl', 'pa-Arab' → 'rtl', 'ku-Latn' → 'ltr'
+ *
+ * @param {string|null} locale - Locale being rendered
+ * @returns {'ltr'|'rtl'}
+ */
+export function getTextDirection(locale) {
+  if (!locale) {
+    return 'ltr';
+  }
+
+  const [language, ...subtags] = locale.toLowerCase().split(/[-_]/);
+  const script = subtags.find(subtag => subtag.length === 4);
+  if (script) {
+    return RTL_SCRIPTS.has(script) ? 'rtl' : 'ltr';
+  }
+  return RTL_LANGUAGES.has(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Get the locales consulted for a locale, most specific first (base excluded)
+ * @param {string|null} locale - Locale being rendered
+ * @param {Object} config - Loaded storepix config
+ * @returns {string[]} e.g. ['de-AT', 'de']
+ */
+export function getLocaleChain(locale, config) {
+  if (!locale) {
+    return [];
+  }
+
+  const defined = config.locales || {};
+  const explicit = config.localeFallbacks?.[locale];
+  const fallbacks = [];
+
+  if (Array.isArray(explicit)) {
+    fallbacks.push(...explicit);
+  } else {
+    const parts = locale.split('-');
+    for (let i = parts.length - 1; i > 0; i--) {
+      fallbacks.push(parts.slice(0, i).join('-'));
+    }
+  }
+
+  return [locale, ...fallbacks.filter(fallback => fallback !== locale && defined[fallback])];
+}
+
+/**
+ * Merge a screenshot with its localized overrides along the fallback chain
+ * @param {Object} config - Loaded storepix config
+ * @param {Object} screenshot - Base screenshot entry
+ * @param {string|null} locale - Locale being rendered
+ * @returns {{ values: Object, sources: Object<string, string|null> }}
+ *   Merged fields, and for each field the locale that supplied it (null = base)
+ */
+export function resolveLocalizedScreenshot(config, screenshot, locale) {
+  const values = { ...screenshot };
+  const sources = Object.fromEntries(Object.keys(screenshot).map(key => [key, null]));
+
+  // Apply the least specific locale first so more specific ones win
+  for (const chainLocale of getLocaleChain(locale, config).reverse()) {
+    const entry = config.locales?.[chainLocale]?.[screenshot.id];
+    if (!entry) continue;
+
+    for (const [key, value] of Object.entries(entry)) {
+      // Empty text falls through to the next locale; custom content can be '' to hide an element
+      if (TEXT_FIELDS.includes(key) ? !value : value === undefined) continue;
+      // Callout text by id is merged into the screenshot's annotations
+      values[key] = key === 'annotations' ? localizeAnnotations(values.annotations, value) : value;
+      sources[key] = chainLocale;
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Validate config.localeFallbacks
+ * @param {Object} config - Loaded storepix config
+ * @returns {string[]} Error messages
+ */
+export function validateLocaleFallbacks(config) {
+  const errors = [];
+  const fallbacks = config.localeFallbacks;
+  if (fallbacks === undefined) {
+    return errors;
+  }
+  if (typeof fallbacks !== 'object' || fallbacks === null || Array.isArray(fallbacks)) {
+    return ['localeFallbacks must be an object mapping locales to arrays of fallback locales'];
+  }
+
+  const defined = config.locales || {};
+  for (const [locale, chain] of Object.entries(fallbacks)) {
+    if (!defined[locale]) {
+      errors.push(`localeFallbacks.${locale}: "${locale}" is not defined in locales`);
+    }
+    if (!Array.isArray(chain)) {
+      errors.push(`localeFallbacks.${locale} must be an array of locales`);
+      continue;
+    }
+    for (const fallback of chain) {
+      if (!defined[fallback]) {
+        errors.push(`localeFallbacks.${locale}: fallback "${fallback}" is not defined in locales`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Report where each localized value comes from for locales with a fallback chain
+ *
+ * Only fields that are localized somewhere (text fields, and custom content
+ * set by any locale) are listed, and only for screenshots where at least one
+ * of them isn't supplied by the locale itself.
+ *
+ * @param {Object} config - Loaded storepix config
+ * @returns {string[]} One message per screenshot and locale, e.g.
+ *   '[01_home] de-AT: headline from "de", subheadline from "de-AT"'
+ */
+export function describeLocaleSources(config) {
+  const messages = [];
+
+  for (const locale of Object.keys(config.locales || {})) {
+    if (getLocaleChain(locale, config).length < 2) {
+      continue;
+    }
+
+    for (const screenshot of config.screenshots || []) {
+      const localizedKeys = new Set(TEXT_FIELDS);
+      for (const entries of Object.values(config.locales)) {
+        Object.keys(entries?.[screenshot.id] || {}).forEach(key => localizedKeys.add(key));
+      }
+
+      const { values, sources } = resolveLocalizedScreenshot(config, screenshot, locale);
+      const fields = [...localizedKeys].filter(key => values[key] !== undefined);
+      if (fields.every(key => sources[key] === locale)) {
+        continue;
+      }
+
+      const parts = fields.map(key => `${key} from ${sources[key] ? `"${sources[key]}"` : 'base'}`);
+      messages.push(`[${screenshot.id}] ${locale}: ${parts.join(', ')}`);
+    }
+  }
+
+  return messages;
+}
@@ -0,0 +1,82 @@
+/**
+ * Headline markup parser
+ *
+ * Config validation (markup.js) imports it, and serveContentHelper() in
+ * template-helper.js appends its source to storepix-content.js for templates.
+ * The functions are sent to the browser as they're written, so they can't
+ * use imports, module state or the DOM.
+ */
+
+/**
+ * Parse headline markup into text, { type: 'accent' | 'emphasis', children }
+ * and { type: 'break' } nodes
+ * @param {string} text
+ * @param {string[]} [unclosed] - Collects markers without a closing partner
+ * @returns {Array<string|Object>}
+ */
+export function parseStorepixMarkup(text, unclosed = []) {
+  text = String(text);
+  const nodes = [];
+  const pushText = value => {
+    if (typeof nodes[nodes.length - 1] === 'string') {
+      nodes[nodes.length - 1] += value;
+    } else {
+      nodes.push(value);
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\\' && '*\\&'.includes(text[i + 1] || '_')) {
+      pushText(text[i + 1]);
+      i += 2;
+    } else if (char === '\n') {
+      nodes.push({ type: 'break' });
+      i += 1;
+    } else if (text.startsWith('&nbsp;', i)) {
+      pushText('\u00A0');
+      i += 6;
+    } else if (char === '*') {
+      const marker = text.startsWith('**', i) ? '**' : '*';
+      const start = i + marker.length;
+      const close = findStorepixMarkupClose(text, start, marker);
+      if (close > start) {
+        nodes.push({
+          type: marker === '**' ? 'accent' : 'emphasis',
+          children: parseStorepixMarkup(text.slice(start, close), unclosed)
+        });
+        i = close + marker.length;
+      } else {
+        unclosed.push(marker);
+        pushText(marker);
+        i = start;
+      }
+    } else {
+      pushText(char);
+      i += 1;
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Index of the marker closing one that ends before `start`, or -1.
+ * Markers of the other kind are skipped whole so `*a **b** c*` nests.
+ */
+export function findStorepixMarkupClose(text, start, marker) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+      continue;
+    }
+    if (text[i] !== '*') continue;
+    const pair = text.startsWith('**', i);
+    if (pair === (marker === '**')) return i;
+    if (pair) i += 1;
+  }
+  return -1;
+}
+
+/** The parser as browser script, appended to storepix-content.js */
+export const markupParserSource = [parseStorepixMarkup, findStorepixMarkupClose].map(String).join('\n\n');
@@ -0,0 +1,77 @@
+import { parseStorepixMarkup } from './markup-parser.js';
+
+/**
+ * Headline markup
+ *
+ * Headline and subheadline text (including panorama headlines[] and locale
+ * overrides) can use a small markup subset:
+ *
+ *   headline: 'Track your **daily moods**'     accent color (theme.accentColor)
+ *   headline: 'Made for *you*'                 emphasis
+ *   headline: 'Plan ahead.\nStay calm.'        line break
+ *   headline: 'Only 5&nbsp;minutes'            non-breaking space
+ *   headline: 'Rated 5\\* by critics'          literal asterisk
+ *
+ * Templates render it with applyStorepixMarkup() from storepix-content.js,
+ * which builds DOM nodes rather than HTML. Both use the parser in
+ * markup-parser.js, so the warnings here match what renders.
+ */
+
+/** Fields rendered with markup */
+export const MARKUP_FIELDS = ['headline', 'subheadline', 'headlines', 'subheadlines'];
+
+/**
+ * Parse markup into text, { type: 'accent' | 'emphasis', children } and
+ * { type: 'break' } nodes
+ * @param {string} text
+ * @param {string[]} [unclosed] - Collects markers without a closing partner
+ * @returns {Array<string|Object>}
+ */
+export function parseMarkup(text, unclosed = []) {
+  return parseStorepixMarkup(text, unclosed);
+}
+
+/**
+ * Warn about markers that will be shown as typed, in screenshots and locales
+ * @param {Object} config - Loaded storepix config (locale files already loaded)
+ * @returns {string[]} Warning messages
+ */
+export function validateMarkup(config) {
+  const warnings = [];
+
+  const check = (entry, prefix) => {
+    if (typeof entry.overrides === 'object' && entry.overrides !== null) {
+      for (const [key, values] of Object.entries(entry.overrides)) {
+        if (typeof values === 'object' && values !== null) check(values, `${prefix}overrides.${key}.`);
+      }
+    }
+
+    for (const field of MARKUP_FIELDS) {
+      const values = Array.isArray(entry[field]) ? entry[field] : [entry[field]];
+      values.forEach((value, index) => {
+        if (typeof value !== 'string') return;
+        const unclosed = [];
+        parseMarkup(value, unclosed);
+        if (unclosed.length === 0) return;
+
+        const name = Array.isArray(entry[field]) ? `${field}[${index}]` : field;
+        const markers = [...new Set(unclosed)].map(marker => `"${marker}"`).join(' and ');
+        warnings.push(`${prefix}${name} has an unclosed ${markers}, shown as typed: ${JSON.stringify(value)} (escape a literal asterisk as \\*)`);
+      });
+    }
+  };
+
+  for (const screenshot of config.screenshots || []) {
+    check(screenshot, `[${screenshot.id}] `);
+  }
+
+  for (const [locale, entries] of Object.entries(config.locales || {})) {
+    if (typeof entries !== 'object' || entries === null) continue;
+    for (const [id, entry] of Object.entries(entries)) {
+      if (typeof entry !== 'object' || entry === null) continue;
+      check(entry, `locales.${locale}.${id}.`);
+    }
+  }
+
+  return warnings;
+}
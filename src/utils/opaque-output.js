@@ -0,0 +1,175 @@
+import { readFile, writeFile } from 'fs/promises';
+import { readChunks, readHeader, decodePng, encodePng, COLOR_TYPE } from './png.js';
+import { readImageInfo } from './image-info.js';
+import { checkStoreFormat } from './output-format.js';
+
+/**
+ * Alpha-free output
+ *
+ * App Store Connect rejects screenshots that have an alpha channel, even a
+ * fully opaque one - and browser screenshots are RGBA. Generated PNGs are
+ * flattened onto the template's background and written as RGB, and
+ * verifyOutput() checks the written files against the device definition.
+ */
+
+/** Used when the template has no opaque background color */
+const DEFAULT_BACKGROUND = { r: 255, g: 255, b: 255 };
+
+/**
+ * Read the template's background color from the rendered page
+ *
+ * Uses the body background, then the root element's, then white (which is
+ * what the browser paints behind a transparent page).
+ *
+ * @param {import('playwright').Page} page - Rendered page
+ * @returns {Promise<{ r: number, g: number, b: number }>}
+ */
+export async function getPageBackground(page) {
+  const colors = await page.evaluate(() => [document.body, document.documentElement]
+    .filter(Boolean)
+    .map(element => getComputedStyle(element).backgroundColor));
+
+  for (const color of colors) {
+    const parsed = parseCssColor(color);
+    if (parsed && parsed.a === 1) {
+      return { r: parsed.r, g: parsed.g, b: parsed.b };
+    }
+  }
+  return DEFAULT_BACKGROUND;
+}
+
+/**
+ * Parse a computed rgb()/rgba() color
+ * @param {string} color - e.g. "rgb(12, 34, 56)" or "rgba(0, 0, 0, 0)"
+ * @returns {{ r: number, g: number, b: number, a: number }|null}
+ */
+export function parseCssColor(color) {
+  const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(color || '');
+  if (!match) {
+    return null;
+  }
+  let a = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (match[4]?.endsWith('%')) a /= 100;
+  return { r: Math.round(+match[1]), g: Math.round(+match[2]), b: Math.round(+match[3]), a };
+}
+
+/**
+ * Flatten a PNG onto a background color and re-encode it without alpha
+ * @param {Buffer} buffer - PNG file contents
+ * @param {{ r: number, g: number, b: number }} background
+ * @returns {Promise<{ buffer: Buffer, flattened: boolean, translucentPixels: number }>}
+ *   flattened is false when the PNG had no alpha to begin with
+ */
+export async function flattenPng(buffer, background = DEFAULT_BACKGROUND) {
+  const chunks = readChunks(buffer);
+  const { colorType } = readHeader(chunks);
+  const hasAlpha = colorType === COLOR_TYPE.GRAY_ALPHA ||
+    colorType === COLOR_TYPE.RGBA ||
+    chunks.some(chunk => chunk.type === 'tRNS');
+
+  if (!hasAlpha) {
+    return { buffer, flattened: false, translucentPixels: 0 };
+  }
+
+  const { width, height, pixels } = decodePng(buffer);
+  const data = new Uint8Array(width * height * 3);
+  let translucentPixels = 0;
+
+  for (let i = 0, o = 0; i < pixels.length; i += 4, o += 3) {
+    const alpha = pixels[i + 3];
+    if (alpha === 255) {
+      data[o] = pixels[i];
+      data[o + 1] = pixels[i + 1];
+      data[o + 2] = pixels[i + 2];
+    } else {
+      translucentPixels++;
+      data[o] = Math.round((pixels[i] * alpha + background.r * (255 - alpha)) / 255);
+      data[o + 1] = Math.round((pixels[i + 1] * alpha + background.g * (255 - alpha)) / 255);
+      data[o + 2] = Math.round((pixels[i + 2] * alpha + background.b * (255 - alpha)) / 255);
+    }
+  }
+
+  const flattened = await encodePng({ width, height, colorType: COLOR_TYPE.RGB, bitDepth: 8, data }, { level: 6 });
+  return { buffer: flattened, flattened: true, translucentPixels };
+}
+
+/**
+ * Flatten a PNG file in place
+ * @param {string} filePath - PNG file path
+ * @param {{ r: number, g: number, b: number }} background
+ * @returns {Promise<{ flattened: boolean, translucentPixels: number }>}
+ */
+export async function flattenPngFile(filePath, background) {
+  const { buffer, ...result } = await flattenPng(await readFile(filePath), background);
+  if (result.flattened) {
+    await writeFile(filePath, buffer);
+  }
+  return result;
+}
+
+/**
+ * Check a generated file against what the stores accept
+ *
+ * Decodes the file and checks the format, the dimensions against the device,
+ * that there's no alpha channel, and (for PNG) that it's RGB and every pixel
+ * is opaque.
+ * When a platform is given, the format must also be one its store accepts.
+ *
+ * @param {string} filePath - Output file path
+ * @param {{ format: string, width: number, height: number, platform?: string }} expected
+ * @returns {Promise<{ valid: boolean, errors: string[] }>}
+ */
+export async function verifyOutput(filePath, expected) {
+  const errors = [];
+
+  let buffer;
+  try {
+    buffer = await readFile(filePath);
+  } catch (err) {
+    return { valid: false, errors: [`Cannot read file: ${err.message}`] };
+  }
+
+  let info;
+  try {
+    info = readImageInfo(buffer);
+  } catch (err) {
+    return { valid: false, errors: [err.message] };
+  }
+
+  if (info.format !== expected.format) {
+    errors.push(`Expected ${expected.format.toUpperCase()}, file is ${info.format.toUpperCase()}`);
+  }
+  const storeProblem = expected.platform ? checkStoreFormat(info.format, expected.platform) : null;
+  if (storeProblem) {
+    errors.push(storeProblem);
+  }
+  if (info.width !== expected.width || info.height !== expected.height) {
+    errors.push(`Dimensions are ${info.width}x${info.height}, expected ${expected.width}x${expected.height}`);
+  }
+  if (info.hasAlphaChannel) {
+    errors.push(info.format === 'png'
+      ? `PNG has an alpha channel (color type ${info.colorType}${info.colorType === COLOR_TYPE.PALETTE ? ' with tRNS' : ''})`
+      : 'Image has an alpha channel');
+  } else if (info.format === 'png' && info.colorType !== COLOR_TYPE.RGB) {
+    const name = info.colorType === COLOR_TYPE.PALETTE ? 'palette' : 'grayscale';
+    errors.push(`PNG is ${name} (color type ${info.colorType}), expected RGB (color type ${COLOR_TYPE.RGB})`);
+  }
+
+  // Decoding the pixels also catches corrupt image data
+  if (info.format === 'png') {
+    try {
+      const { pixels } = decodePng(buffer);
+      let transparent = 0;
+      for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] !== 255) transparent++;
+      }
+      if (transparent > 0) {
+        errors.push(`${transparent} pixel${transparent === 1 ? ' is' : 's are'} not fully opaque`);
+      }
+    } catch (err) {
+      errors.push(`Cannot decode PNG: ${err.message}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,202 @@
+import { writeFile } from 'fs/promises';
+
+/**
+ * Output format handling
+ *
+ * Screenshots can be written as PNG, JPEG or WebP. The format and quality are
+ * set in config.output and can be overridden per store (device platform) and
+ * per device:
+ *
+ *   output: {
+ *     format: 'png',
+ *     stores: { android: { format: 'jpeg', quality: 90 } },
+ *     devices: { 'android-wear': { format: 'png' } }
+ *   }
+ *
+ * Precedence: output.devices[deviceKey] > output.stores[platform] > output.
+ */
+
+/** Supported output formats */
+export const OUTPUT_FORMATS = ['png', 'jpeg', 'webp'];
+
+/** Accepted aliases for format names */
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+/** File extension written for each format */
+export const FORMAT_EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  webp: 'webp'
+};
+
+/** Quality used for lossy formats when none is configured */
+export const DEFAULT_QUALITY = 90;
+
+/** Store keys accepted in output.stores (matches device platform) */
+const STORES = ['ios', 'android'];
+
+/** Formats each store accepts for upload, keyed by device platform */
+export const STORE_UPLOAD_FORMATS = {
+  ios: ['png', 'jpeg'],
+  android: ['png', 'jpeg']
+};
+
+/** Store names used in messages */
+const STORE_NAMES = { ios: 'App Store', android: 'Google Play' };
+
+/**
+ * Normalize a configured format name
+ * @param {string|undefined} format
+ * @returns {string|undefined}
+ */
+function normalizeFormat(format) {
+  return FORMAT_ALIASES[format] || format;
+}
+
+/**
+ * Resolve the output format for a device
+ * @param {Object} [output] - config.output
+ * @param {string} deviceKey - Device identifier
+ * @param {Object} device - Device definition
+ * @returns {{ format: string, quality: number|null, extension: string }}
+ */
+export function resolveOutputFormat(output = {}, deviceKey, device) {
+  const layers = [
+    output,
+    output.stores?.[device.platform],
+    output.devices?.[deviceKey]
+  ].filter(Boolean);
+
+  let format = 'png';
+  let quality = null;
+  for (const layer of layers) {
+    if (layer.format !== undefined) format = normalizeFormat(layer.format);
+    if (layer.quality !== undefined) quality = layer.quality;
+  }
+
+  return {
+    format,
+    // PNG is lossless - quality doesn't apply
+    quality: format === 'png' ? null : (quality ?? DEFAULT_QUALITY),
+    extension: FORMAT_EXTENSIONS[format]
+  };
+}
+
+/**
+ * Validate config.output format settings
+ * @param {Object} [output] - config.output
+ * @param {Object} knownDevices - Device definitions keyed by device key
+ * @returns {string[]} Error messages
+ */
+export function validateOutputConfig(output, knownDevices) {
+  const errors = [];
+  if (!output) {
+    return errors;
+  }
+
+  const checkLayer = (layer, path) => {
+    if (typeof layer !== 'object' || layer === null) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (layer.format !== undefined && !OUTPUT_FORMATS.includes(normalizeFormat(layer.format))) {
+      errors.push(`${path}.format must be one of: ${OUTPUT_FORMATS.join(', ')} (got "${layer.format}")`);
+    }
+    if (layer.quality !== undefined &&
+        (!Number.isInteger(layer.quality) || layer.quality < 1 || layer.quality > 100)) {
+      errors.push(`${path}.quality must be an integer from 1 to 100 (got ${JSON.stringify(layer.quality)})`);
+    }
+  };
+
+  checkLayer(output, 'output');
+
+  for (const [store, layer] of Object.entries(output.stores || {})) {
+    if (!STORES.includes(store)) {
+      errors.push(`output.stores.${store} is not a known store (use: ${STORES.join(', ')})`);
+      continue;
+    }
+    checkLayer(layer, `output.stores.${store}`);
+  }
+
+  for (const [deviceKey, layer] of Object.entries(output.devices || {})) {
+    if (!knownDevices[deviceKey]) {
+      errors.push(`output.devices.${deviceKey} is not a known device`);
+      continue;
+    }
+    checkLayer(layer, `output.devices.${deviceKey}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a format can be uploaded to the device's store
+ * @param {string} format - Resolved output format
+ * @param {string} platform - Device platform ('ios' or 'android')
+ * @returns {string|null} Problem description, or null if the store accepts it
+ */
+export function checkStoreFormat(format, platform) {
+  const accepted = STORE_UPLOAD_FORMATS[platform];
+  if (!accepted || accepted.includes(format)) {
+    return null;
+  }
+  return `${STORE_NAMES[platform]} only accepts ${accepted.map(f => f.toUpperCase()).join(' or ')} screenshots, not ${format.toUpperCase()}`;
+}
+
+/**
+ * Find devices whose resolved output format their store won't accept
+ * @param {Object} [output] - config.output
+ * @param {string[]} deviceKeys - Devices being generated
+ * @param {Object} knownDevices - Device definitions keyed by device key
+ * @returns {string[]} One message per store/format combination, listing the devices
+ */
+export function findStoreFormatIssues(output, deviceKeys, knownDevices) {
+  const groups = new Map();
+
+  for (const deviceKey of deviceKeys) {
+    const device = knownDevices[deviceKey];
+    const { format } = resolveOutputFormat(output, deviceKey, device);
+    const problem = checkStoreFormat(format, device.platform);
+    if (problem) {
+      if (!groups.has(problem)) groups.set(problem, []);
+      groups.get(problem).push(deviceKey);
+    }
+  }
+
+  return [...groups].map(([problem, keys]) => `${problem} (${keys.join(', ')})`);
+}
+
+/**
+ * Capture a region of the page in the given format
+ *
+ * PNG and JPEG go through Playwright directly. Playwright can't encode WebP,
+ * so WebP is captured through the Chrome DevTools Protocol instead.
+ *
+ * @param {import('playwright').Page} page - Rendered page
+ * @param {string} filePath - Output file path
+ * @param {{ format: string, quality: number|null, clip: Object }} options
+ * @returns {Promise<void>}
+ */
+export async function captureScreenshot(page, filePath, { format, quality, clip }) {
+  if (format !== 'webp') {
+    await page.screenshot({
+      path: filePath,
+      type: format,
+      clip,
+      ...(format === 'jpeg' ? { quality } : {})
+    });
+    return;
+  }
+
+  const cdp = await page.context().newCDPSession(page);
+  try {
+    const { data } = await cdp.send('Page.captureScreenshot', {
+      format: 'webp',
+      quality,
+      clip: { ...clip, scale: 1 }
+    });
+    await writeFile(filePath, Buffer.from(data, 'base64'));
+  } finally {
+    await cdp.detach();
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Page diagnostics
+ *
+ * Collects problems that happen while a template renders - uncaught errors,
+ * console.error() output and failed network requests - so a broken render
+ * (a missing font, a typo in a custom template) is reported instead of
+ * silently producing a PNG.
+ */
+
+/** Requests the browser makes on its own that templates don't control */
+const IGNORED_REQUEST_PATHS = ['/favicon.ico'];
+
+/**
+ * Chromium logs every failed resource as a console error as well - those are
+ * already reported from the network events, with the URL attached
+ */
+const RESOURCE_ERROR_PREFIX = 'Failed to load resource';
+
+/** Labels used when printing issues */
+const ISSUE_LABELS = {
+  pageerror: 'Page error',
+  console: 'Console error',
+  request: 'Failed request',
+  image: 'Image',
+  text: 'Text overflow',
+  layout: 'Text layout',
+  contrast: 'Contrast'
+};
+
+/**
+ * Start collecting diagnostics for a page
+ *
+ * Listeners are removed by stop(), so worker pages can be reused across renders.
+ *
+ * @param {import('playwright').Page} page - Page about to render
+ * @returns {{ stop: () => Array<{ type: string, message: string, url?: string }> }}
+ */
+export function collectPageDiagnostics(page) {
+  const issues = [];
+
+  const onPageError = (error) => {
+    issues.push({ type: 'pageerror', message: error.message || String(error) });
+  };
+
+  const onConsole = (msg) => {
+    if (msg.type() !== 'error' || msg.text().startsWith(RESOURCE_ERROR_PREFIX)) {
+      return;
+    }
+    issues.push({ type: 'console', message: msg.text() });
+  };
+
+  const onRequestFailed = (request) => {
+    if (isIgnoredRequest(request.url())) {
+      return;
+    }
+    const failure = request.failure();
+    issues.push({
+      type: 'request',
+      message: `${failure ? failure.errorText : 'Request failed'}: ${displayUrl(request.url())}`,
+      url: request.url()
+    });
+  };
+
+  const onResponse = (response) => {
+    if (response.status() < 400 || isIgnoredRequest(response.url())) {
+      return;
+    }
+    issues.push({
+      type: 'request',
+      message: `HTTP ${response.status()}: ${displayUrl(response.url())}`,
+      url: response.url()
+    });
+  };
+
+  page.on('pageerror', onPageError);
+  page.on('console', onConsole);
+  page.on('requestfailed', onRequestFailed);
+  page.on('response', onResponse);
+
+  return {
+    stop() {
+      page.off('pageerror', onPageError);
+      page.off('console', onConsole);
+      page.off('requestfailed', onRequestFailed);
+      page.off('response', onResponse);
+      return issues;
+    }
+  };
+}
+
+/**
+ * Merge images the readiness check saw fail into a render's issues
+ *
+ * An image that 404'd is already reported as a failed request; this only adds
+ * images that failed for another reason (e.g. a corrupt file).
+ *
+ * @param {Array<Object>} issues - Issues from collectPageDiagnostics
+ * @param {string[]} failedImages - Image sources from waitForTemplateReady
+ * @param {string} pageUrl - URL the images are relative to
+ * @returns {Array<Object>} Issues including failed images
+ */
+export function addFailedImages(issues, failedImages, pageUrl) {
+  const requestUrls = new Set(issues.filter(issue => issue.url).map(issue => issue.url));
+  const merged = [...issues];
+
+  for (const src of failedImages) {
+    let url = src;
+    try {
+      url = new URL(src, pageUrl).href;
+    } catch {
+      // Keep the raw src
+    }
+    if (!requestUrls.has(url)) {
+      merged.push({ type: 'image', message: `Image failed to load: ${src}`, url });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Add text that didn't fit even at its minimum font size to a render's issues
+ * @param {Array<Object>} issues - Issues from collectPageDiagnostics
+ * @param {Array<{ field: string, text: string, min: number }>} unfitText - From waitForTemplateReady
+ * @returns {Array<Object>} Issues including text overflow
+ */
+export function addTextFitIssues(issues, unfitText) {
+  return [
+    ...issues,
+    ...unfitText.map(({ field, text, min }) => ({
+      type: 'text',
+      message: `${field} "${text.length > 40 ? `${text.slice(0, 39)}…` : text}" doesn't fit even at the minimum size (${min}px)`
+    }))
+  ];
+}
+
+/**
+ * Count issues that are errors rather than warnings
+ * @param {Array<{ issues: Array<Object> }>} renders - Renders with issues
+ * @returns {number}
+ */
+export function countIssueErrors(renders) {
+  return renders.reduce((sum, render) => sum + render.issues.filter(issue => issue.severity === 'error').length, 0);
+}
+
+/**
+ * Print collected render issues grouped by output
+ *
+ * Issues are warnings unless they have severity: 'error' (shown in red).
+ *
+ * @param {Array<{ label: string, issues: Array<Object> }>} renders - Renders with issues
+ */
+export function printRenderIssues(renders) {
+  const total = renders.reduce((sum, render) => sum + render.issues.length, 0);
+  const errors = countIssueErrors(renders);
+  const errorInfo = errors > 0 ? ` (${errors} error${errors === 1 ? '' : 's'})` : '';
+  console.log(`\n  ${errors > 0 ? 'Error' : 'Warning'}: ${total} issue${total === 1 ? '' : 's'}${errorInfo} in ${renders.length} render${renders.length === 1 ? '' : 's'}:`);
+
+  for (const render of renders) {
+    console.log(`\n    ${render.label}`);
+    for (const issue of render.issues) {
+      const line = `${ISSUE_LABELS[issue.type] || issue.type}: ${issue.message}`;
+      console.log(issue.severity === 'error' ? `      \x1b[31m${line}\x1b[0m` : `      ${line}`);
+    }
+    if (render.debugImage) {
+      console.log(`      Debug image: ${render.debugImage}`);
+    }
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isIgnoredRequest(url) {
+  try {
+    return IGNORED_REQUEST_PATHS.includes(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Show local server URLs as paths - the port changes on every run
+ * @param {string} url
+ * @returns {string}
+ */
+function displayUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1') {
+      return decodeURIComponent(parsed.pathname);
+    }
+  } catch {
+    // Not a parseable URL
+  }
+  return url;
+}
@@ -0,0 +1,378 @@
+import { readFile, writeFile } from 'fs/promises';
+import { readChunks, readHeader, decodePng, encodePng, COLOR_TYPE } from './png.js';
+
+/**
+ * PNG optimization
+ *
+ * A post-render pass that shrinks generated PNGs without native binaries:
+ * - keeps opaque images 8-bit RGB, the color type the stores expect, and
+ *   picks the smallest lossless color type (palette, grayscale) for others
+ * - re-filters and re-deflates at maximum compression
+ * - drops metadata chunks (text, timestamps, physical size, EXIF)
+ * - optionally quantizes to a palette (lossy, off by default, used only when
+ *   it beats the lossless result)
+ *
+ * The optimized file is only written if it's smaller than the original.
+ */
+
+/** Ancillary chunks that affect how colors display - kept */
+const COLOR_CHUNKS = ['iCCP', 'sRGB', 'gAMA', 'cHRM'];
+
+/** Default palette size for quantization */
+const DEFAULT_COLORS = 256;
+
+/**
+ * Resolve optimization settings from config and CLI
+ * @param {boolean|Object} [configValue] - config.output.optimize
+ * @param {boolean} [cliFlag] - --optimize
+ * @returns {{ quantize: boolean, colors: number }|null} Settings, or null if disabled
+ */
+export function resolveOptimizeOptions(configValue, cliFlag) {
+  if (!configValue && !cliFlag) {
+    return null;
+  }
+
+  const settings = typeof configValue === 'object' && configValue !== null ? configValue : {};
+  return {
+    quantize: settings.quantize === true,
+    colors: settings.colors ?? DEFAULT_COLORS
+  };
+}
+
+/**
+ * Validate config.output.optimize
+ * @param {*} value
+ * @returns {string[]} Error messages
+ */
+export function validateOptimizeConfig(value) {
+  if (value === undefined || typeof value === 'boolean') {
+    return [];
+  }
+  if (typeof value !== 'object' || value === null) {
+    return ['output.optimize must be true, false or an object'];
+  }
+
+  const errors = [];
+  if (value.quantize !== undefined && typeof value.quantize !== 'boolean') {
+    errors.push('output.optimize.quantize must be a boolean');
+  }
+  if (value.colors !== undefined &&
+      (!Number.isInteger(value.colors) || value.colors < 2 || value.colors > 256)) {
+    errors.push(`output.optimize.colors must be an integer from 2 to 256 (got ${JSON.stringify(value.colors)})`);
+  }
+  return errors;
+}
+
+/**
+ * Optimize a PNG in memory
+ * @param {Buffer} buffer - PNG file contents
+ * @param {{ quantize?: boolean, colors?: number }} [options]
+ * @returns {Promise<{ buffer: Buffer, originalSize: number, size: number, quantized: boolean, skipped?: string }>}
+ *   The smaller of the original and optimized file
+ */
+export async function optimizePng(buffer, { quantize = false, colors = DEFAULT_COLORS } = {}) {
+  const originalSize = buffer.length;
+  const unchanged = (skipped) => ({ buffer, originalSize, size: originalSize, quantized: false, skipped });
+
+  let chunks, header, image;
+  try {
+    chunks = readChunks(buffer);
+    header = readHeader(chunks);
+    // 16-bit samples would lose precision when reduced to 8-bit
+    if (header.bitDepth === 16) {
+      return unchanged('16-bit PNG');
+    }
+    image = decodePng(buffer);
+  } catch (err) {
+    return unchanged(err.message);
+  }
+
+  const ancillary = chunks.filter(chunk => COLOR_CHUNKS.includes(chunk.type));
+  const { width, height, pixels } = image;
+  const stats = analyzePixels(pixels);
+
+  // Generated screenshots are flattened, so this is the usual case
+  let encoded;
+  if (stats.opaque) {
+    encoded = encodeTrueColor(width, height, pixels, true);
+  } else if (stats.colors) {
+    encoded = encodeIndexed(width, height, pixels, stats.colors);
+  } else if (stats.gray) {
+    encoded = encodeGray(width, height, pixels, false);
+  } else {
+    encoded = encodeTrueColor(width, height, pixels, false);
+  }
+
+  let optimized = await encodePng({ ...encoded, width, height, ancillary });
+  let quantized = false;
+
+  // Quantizing only pays off for images with many colors - keep it only if smaller
+  if (quantize && !stats.colors && stats.opaque) {
+    const { palette, indexOf } = quantizeColors(pixels, colors);
+    const candidate = await encodePng({ ...encodeIndexed(width, height, pixels, palette, indexOf), width, height, ancillary });
+    if (candidate.length < optimized.length) {
+      optimized = candidate;
+      quantized = true;
+    }
+  }
+
+  if (optimized.length >= originalSize) {
+    return unchanged();
+  }
+
+  return { buffer: optimized, originalSize, size: optimized.length, quantized };
+}
+
+/**
+ * Optimize a PNG file in place
+ * @param {string} filePath - PNG file path
+ * @param {{ quantize?: boolean, colors?: number }} [options]
+ * @returns {Promise<{ originalSize: number, size: number, quantized: boolean, skipped?: string }>}
+ */
+export async function optimizePngFile(filePath, options) {
+  const { buffer, ...result } = await optimizePng(await readFile(filePath), options);
+  if (result.size < result.originalSize) {
+    await writeFile(filePath, buffer);
+  }
+  return result;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(0)} KB`;
+}
+
+/**
+ * Find the properties that allow a smaller lossless encoding
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @returns {{ opaque: boolean, gray: boolean, colors: number[]|null }}
+ *   colors lists the distinct RGBA values (packed) when there are 256 or fewer
+ */
+function analyzePixels(pixels) {
+  let opaque = true;
+  let gray = true;
+  let colors = new Set();
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2], a = pixels[i + 3];
+    if (a !== 255) opaque = false;
+    if (r !== g || g !== b) gray = false;
+    if (colors) {
+      colors.add(((r << 24) | (g << 16) | (b << 8) | a) >>> 0);
+      if (colors.size > 256) colors = null;
+    }
+  }
+
+  return { opaque, gray, colors: colors ? [...colors] : null };
+}
+
+/**
+ * Encode with a palette
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number[]} colors - Packed RGBA palette entries
+ * @param {(i: number) => number} [indexOf] - Palette index for the pixel at byte offset i
+ *   (default: exact match - every pixel color must be in the palette)
+ * @returns {Object} Image for encodePng
+ */
+function encodeIndexed(width, height, pixels, colors, indexOf) {
+  // Opaque entries last, so tRNS can be truncated after the translucent ones
+  const order = colors.map((_, index) => index).sort((a, b) => (colors[a] & 0xFF) - (colors[b] & 0xFF));
+  const sorted = order.map(index => colors[index]);
+  const remap = new Uint8Array(colors.length);
+  order.forEach((original, index) => { remap[original] = index; });
+
+  const lookup = new Map(sorted.map((color, index) => [color, index]));
+  const paletteIndex = indexOf
+    ? (i) => remap[indexOf(i)]
+    : (i) => lookup.get(((pixels[i] << 24) | (pixels[i + 1] << 16) | (pixels[i + 2] << 8) | pixels[i + 3]) >>> 0);
+
+  const bitDepth = sorted.length <= 2 ? 1 : sorted.length <= 4 ? 2 : sorted.length <= 16 ? 4 : 8;
+  const perByte = 8 / bitDepth;
+  const rowBytes = Math.ceil(width / perByte);
+  const data = new Uint8Array(rowBytes * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = paletteIndex((y * width + x) * 4);
+      const byte = y * rowBytes + Math.floor(x / perByte);
+      data[byte] |= index << (8 - bitDepth * (x % perByte + 1));
+    }
+  }
+
+  const palette = Buffer.alloc(sorted.length * 3);
+  const alphas = [];
+  sorted.forEach((color, index) => {
+    palette[index * 3] = color >>> 24;
+    palette[index * 3 + 1] = (color >>> 16) & 0xFF;
+    palette[index * 3 + 2] = (color >>> 8) & 0xFF;
+    alphas.push(color & 0xFF);
+  });
+  const lastTranslucent = alphas.findLastIndex(alpha => alpha !== 255);
+
+  return {
+    colorType: COLOR_TYPE.PALETTE,
+    bitDepth,
+    data,
+    palette,
+    transparency: lastTranslucent >= 0 ? Buffer.from(alphas.slice(0, lastTranslucent + 1)) : undefined
+  };
+}
+
+/**
+ * Encode as 8-bit grayscale (with alpha if needed)
+ */
+function encodeGray(width, height, pixels, opaque) {
+  const channels = opaque ? 1 : 2;
+  const data = new Uint8Array(width * height * channels);
+  for (let p = 0, i = 0; i < pixels.length; i += 4, p += channels) {
+    data[p] = pixels[i];
+    if (!opaque) data[p + 1] = pixels[i + 3];
+  }
+  return { colorType: opaque ? COLOR_TYPE.GRAY : COLOR_TYPE.GRAY_ALPHA, bitDepth: 8, data };
+}
+
+/**
+ * Encode as 8-bit RGB (or RGBA if needed)
+ */
+function encodeTrueColor(width, height, pixels, opaque) {
+  if (!opaque) {
+    return { colorType: COLOR_TYPE.RGBA, bitDepth: 8, data: pixels };
+  }
+  const data = new Uint8Array(width * height * 3);
+  for (let p = 0, i = 0; i < pixels.length; i += 4, p += 3) {
+    data[p] = pixels[i];
+    data[p + 1] = pixels[i + 1];
+    data[p + 2] = pixels[i + 2];
+  }
+  return { colorType: COLOR_TYPE.RGB, bitDepth: 8, data };
+}
+
+/**
+ * Index of the closest palette entry (squared RGB distance)
+ */
+function nearestColor(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < palette.length; i++) {
+    const color = palette[i];
+    const dr = (color >>> 24) - r;
+    const dg = ((color >>> 16) & 0xFF) - g;
+    const db = ((color >>> 8) & 0xFF) - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build a palette for an opaque image with median cut
+ *
+ * Colors are bucketed at 5 bits per channel, then the bucket set is split
+ * along its widest channel until there are enough boxes. Each box becomes the
+ * count-weighted average of its buckets.
+ *
+ * @param {Uint8Array} pixels - RGBA pixels (all opaque)
+ * @param {number} maxColors - Palette size
+ * @returns {{ palette: number[], indexOf: (i: number) => number }}
+ *   Packed RGBA palette entries, and the palette index for the pixel at byte offset i
+ */
+function quantizeColors(pixels, maxColors) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    const bucket = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    counts[bucket]++;
+    sums[bucket * 3] += pixels[i];
+    sums[bucket * 3 + 1] += pixels[i + 1];
+    sums[bucket * 3 + 2] += pixels[i + 2];
+  }
+
+  const buckets = [];
+  for (let bucket = 0; bucket < counts.length; bucket++) {
+    if (counts[bucket] > 0) buckets.push(bucket);
+  }
+
+  const channel = (bucket, c) => (bucket >> (10 - c * 5)) & 31;
+  const boxRange = (box) => {
+    let widest = 0, widestRange = -1;
+    for (let c = 0; c < 3; c++) {
+      let min = 31, max = 0;
+      for (const bucket of box) {
+        const v = channel(bucket, c);
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      if (max - min > widestRange) {
+        widestRange = max - min;
+        widest = c;
+      }
+    }
+    return { channel: widest, range: widestRange };
+  };
+
+  const boxes = [buckets];
+  while (boxes.length < maxColors) {
+    // Split the box with the most pixels among those that can still be split
+    let target = -1, targetWeight = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].length < 2) continue;
+      const weight = boxes[i].reduce((sum, bucket) => sum + counts[bucket], 0);
+      if (weight > targetWeight) {
+        targetWeight = weight;
+        target = i;
+      }
+    }
+    if (target === -1) break;
+
+    const box = boxes[target];
+    const { channel: c } = boxRange(box);
+    box.sort((a, b) => channel(a, c) - channel(b, c));
+
+    // Split at the pixel-count median
+    let running = 0, split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      running += counts[box[i]];
+      if (running >= targetWeight / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+    boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+  }
+
+  const palette = boxes.map(box => {
+    let n = 0, r = 0, g = 0, b = 0;
+    for (const bucket of box) {
+      n += counts[bucket];
+      r += sums[bucket * 3];
+      g += sums[bucket * 3 + 1];
+      b += sums[bucket * 3 + 2];
+    }
+    return ((Math.round(r / n) << 24) | (Math.round(g / n) << 16) | (Math.round(b / n) << 8) | 255) >>> 0;
+  });
+
+  // Map each bucket (by its average color) to the nearest palette entry
+  const bucketIndex = new Uint8Array(32768);
+  for (const bucket of buckets) {
+    const n = counts[bucket];
+    bucketIndex[bucket] = nearestColor(palette, sums[bucket * 3] / n, sums[bucket * 3 + 1] / n, sums[bucket * 3 + 2] / n);
+  }
+
+  return {
+    palette,
+    indexOf: (i) => bucketIndex[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]
+  };
+}
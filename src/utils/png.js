@@ -0,0 +1,450 @@
+import { inflateSync, deflate } from 'zlib';
+import { promisify } from 'util';
+
+const deflateAsync = promisify(deflate);
+
+/**
+ * Minimal PNG codec
+ *
+ * Reads and writes PNG files without native dependencies, using only zlib.
+ * Decoding handles every color type, bit depth and Adam7 interlacing, and
+ * produces 8-bit RGBA pixels regardless of the source format;
+ * encoding writes any color type from raw (unfiltered) scanlines and picks a
+ * filter per row.
+ */
+
+/** PNG signature bytes */
+export const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/** Color types (IHDR) */
+export const COLOR_TYPE = {
+  GRAY: 0,
+  RGB: 2,
+  PALETTE: 3,
+  GRAY_ALPHA: 4,
+  RGBA: 6
+};
+
+/** Samples per pixel for each color type */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/** Adam7 passes: [xStart, yStart, xStep, yStep] */
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/** Bit depths allowed for each color type */
+const VALID_BIT_DEPTHS = {
+  0: [1, 2, 4, 8, 16],
+  2: [8, 16],
+  3: [1, 2, 4, 8],
+  4: [8, 16],
+  6: [8, 16]
+};
+
+// CRC32 lookup table (PNG uses the standard polynomial)
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * Compute the CRC32 of a buffer
+ * @param {Buffer} buffer
+ * @returns {number} Unsigned CRC
+ */
+export function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isPng(buffer) {
+  return buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG file into chunks
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Array<{ type: string, data: Buffer }>}
+ * @throws {Error} If the file is not a PNG or is truncated
+ */
+export function readChunks(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) {
+      throw new Error('Truncated PNG chunk header');
+    }
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 8 + length;
+    if (end + 4 > buffer.length) {
+      throw new Error(`Truncated PNG chunk "${type}"`);
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, end) });
+    offset = end + 4;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Parse the IHDR chunk
+ * @param {Array<{ type: string, data: Buffer }>} chunks
+ * @returns {{ width: number, height: number, bitDepth: number, colorType: number, interlace: number }}
+ * @throws {Error} If IHDR is missing or invalid
+ */
+export function readHeader(chunks) {
+  const ihdr = chunks[0];
+  if (!ihdr || ihdr.type !== 'IHDR' || ihdr.data.length < 13) {
+    throw new Error('PNG is missing its IHDR header');
+  }
+
+  const header = {
+    width: ihdr.data.readUInt32BE(0),
+    height: ihdr.data.readUInt32BE(4),
+    bitDepth: ihdr.data[8],
+    colorType: ihdr.data[9],
+    interlace: ihdr.data[12]
+  };
+
+  if (!VALID_BIT_DEPTHS[header.colorType]?.includes(header.bitDepth)) {
+    throw new Error(`Unsupported PNG color type ${header.colorType} with bit depth ${header.bitDepth}`);
+  }
+  if (header.width === 0 || header.height === 0) {
+    throw new Error('PNG has zero width or height');
+  }
+
+  return header;
+}
+
+/**
+ * Decode a PNG to 8-bit RGBA pixels
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{ width: number, height: number, bitDepth: number, colorType: number, interlace: number, pixels: Uint8Array }}
+ * @throws {Error} If the PNG is malformed or uses unsupported features
+ */
+export function decodePng(buffer) {
+  const chunks = readChunks(buffer);
+  const header = readHeader(chunks);
+  const { width, height, bitDepth, colorType, interlace } = header;
+
+  if (interlace !== 0 && interlace !== 1) {
+    throw new Error(`Unknown PNG interlace method ${interlace}`);
+  }
+
+  const palette = chunks.find(c => c.type === 'PLTE')?.data || null;
+  const transparency = chunks.find(c => c.type === 'tRNS')?.data || null;
+  if (colorType === COLOR_TYPE.PALETTE && !palette) {
+    throw new Error('Indexed PNG is missing its palette');
+  }
+
+  const compressed = Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data));
+  const inflated = inflateSync(compressed);
+
+  const channels = CHANNELS[colorType];
+  const format = { colorType, bitDepth, palette, transparency };
+  const pixels = new Uint8Array(width * height * 4);
+
+  if (interlace === 0) {
+    const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+    const raw = unfilter(inflated, width, height, channels, bitDepth);
+    for (let y = 0; y < height; y++) {
+      expandRow(raw.subarray(y * rowBytes, (y + 1) * rowBytes), pixels, y * width * 4, width, format);
+    }
+    return { ...header, pixels };
+  }
+
+  // Adam7: seven reduced images, each filtered separately, scattered into the grid
+  let offset = 0;
+  for (const [xStart, yStart, xStep, yStep] of ADAM7_PASSES) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) {
+      continue;
+    }
+
+    const rowBytes = Math.ceil((passWidth * channels * bitDepth) / 8);
+    const passSize = (rowBytes + 1) * passHeight;
+    const raw = unfilter(inflated.subarray(offset, offset + passSize), passWidth, passHeight, channels, bitDepth);
+    offset += passSize;
+
+    const row = new Uint8Array(passWidth * 4);
+    for (let py = 0; py < passHeight; py++) {
+      expandRow(raw.subarray(py * rowBytes, (py + 1) * rowBytes), row, 0, passWidth, format);
+      const y = yStart + py * yStep;
+      for (let px = 0; px < passWidth; px++) {
+        pixels.set(row.subarray(px * 4, px * 4 + 4), (y * width + xStart + px * xStep) * 4);
+      }
+    }
+  }
+
+  return { ...header, pixels };
+}
+
+/**
+ * Reverse PNG scanline filtering
+ * @param {Buffer} data - Inflated image data (filter byte + scanline per row)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} channels
+ * @param {number} bitDepth
+ * @returns {Uint8Array} Raw scanlines without filter bytes
+ */
+export function unfilter(data, width, height, channels, bitDepth) {
+  const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+  const bpp = Math.max(1, (channels * bitDepth) / 8);
+
+  if (data.length < (rowBytes + 1) * height) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  const out = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    const prev = dst - rowBytes;
+
+    for (let x = 0; x < rowBytes; x++) {
+      const value = data[src + x];
+      const left = x >= bpp ? out[dst + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+
+      switch (filter) {
+        case 0: out[dst + x] = value; break;
+        case 1: out[dst + x] = value + left; break;
+        case 2: out[dst + x] = value + up; break;
+        case 3: out[dst + x] = value + ((left + up) >> 1); break;
+        case 4: out[dst + x] = value + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Convert one raw scanline to RGBA
+ */
+function expandRow(row, pixels, offset, width, { colorType, bitDepth, palette, transparency }) {
+  const maxValue = (1 << bitDepth) - 1;
+  const sample = (index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const perByte = 8 / bitDepth;
+    const byte = row[Math.floor(index / perByte)];
+    const shift = 8 - bitDepth * (index % perByte + 1);
+    return (byte >> shift) & maxValue;
+  };
+  const to8 = (value) => bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxValue);
+
+  // tRNS for gray/RGB images names a single fully transparent color
+  const transparentGray = colorType === COLOR_TYPE.GRAY && transparency ? transparency.readUInt16BE(0) : null;
+  const transparentRgb = colorType === COLOR_TYPE.RGB && transparency
+    ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+    : null;
+
+  for (let x = 0; x < width; x++) {
+    const o = offset + x * 4;
+    switch (colorType) {
+      case COLOR_TYPE.GRAY: {
+        const g = sample(x);
+        pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(g);
+        pixels[o + 3] = g === transparentGray ? 0 : 255;
+        break;
+      }
+      case COLOR_TYPE.RGB: {
+        const r = sample(x * 3), g = sample(x * 3 + 1), b = sample(x * 3 + 2);
+        pixels[o] = to8(r);
+        pixels[o + 1] = to8(g);
+        pixels[o + 2] = to8(b);
+        pixels[o + 3] = transparentRgb && r === transparentRgb[0] && g === transparentRgb[1] && b === transparentRgb[2] ? 0 : 255;
+        break;
+      }
+      case COLOR_TYPE.PALETTE: {
+        const index = sample(x);
+        pixels[o] = palette[index * 3];
+        pixels[o + 1] = palette[index * 3 + 1];
+        pixels[o + 2] = palette[index * 3 + 2];
+        pixels[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case COLOR_TYPE.GRAY_ALPHA: {
+        pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(sample(x * 2));
+        pixels[o + 3] = to8(sample(x * 2 + 1));
+        break;
+      }
+      case COLOR_TYPE.RGBA: {
+        pixels[o] = to8(sample(x * 4));
+        pixels[o + 1] = to8(sample(x * 4 + 1));
+        pixels[o + 2] = to8(sample(x * 4 + 2));
+        pixels[o + 3] = to8(sample(x * 4 + 3));
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Paeth predictor (PNG spec 9.4)
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Filter raw scanlines, choosing a filter per row
+ *
+ * Uses the "minimum sum of absolute differences" heuristic from the PNG spec.
+ * Palette and sub-byte images compress best unfiltered.
+ *
+ * @param {Uint8Array} raw - Raw scanlines
+ * @param {number} rowBytes - Bytes per scanline
+ * @param {number} height
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @param {boolean} adaptive - Try all filters (false = filter 0 everywhere)
+ * @returns {Buffer} Filtered data ready for deflate
+ */
+function filterScanlines(raw, rowBytes, height, bpp, adaptive) {
+  const out = Buffer.alloc((rowBytes + 1) * height);
+  const candidates = Array.from({ length: 5 }, () => Buffer.alloc(rowBytes));
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    const prev = row - rowBytes;
+    const dst = y * (rowBytes + 1);
+
+    if (!adaptive) {
+      out[dst] = 0;
+      out.set(raw.subarray(row, row + rowBytes), dst + 1);
+      continue;
+    }
+
+    let best = 0;
+    let bestScore = Infinity;
+    for (let filter = 0; filter < 5; filter++) {
+      const candidate = candidates[filter];
+      let score = 0;
+      for (let x = 0; x < rowBytes; x++) {
+        const value = raw[row + x];
+        const left = x >= bpp ? raw[row + x - bpp] : 0;
+        const up = y > 0 ? raw[prev + x] : 0;
+        const upLeft = y > 0 && x >= bpp ? raw[prev + x - bpp] : 0;
+
+        let filtered;
+        switch (filter) {
+          case 0: filtered = value; break;
+          case 1: filtered = value - left; break;
+          case 2: filtered = value - up; break;
+          case 3: filtered = value - ((left + up) >> 1); break;
+          default: filtered = value - paeth(left, up, upLeft); break;
+        }
+        filtered &= 0xFF;
+        candidate[x] = filtered;
+        score += filtered < 128 ? filtered : 256 - filtered;
+        if (score >= bestScore) break;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        best = filter;
+      }
+    }
+
+    out[dst] = best;
+    candidates[best].copy(out, dst + 1);
+  }
+
+  return out;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk payload
+ * @returns {Buffer}
+ */
+export function buildChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode raw scanlines as a PNG
+ * @param {Object} image
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {number} image.colorType - One of COLOR_TYPE
+ * @param {number} image.bitDepth
+ * @param {Uint8Array} image.data - Raw (unfiltered) scanlines, packed per row
+ * @param {Buffer} [image.palette] - PLTE payload for indexed images
+ * @param {Buffer} [image.transparency] - tRNS payload
+ * @param {Array<{ type: string, data: Buffer }>} [image.ancillary] - Extra chunks written before PLTE
+ * @param {Object} [options]
+ * @param {number} [options.level] - zlib compression level
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+export async function encodePng(image, { level = 9 } = {}) {
+  const { width, height, colorType, bitDepth, data, palette, transparency, ancillary = [] } = image;
+  const channels = CHANNELS[colorType];
+  const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+  const bpp = Math.max(1, (channels * bitDepth) / 8);
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+
+  const adaptive = colorType !== COLOR_TYPE.PALETTE && bitDepth >= 8;
+  const filtered = filterScanlines(data, rowBytes, height, bpp, adaptive);
+  const compressed = await deflateAsync(filtered, { level, memLevel: 9 });
+
+  const chunks = [buildChunk('IHDR', ihdr)];
+  for (const chunk of ancillary) {
+    chunks.push(buildChunk(chunk.type, chunk.data));
+  }
+  if (palette) chunks.push(buildChunk('PLTE', palette));
+  if (transparency) chunks.push(buildChunk('tRNS', transparency));
+  chunks.push(buildChunk('IDAT', compressed));
+  chunks.push(buildChunk('IEND', Buffer.alloc(0)));
+
+  return Buffer.concat([PNG_SIGNATURE, ...chunks]);
+}
@@ -0,0 +1,180 @@
+/**
+ * Template readiness handshake
+ *
+ * Templates signal that they are ready to be captured by calling
+ * storepixSignalReady() (from storepix-content.js), which sets a
+ * window.storepixReady promise. Renderers await it instead of sleeping for a
+ * fixed time.
+ *
+ * Templates that predate the handshake fall back to the old behaviour:
+ * wait for network idle, check the screenshot image, then a fixed delay.
+ */
+
+/** Default time to wait for a template to signal ready (ms) */
+export const DEFAULT_READY_TIMEOUT = 15000;
+
+/** Fixed delays used for templates without the handshake (ms) */
+const LEGACY_DELAY = 300;
+const LEGACY_STATUS_BAR_DELAY = 500;
+
+/**
+ * Parse a --ready-timeout value
+ * @param {string|number|undefined} value - Raw option value
+ * @returns {number|null} Timeout in ms, or null if invalid
+ */
+export function parseReadyTimeout(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_READY_TIMEOUT;
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Wait for a loaded page to be ready for capture
+ *
+ * Call after page.goto(url, { waitUntil: 'load' }) - by then the template's
+ * inline script has run, so window.storepixReady exists if the template
+ * uses the handshake.
+ *
+ * @param {import('playwright').Page} page - Page that has finished loading
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Maximum time to wait (ms)
+ * @param {boolean} [options.statusBar] - Whether a status bar is being injected (legacy delay only)
+ * @returns {Promise<{ ready: boolean, protocol: 'handshake'|'legacy', error?: string, failedImages: string[], unfitText: Array<Object> }>}
+ *   unfitText lists text that overflows even at its minimum size (see applyTextFit)
+ */
+export async function waitForTemplateReady(page, { timeout = DEFAULT_READY_TIMEOUT, statusBar = false } = {}) {
+  const hasHandshake = await page.evaluate(() => typeof window.storepixReady !== 'undefined');
+
+  if (!hasHandshake) {
+    return waitForLegacyTemplate(page, { timeout, statusBar });
+  }
+
+  const result = await page.evaluate(async (timeoutMs) => {
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve({ timedOut: true }), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        window.storepixReady.then(value => ({ value: value || {} })),
+        timedOut
+      ]);
+    } catch (err) {
+      return { error: (err && err.message) || String(err) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }, timeout);
+
+  if (result.error) {
+    return {
+      ready: false,
+      protocol: 'handshake',
+      error: `Template reported an error while getting ready: ${result.error}`,
+      failedImages: [],
+      unfitText: []
+    };
+  }
+
+  if (result.timedOut) {
+    const state = await page.evaluate(() => window.storepixReadyState || null);
+    return {
+      ready: false,
+      protocol: 'handshake',
+      error: describeTimeout(timeout, state),
+      failedImages: [],
+      unfitText: []
+    };
+  }
+
+  const images = result.value.images || [];
+  return {
+    ready: true,
+    protocol: 'handshake',
+    failedImages: images.filter(image => !image.ok).map(image => image.src),
+    unfitText: (result.value.textFit || []).filter(fit => !fit.fits)
+  };
+}
+
+/**
+ * Build a readable timeout message from the template's readiness state
+ * @param {number} timeout - Timeout that elapsed (ms)
+ * @param {{ stage: string, pending: string[] }|null} state - window.storepixReadyState
+ * @returns {string}
+ */
+export function describeTimeout(timeout, state) {
+  const base = `Template did not signal ready within ${timeout}ms`;
+
+  if (!state) {
+    return base;
+  }
+
+  switch (state.stage) {
+    case 'tasks':
+      return `${base} (still waiting on async work passed to storepixSignalReady, e.g. status bar loading)`;
+    case 'fonts':
+      return `${base} (still waiting for web fonts to load)`;
+    case 'images': {
+      const pending = state.pending || [];
+      if (pending.length === 0) {
+        return `${base} (still waiting for images to load)`;
+      }
+      const shown = pending.slice(0, 3).join(', ');
+      const more = pending.length > 3 ? ` and ${pending.length - 3} more` : '';
+      return `${base} (still waiting for images: ${shown}${more})`;
+    }
+    default:
+      return base;
+  }
+}
+
+/**
+ * Readiness fallback for templates without the handshake
+ * @param {import('playwright').Page} page
+ * @param {{ timeout: number, statusBar: boolean }} options
+ * @returns {Promise<{ ready: boolean, protocol: 'legacy', failedImages: string[], unfitText: Array<Object> }>}
+ */
+async function waitForLegacyTemplate(page, { timeout, statusBar }) {
+  try {
+    await page.waitForLoadState('networkidle', { timeout });
+  } catch {
+    // Keep going - a stuck request shouldn't block capture entirely
+  }
+
+  const imageLoadResult = await page.evaluate(() => {
+    return new Promise((resolve) => {
+      const img = document.getElementById('screenshot-img');
+      if (!img || !img.getAttribute('src')) {
+        resolve({ success: true });
+        return;
+      }
+      if (img.complete) {
+        resolve({ success: img.naturalWidth > 0, src: img.getAttribute('src') });
+      } else {
+        img.onload = () => resolve({ success: true });
+        img.onerror = () => resolve({ success: false, src: img.getAttribute('src') });
+      }
+    });
+  });
+
+  // Wait for status bar to load if enabled
+  if (statusBar) {
+    await page.waitForTimeout(LEGACY_STATUS_BAR_DELAY);
+  }
+
+  // Small delay for any animations/rendering
+  await page.waitForTimeout(LEGACY_DELAY);
+
+  return {
+    ready: true,
+    protocol: 'legacy',
+    failedImages: imageLoadResult.success ? [] : [imageLoadResult.src],
+    unfitText: []
+  };
+}
@@ -0,0 +1,197 @@
+import { existsSync, readFileSync, writeFileSync, readdirSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { resolveContentHelper } from './template-helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const pkg = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf-8'));
+
+/** Cache manifest filename (stored in the output directory) */
+export const CACHE_FILE = '.storepix-cache.json';
+
+/** Bump when the manifest layout or the way outputs are written changes */
+const CACHE_FORMAT = 2;
+
+/**
+ * Incremental render cache
+ *
+ * Records a hash of every input that affects a render (template files, source
+ * image, resolved URL params, device) next to the generated files. A render
+ * whose hash matches the manifest and whose outputs still exist is skipped.
+ */
+export class RenderCache {
+  /**
+   * @param {string} outputRoot - Absolute path to the output directory
+   */
+  constructor(outputRoot) {
+    this.path = join(outputRoot, CACHE_FILE);
+    this.entries = {};
+    this.fileHashes = new Map();
+    this.dirHashes = new Map();
+  }
+
+  /**
+   * Load the manifest from disk (missing or unreadable manifests start empty)
+   * @returns {RenderCache} this instance for chaining
+   */
+  load() {
+    if (!existsSync(this.path)) {
+      return this;
+    }
+
+    try {
+      const manifest = JSON.parse(readFileSync(this.path, 'utf-8'));
+      // A different storepix version may render differently - start fresh
+      if (manifest.format === CACHE_FORMAT && manifest.version === pkg.version) {
+        this.entries = manifest.entries || {};
+      }
+    } catch {
+      // Corrupt manifest - treat as empty
+    }
+
+    return this;
+  }
+
+  /**
+   * Write the manifest to disk
+   */
+  save() {
+    const manifest = {
+      format: CACHE_FORMAT,
+      version: pkg.version,
+      entries: this.entries
+    };
+    writeFileSync(this.path, JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Check whether a job can be skipped
+   * @param {string} key - Job cache key
+   * @param {string} hash - Current input hash
+   * @param {string[]} outputPaths - Absolute paths the job writes
+   * @returns {boolean}
+   */
+  isFresh(key, hash, outputPaths) {
+    const entry = this.entries[key];
+    return Boolean(entry) && entry.hash === hash && outputPaths.every(p => existsSync(p));
+  }
+
+  /**
+   * Record a completed render
+   * @param {string} key - Job cache key
+   * @param {string} hash - Input hash the outputs were rendered from
+   */
+  set(key, hash) {
+    this.entries[key] = { hash };
+  }
+
+  /**
+   * Forget a render so it's rebuilt next run
+   * @param {string} key - Job cache key
+   */
+  remove(key) {
+    delete this.entries[key];
+  }
+
+  /**
+   * Hash a file's contents (memoized for the lifetime of this cache)
+   * @param {string} filePath - Absolute file path
+   * @returns {string|null} MD5 hash, or null if the file doesn't exist
+   */
+  hashFile(filePath) {
+    if (!this.fileHashes.has(filePath)) {
+      const hash = existsSync(filePath)
+        ? createHash('md5').update(readFileSync(filePath)).digest('hex')
+        : null;
+      this.fileHashes.set(filePath, hash);
+    }
+    return this.fileHashes.get(filePath);
+  }
+
+  /**
+   * Hash every file in a directory tree (memoized)
+   * @param {string} dir - Absolute directory path
+   * @returns {string|null} Combined MD5 hash, or null if the directory doesn't exist
+   */
+  hashDirectory(dir) {
+    if (!this.dirHashes.has(dir)) {
+      let hash = null;
+      if (existsSync(dir)) {
+        const combined = createHash('md5');
+        for (const file of listFiles(dir)) {
+          combined.update(file);
+          combined.update(this.hashFile(join(dir, file)));
+        }
+        hash = combined.digest('hex');
+      }
+      this.dirHashes.set(dir, hash);
+    }
+    return this.dirHashes.get(dir);
+  }
+
+  /**
+   * Forget memoized file hashes (e.g. after files changed on disk)
+   */
+  invalidateHashes() {
+    this.fileHashes.clear();
+    this.dirHashes.clear();
+  }
+}
+
+/**
+ * List all files in a directory recursively, sorted for stable hashing
+ * @param {string} dir - Directory path
+ * @param {string} prefix - Relative path prefix
+ * @returns {string[]} Relative file paths
+ */
+function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(join(dir, entry.name), relativePath));
+    } else if (statSync(join(dir, entry.name)).isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Compute the input hash for a render job
+ *
+ * Covers everything that can change the rendered pixels: the template (and the
+ * shared helper script / status bar when used), the source image and any other
+ * referenced files, and the full set of URL params (resolved text, theme,
+ * status bar settings, device info). The text layout and contrast checks are
+ * included too, so tightening them re-checks renders that passed before.
+ *
+ * @param {RenderCache} cache - Cache used for memoized file hashing
+ * @param {Object} job - Render job
+ * @param {string} configDir - Config directory
+ * @returns {string} MD5 hash
+ */
+export function computeJobHash(cache, job, configDir) {
+  const templatesDir = join(configDir, 'templates');
+
+  const inputs = {
+    template: cache.hashDirectory(join(templatesDir, job.template)),
+    contentHelper: cache.hashFile(resolveContentHelper(configDir)),
+    statusBar: job.statusBar ? cache.hashDirectory(join(templatesDir, 'status-bar')) : null,
+    files: job.inputFiles.map(file => [file, cache.hashFile(join(configDir, file))]),
+    device: job.device,
+    path: job.path,
+    viewport: job.viewport,
+    format: [job.format, job.quality, job.optimize],
+    checks: [job.textLayout, job.contrast],
+    outputs: job.outputs.map(output => [output.file, output.clip])
+  };
+
+  return createHash('md5').update(JSON.stringify(inputs)).digest('hex');
+}
@@ -0,0 +1,74 @@
+import { cpus } from 'os';
+
+/**
+ * Default number of parallel render workers
+ * Capped at 4 - each worker holds its own browser context, and beyond that
+ * Chromium's compositor becomes the bottleneck rather than our scheduling.
+ * @returns {number}
+ */
+export function defaultConcurrency() {
+  return Math.max(1, Math.min(4, cpus().length));
+}
+
+/**
+ * Parse a --concurrency value
+ * @param {string|number|undefined} value - Raw option value
+ * @returns {number|null} Positive integer, or null if invalid
+ */
+export function parseConcurrency(value) {
+  if (value === undefined || value === null) {
+    return defaultConcurrency();
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Run async tasks over a list of items with bounded concurrency
+ *
+ * Each worker pulls the next item from a shared queue, so long renders don't
+ * hold up short ones. Results are returned in input order regardless of the
+ * order in which tasks finish.
+ *
+ * If a task throws, no further items are started; in-flight tasks are allowed
+ * to finish and the first error is rethrown.
+ *
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {(item: any, index: number, workerId: number) => Promise<any>} task - Task to run per item
+ * @returns {Promise<Array>} Task results in the same order as items
+ */
+export async function runPool(items, concurrency, task) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  let next = 0;
+  let failure = null;
+
+  async function work(workerId) {
+    while (failure === null && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await task(items[index], index, workerId);
+      } catch (err) {
+        if (failure === null) {
+          failure = err;
+        }
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(work(i));
+  }
+  await Promise.all(workers);
+
+  if (failure !== null) {
+    throw failure;
+  }
+
+  return results;
+}
@@ -22,53 +22,191 @@ export function buildDeviceSpecificPath(sourcePath, deviceType) {
   return join(sourceDir, deviceType, sourceFile);
 }
 
+/** Device-level folders, most specific first (see getSourceCandidates) */
+const DEVICE_LEVELS = ['device', 'group', 'type'];
+
 /**
- * Resolve screenshot source path based on device type
+ * Get the device-level folders that apply to a device, most specific first
  *
- * Checks for device-specific source in subfolders:
- *   screenshots/iphone/01_home.png  (for iphone-* devices)
- *   screenshots/ipad/01_home.png    (for ipad-* devices)
- *   screenshots/android/01_home.png (for android-* devices)
+ * e.g., 'iphone-5.5' with sourceGroups { 'home-button': ['iphone-5.5', 'iphone-4.7'] }
+ *   → iphone-5.5 (device), home-button (group), iphone (type)
  *
- * Falls back to original source path if device-specific version doesn't exist.
+ * Groups are checked in the order they're defined in the config.
  *
- * @param {string} sourcePath - Original source path from config (e.g., './screenshots/01_home.png')
- * @param {string} deviceKey - Device key (e.g., 'iphone-6.9', 'ipad-13')
- * @param {string} configDir - Directory containing the config file
- * @returns {{ resolvedPath: string, isDeviceSpecific: boolean }} Resolved source path and whether it's device-specific
+ * @param {string} deviceKey - Device key
+ * @param {Object<string, string[]>} [sourceGroups] - config.sourceGroups
+ * @returns {Array<{ folder: string, level: 'device'|'group'|'type' }>}
  */
-export function resolveSource(sourcePath, deviceKey, configDir) {
+export function getDeviceFolders(deviceKey, sourceGroups) {
+  const folders = [{ folder: deviceKey, level: 'device' }];
+
+  for (const [group, deviceKeys] of Object.entries(sourceGroups || {})) {
+    if (Array.isArray(deviceKeys) && deviceKeys.includes(deviceKey)) {
+      folders.push({ folder: group, level: 'group' });
+    }
+  }
+
   const deviceType = getDeviceType(deviceKey);
+  if (deviceType) {
+    folders.push({ folder: deviceType, level: 'type' });
+  }
+
+  return folders;
+}
 
-  if (!deviceType) {
-    return { resolvedPath: sourcePath, isDeviceSpecific: false };
+/**
+ * List the paths checked for a source, most specific first
+ *
+ * For './screenshots/01_home.png' on an iPhone 5.5" in German, with a
+ * 'home-button' source group containing iphone-5.5:
+ *   ./screenshots/de/iphone-5.5/01_home.png   (locale + device key)
+ *   ./screenshots/de/home-button/01_home.png  (locale + group)
+ *   ./screenshots/de/iphone/01_home.png       (locale + device type)
+ *   ./screenshots/de/01_home.png              (locale)
+ *   ./screenshots/iphone-5.5/01_home.png      (device key)
+ *   ./screenshots/home-button/01_home.png     (group)
+ *   ./screenshots/iphone/01_home.png          (device type)
+ *   ./screenshots/01_home.png                 (base)
+ *
+ * Levels that don't apply (no locale, no groups, or a device without a type)
+ * are left out.
+ *
+ * @param {string} sourcePath - Original source path from config
+ * @param {string} deviceKey - Device key (e.g., 'iphone-6.9')
+ * @param {Object} [options]
+ * @param {string|null} [options.locale] - Locale being rendered
+ * @param {Object<string, string[]>} [options.sourceGroups] - config.sourceGroups
+ * @returns {Array<{ path: string, locale: string|null, folder: string|null, level: string|null }>}
+ */
+export function getSourceCandidates(sourcePath, deviceKey, { locale = null, sourceGroups } = {}) {
+  const deviceFolders = getDeviceFolders(deviceKey, sourceGroups);
+  const candidates = [];
+
+  for (const localeFolder of locale ? [locale, null] : [null]) {
+    for (const { folder, level } of [...deviceFolders, { folder: null, level: null }]) {
+      const subdir = [localeFolder, folder].filter(Boolean);
+      candidates.push({
+        path: subdir.length > 0 ? buildDeviceSpecificPath(sourcePath, join(...subdir)) : sourcePath,
+        locale: localeFolder,
+        folder,
+        level
+      });
+    }
   }
 
-  // Build device-specific path: ./screenshots/01_home.png → ./screenshots/iphone/01_home.png
-  const deviceSpecificPath = buildDeviceSpecificPath(sourcePath, deviceType);
+  return candidates;
+}
+
+/**
+ * Describe the source lookup order for the validation output
+ * @param {Object} [options]
+ * @param {boolean} [options.localized] - Whether locales are being rendered
+ * @param {Object<string, string[]>} [options.sourceGroups] - config.sourceGroups
+ * @returns {string} e.g. "<locale>/<device> → <locale>/<device-type> → <locale> → <device> → <device-type> → base"
+ */
+export function describeSourceLookup({ localized = false, sourceGroups } = {}) {
+  const labels = { device: '<device>', group: Object.keys(sourceGroups || {}).length > 0 ? '<group>' : null, type: '<device-type>' };
+  const deviceLevels = DEVICE_LEVELS.map(level => labels[level]).filter(Boolean);
 
-  // Check if device-specific file exists
-  const absoluteDevicePath = join(configDir, deviceSpecificPath);
+  const steps = [];
+  if (localized) {
+    steps.push(...deviceLevels.map(label => `<locale>/${label}`), '<locale>');
+  }
+  steps.push(...deviceLevels, 'base');
+  return steps.join(' → ');
+}
+
+/**
+ * Validate config.sourceGroups
+ * @param {Object} config - Loaded storepix config
+ * @param {Object} knownDevices - Device definitions keyed by device key
+ * @returns {string[]} Error messages
+ */
+export function validateSourceGroups(config, knownDevices) {
+  const errors = [];
+  const groups = config.sourceGroups;
+  if (groups === undefined) {
+    return errors;
+  }
+  if (typeof groups !== 'object' || groups === null || Array.isArray(groups)) {
+    return ['sourceGroups must be an object mapping group names to device keys'];
+  }
+
+  // Folder names that already mean something else in the lookup
+  const deviceTypes = new Set(Object.keys(knownDevices).map(getDeviceType).filter(Boolean));
+  const locales = new Set(Object.keys(config.locales || {}));
+
+  for (const [group, deviceKeys] of Object.entries(groups)) {
+    if (knownDevices[group] || deviceTypes.has(group) || locales.has(group)) {
+      errors.push(`sourceGroups.${group} clashes with a device, device type or locale folder of the same name`);
+    }
+    if (!Array.isArray(deviceKeys) || deviceKeys.some(key => typeof key !== 'string')) {
+      errors.push(`sourceGroups.${group} must be an array of device keys`);
+      continue;
+    }
+    for (const key of deviceKeys) {
+      if (!knownDevices[key]) {
+        errors.push(`sourceGroups.${group} contains unknown device "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve screenshot source path based on locale and device
+ *
+ * Checks locale and device subfolders before the base path - see
+ * getSourceCandidates for the full order. Device folders can be:
+ *   screenshots/iphone-5.5/01_home.png  (exact device key)
+ *   screenshots/home-button/01_home.png (a group from config.sourceGroups)
+ *   screenshots/iphone/01_home.png      (device type: iphone, ipad or android)
+ *
+ * Falls back to original source path if no more specific version exists.
+ *
+ * @param {string} sourcePath - Original source path from config (e.g., './screenshots/01_home.png')
+ * @param {string} deviceKey - Device key (e.g., 'iphone-6.9', 'ipad-13')
+ * @param {string} configDir - Directory containing the config file
+ * @param {Object} [options]
+ * @param {string|null} [options.locale] - Locale being rendered
+ * @param {Object<string, string[]>} [options.sourceGroups] - config.sourceGroups
+ * @returns {{ resolvedPath: string, isDeviceSpecific: boolean, isLocaleSpecific: boolean, level: string|null, triedPaths: string[] }}
+ *   Resolved source path, which levels it matched, and every path checked (in order)
+ */
+export function resolveSource(sourcePath, deviceKey, configDir, options = {}) {
+  const candidates = getSourceCandidates(sourcePath, deviceKey, options);
+  const triedPaths = [];
 
-  if (existsSync(absoluteDevicePath)) {
-    return { resolvedPath: deviceSpecificPath, isDeviceSpecific: true };
+  for (const candidate of candidates) {
+    triedPaths.push(candidate.path);
+    if (existsSync(join(configDir, candidate.path))) {
+      return {
+        resolvedPath: candidate.path,
+        isDeviceSpecific: candidate.level !== null,
+        isLocaleSpecific: candidate.locale !== null,
+        level: candidate.level,
+        triedPaths
+      };
+    }
   }
 
-  // Fall back to original source
-  return { resolvedPath: sourcePath, isDeviceSpecific: false };
+  // Fall back to original source (which doesn't exist either)
+  return { resolvedPath: sourcePath, isDeviceSpecific: false, isLocaleSpecific: false, level: null, triedPaths };
 }
 
 /**
  * Check if a source file exists for a given device
- * Checks device-specific path first, then falls back to base path
+ * Checks locale and device-specific paths first, then falls back to base path
  *
  * @param {string} sourcePath - Original source path from config
  * @param {string} deviceKey - Device key
  * @param {string} configDir - Directory containing the config file
+ * @param {Object} [options] - Locale and source groups (see resolveSource)
  * @returns {boolean} Whether a valid source exists for this device
  */
-export function sourceExistsForDevice(sourcePath, deviceKey, configDir) {
-  const { resolvedPath } = resolveSource(sourcePath, deviceKey, configDir);
+export function sourceExistsForDevice(sourcePath, deviceKey, configDir, options = {}) {
+  const { resolvedPath } = resolveSource(sourcePath, deviceKey, configDir, options);
   const absolutePath = join(configDir, resolvedPath);
   return existsSync(absolutePath);
 }
@@ -0,0 +1,112 @@
+/**
+ * Source fit policy
+ *
+ * Decides what happens when a source screenshot's dimensions don't match the
+ * device being rendered:
+ *
+ *   strict  - dimensions must match exactly (default)
+ *   scale   - stretch the source to the screen; aspect ratios must be close
+ *   cover   - scale uniformly to fill the screen, cropping the overflow
+ *   contain - scale uniformly to fit inside the screen, leaving bars
+ *
+ * The non-strict modes only accept sources whose aspect ratio is within a
+ * tolerance of the device's, so one set of captures can serve several
+ * similar iPhone sizes without silently squashing an iPad capture onto a
+ * phone:
+ *
+ *   sourceFit: 'cover'
+ *   sourceFit: { mode: 'scale', tolerance: 0.01 }
+ *
+ * A screenshot's own `sourceFit` (mode only) overrides the config's mode.
+ */
+
+/** Supported fit modes */
+export const SOURCE_FIT_MODES = ['strict', 'scale', 'cover', 'contain'];
+
+/** Largest relative aspect ratio difference accepted when none is configured */
+export const DEFAULT_ASPECT_TOLERANCE = 0.02;
+
+/**
+ * Resolve the fit policy for a screenshot
+ * @param {string|{ mode?: string, tolerance?: number }} [configValue] - config.sourceFit
+ * @param {string} [screenshotMode] - screenshot.sourceFit
+ * @returns {{ mode: string, tolerance: number }}
+ */
+export function resolveSourceFit(configValue, screenshotMode) {
+  const base = typeof configValue === 'string' ? { mode: configValue } : (configValue || {});
+  return {
+    mode: screenshotMode || base.mode || 'strict',
+    tolerance: base.tolerance ?? DEFAULT_ASPECT_TOLERANCE
+  };
+}
+
+/**
+ * Validate config.sourceFit and every screenshot's sourceFit
+ * @param {Object} config - Loaded storepix config
+ * @returns {string[]} Error messages
+ */
+export function validateSourceFitConfig(config) {
+  const errors = [];
+  const checkMode = (mode, path) => {
+    if (!SOURCE_FIT_MODES.includes(mode)) {
+      errors.push(`${path} must be one of: ${SOURCE_FIT_MODES.join(', ')} (got ${JSON.stringify(mode)})`);
+    }
+  };
+
+  const value = config.sourceFit;
+  if (typeof value === 'string') {
+    checkMode(value, 'sourceFit');
+  } else if (typeof value === 'object' && value !== null) {
+    if (value.mode !== undefined) {
+      checkMode(value.mode, 'sourceFit.mode');
+    }
+    if (value.tolerance !== undefined &&
+        (typeof value.tolerance !== 'number' || !(value.tolerance >= 0) || value.tolerance >= 1)) {
+      errors.push(`sourceFit.tolerance must be a number from 0 up to (not including) 1 (got ${JSON.stringify(value.tolerance)})`);
+    }
+  } else if (value !== undefined) {
+    errors.push('sourceFit must be a mode name or an object with mode and tolerance');
+  }
+
+  for (const screenshot of config.screenshots || []) {
+    if (screenshot.sourceFit !== undefined) {
+      checkMode(screenshot.sourceFit, `[${screenshot.id}] sourceFit`);
+    }
+    for (const [key, values] of Object.entries(screenshot.overrides || {})) {
+      if (values?.sourceFit !== undefined) {
+        checkMode(values.sourceFit, `[${screenshot.id}] overrides.${key}.sourceFit`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a source can be fitted to a device under a policy
+ * @param {{ width: number, height: number }} source - Source image dimensions
+ * @param {{ width: number, height: number }} device - Device dimensions
+ * @param {{ mode: string, tolerance: number }} fit - Resolved policy
+ * @returns {{ ok: boolean, exact: boolean, aspectDelta: number }}
+ *   aspectDelta is the relative difference between the two aspect ratios
+ */
+export function checkSourceFit(source, device, fit) {
+  const exact = source.width === device.width && source.height === device.height;
+  const aspectDelta = Math.abs((source.width / source.height) / (device.width / device.height) - 1);
+
+  return {
+    ok: exact || (fit.mode !== 'strict' && aspectDelta <= fit.tolerance),
+    exact,
+    aspectDelta
+  };
+}
+
+/**
+ * Format an aspect ratio difference for messages
+ * @param {number} delta - Relative difference (0.012 = 1.2%)
+ * @returns {string}
+ */
+export function formatAspectDelta(delta) {
+  const percent = delta * 100;
+  return `${percent < 0.1 && percent > 0 ? percent.toFixed(2) : percent.toFixed(1)}%`;
+}
@@ -1,11 +1,27 @@
-import { existsSync, cpSync, readdirSync } from 'fs';
+import { existsSync, cpSync, readdirSync, readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getDevice } from '../devices/index.js';
+import { applyDeviceOverrides } from './device-overrides.js';
+import { markupParserSource } from './markup-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageTemplatesDir = join(__dirname, '..', 'templates');
 
+/** Shared template helper script (custom content, readiness handshake) */
+export const contentHelperPath = join(packageTemplatesDir, 'storepix-content.js');
+
+/**
+ * Get the shared helper script served to a project's templates
+ * @param {string} configDir - Project config directory
+ * @returns {string} The project's templates/storepix-content.js if it has one, else the package copy
+ */
+export function resolveContentHelper(configDir) {
+  const projectPath = join(configDir, 'templates', 'storepix-content.js');
+  return existsSync(projectPath) ? projectPath : contentHelperPath;
+}
+
 /**
  * Get list of available templates from the package
  * @returns {string[]} Array of template names
@@ -29,6 +45,53 @@ export function templateExistsInProject(configDir, templateName) {
   return existsSync(join(templateDir, 'index.html'));
 }
 
+/**
+ * Get the template a screenshot renders with on a device
+ *
+ * Promotional devices always use feature-graphic. The default template is
+ * served at /, so only other templates need a path.
+ *
+ * @param {Object} screenshot - Screenshot entry, device overrides applied
+ * @param {string} [deviceKey] - Omit for what every device shares
+ * @param {string} template - Default template (CLI option or config.template)
+ * @returns {{ name: string, path: string }} Template name, and the page path that loads it ('' for /)
+ */
+export function resolveScreenshotTemplate(screenshot, deviceKey, template) {
+  const own = screenshot.template;
+  let name = template;
+  if (getDevice(deviceKey).type === 'promotional') {
+    name = 'feature-graphic';
+  } else if (typeof own === 'string' && own) {
+    // Other values are reported by validateConfig
+    name = own;
+  }
+  return { name, path: name === template ? '' : `/templates/${name}/index.html` };
+}
+
+/**
+ * Get the templates a run renders with
+ * @param {Object} config - Loaded storepix config
+ * @param {string} template - Default template (CLI option or config.template)
+ * @param {string[]} deviceKeys - Devices being rendered
+ * @returns {Map<string, string[]>} Template name → ids of screenshots that chose it
+ */
+export function getRequiredTemplates(config, template, deviceKeys) {
+  const templates = new Map([[template, []]]);
+
+  for (const deviceKey of deviceKeys) {
+    for (const screenshot of config.screenshots) {
+      const entry = applyDeviceOverrides(screenshot, deviceKey);
+      const { name } = resolveScreenshotTemplate(entry, deviceKey, template);
+      if (!templates.has(name)) templates.set(name, []);
+      // Only screenshots that chose the template themselves are listed
+      const ids = templates.get(name);
+      if (name === entry.template && !ids.includes(screenshot.id)) ids.push(screenshot.id);
+    }
+  }
+
+  return templates;
+}
+
 /**
  * Try to add a template to the project automatically
  * @param {string} configDir - Project config directory
@@ -63,3 +126,34 @@ export function tryAddTemplate(configDir, templateName) {
     };
   }
 }
+
+/**
+ * Serve the shared storepix-content.js helper if the request is for it
+ *
+ * A project's own templates/storepix-content.js is served when it exists, so
+ * edited copies keep working; otherwise it comes from the installed package.
+ * Templates include it as ../storepix-content.js, which is /storepix-content.js
+ * for the template served at / and /templates/storepix-content.js for ones
+ * loaded by path (feature graphics, screenshots with their own template).
+ *
+ * The headline markup parser is appended from markup-parser.js, so templates
+ * and config validation share one copy.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} configDir - Project config directory
+ * @returns {boolean} Whether the request was handled
+ */
+export function serveContentHelper(req, res, configDir) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  if (pathname !== '/storepix-content.js' && pathname !== '/templates/storepix-content.js') {
+    return false;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(`${readFileSync(resolveContentHelper(configDir), 'utf-8')}\n${markupParserSource}\n`);
+  return true;
+}
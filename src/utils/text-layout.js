@@ -0,0 +1,281 @@
+/**
+ * Text layout checks
+ *
+ * After a render is ready, every text element - [data-storepix] fields,
+ * #headline, #subheadline, fitted [data-storepix-fit] elements and
+ * annotation callouts - is measured for:
+ *
+ *   clipped   - text cut off by the page edge, an overflow: hidden ancestor
+ *               or the seam between two panorama slices
+ *   truncated - text cut off inside its own element (overflow hidden,
+ *               ellipsis, line clamp)
+ *   overflow  - text spilling out of its own element's box
+ *   overlap   - text drawn over a .device-frame
+ *
+ * Each kind is reported as an error or a warning, or not at all:
+ *
+ *   textLayout: { overlap: 'error', overflow: 'off' }
+ *   textLayout: false   // skip the checks
+ */
+
+/** Finding kinds, in report order */
+export const TEXT_LAYOUT_KINDS = ['clipped', 'truncated', 'overflow', 'overlap'];
+
+/** Accepted severities */
+export const TEXT_LAYOUT_SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Severity of each kind when config.textLayout doesn't say - warnings, so
+ * projects only fail on layout when they opt in (or run with --strict)
+ */
+const DEFAULT_TEXT_LAYOUT = {
+  clipped: 'warning',
+  truncated: 'warning',
+  overflow: 'warning',
+  overlap: 'warning'
+};
+
+/** Elements whose text is checked */
+export const TEXT_LAYOUT_SELECTOR = '[data-storepix], [data-storepix-fit], #headline, #subheadline, [data-storepix-annotation]';
+
+/** Colors for the debug image */
+const DEBUG_COLORS = {
+  error: '#ff3b30',
+  warning: '#ff9500',
+  frame: '#007aff'
+};
+
+/**
+ * Resolve the severity of each finding kind
+ * @param {boolean|Object<string, string>} [value] - config.textLayout
+ * @returns {Object<string, string>|null} Severity per kind, or null when every check is off
+ */
+export function resolveTextLayoutRules(value) {
+  if (value === false) {
+    return null;
+  }
+  const rules = { ...DEFAULT_TEXT_LAYOUT, ...(typeof value === 'object' && value !== null ? value : {}) };
+  return TEXT_LAYOUT_KINDS.every(kind => rules[kind] === 'off') ? null : rules;
+}
+
+/**
+ * Validate config.textLayout
+ * @param {*} value - config.textLayout
+ * @returns {string[]} Error messages
+ */
+export function validateTextLayoutConfig(value) {
+  if (value === undefined || typeof value === 'boolean') {
+    return [];
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return ['textLayout must be false or an object of severities by kind'];
+  }
+
+  const errors = [];
+  for (const [kind, severity] of Object.entries(value)) {
+    if (!TEXT_LAYOUT_KINDS.includes(kind)) {
+      errors.push(`textLayout.${kind} is not a check (expected one of: ${TEXT_LAYOUT_KINDS.join(', ')})`);
+    } else if (!TEXT_LAYOUT_SEVERITIES.includes(severity)) {
+      errors.push(`textLayout.${kind} must be one of: ${TEXT_LAYOUT_SEVERITIES.join(', ')} (got ${JSON.stringify(severity)})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Measure the text elements of a ready page
+ * @param {import('playwright').Page} page - Page that has signalled ready
+ * @param {Object} options
+ * @param {number} options.sliceWidth - Width of one output image
+ * @param {number} [options.slices] - Number of panorama slices
+ * @param {boolean} [options.rtl] - Whether slices are numbered right to left
+ * @returns {Promise<Array<{ element: string, text: string, kind: string, detail: string, rects: Array<Object> }>>}
+ *   rects are the affected text lines in page pixels
+ */
+export async function measureTextLayout(page, { sliceWidth, slices = 1, rtl = false }) {
+  return page.evaluate(inspectTextLayout, { selector: TEXT_LAYOUT_SELECTOR, sliceWidth, slices, rtl });
+}
+
+/**
+ * Turn findings into render issues
+ * @param {Array<Object>} findings - From measureTextLayout
+ * @param {Object<string, string>} rules - From resolveTextLayoutRules
+ * @returns {Array<{ type: 'layout', severity: string, message: string }>}
+ */
+export function getTextLayoutIssues(findings, rules) {
+  return findings
+    .filter(finding => rules[finding.kind] && rules[finding.kind] !== 'off')
+    .sort((a, b) => TEXT_LAYOUT_KINDS.indexOf(a.kind) - TEXT_LAYOUT_KINDS.indexOf(b.kind))
+    .map(finding => ({
+      type: 'layout',
+      severity: rules[finding.kind],
+      message: describeFinding(finding)
+    }));
+}
+
+/**
+ * Describe a finding in one line
+ * @param {{ element: string, text: string, kind: string, detail: string }} finding
+ * @returns {string}
+ */
+export function describeFinding({ element, text, kind, detail }) {
+  const quoted = `"${text.length > 40 ? `${text.slice(0, 39)}…` : text}"`;
+  switch (kind) {
+    case 'clipped':
+      return `${element} ${quoted} is clipped by ${detail}`;
+    case 'truncated':
+      return `${element} ${quoted} is truncated (${detail} hidden)`;
+    case 'overflow':
+      return `${element} ${quoted} overflows its box by ${detail}`;
+    case 'overlap':
+      return `${element} ${quoted} overlaps the device frame`;
+    default:
+      return `${element} ${quoted}: ${kind}`;
+  }
+}
+
+/**
+ * Save a copy of the page with findings outlined
+ *
+ * Call after the outputs are captured - the overlay is removed again, but
+ * it changes the page while it's there.
+ *
+ * @param {import('playwright').Page} page - Page that was just captured
+ * @param {Array<Object>} findings - From measureTextLayout
+ * @param {Object<string, string>} rules - From resolveTextLayoutRules
+ * @param {string} path - PNG file to write
+ */
+export async function writeLayoutDebugImage(page, findings, rules, path) {
+  const boxes = findings
+    .filter(finding => rules[finding.kind] && rules[finding.kind] !== 'off')
+    .flatMap(finding => finding.rects.map(rect => ({ ...rect, label: `${finding.kind}: ${finding.element}`, color: DEBUG_COLORS[rules[finding.kind]] })));
+
+  await page.evaluate(({ boxes, frameColor }) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'storepix-layout-debug';
+    overlay.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+    const line = Math.max(2, Math.round(window.innerHeight / 600));
+
+    const outline = (rect, color, style, label) => {
+      const box = document.createElement('div');
+      box.style.cssText = `position: absolute; left: ${rect.x}px; top: ${rect.y}px; width: ${rect.width}px; height: ${rect.height}px;` +
+        `outline: ${line}px ${style} ${color}; background: ${style === 'solid' ? `${color}33` : 'none'};`;
+      if (label) {
+        const tag = document.createElement('span');
+        tag.textContent = label;
+        tag.style.cssText = `position: absolute; left: 0; bottom: 100%; background: ${color}; color: #fff;` +
+          `font: 600 ${line * 8}px/1.3 sans-serif; padding: 0 ${line * 2}px; white-space: nowrap;`;
+        box.appendChild(tag);
+      }
+      overlay.appendChild(box);
+    };
+
+    document.querySelectorAll('.device-frame').forEach(frame => {
+      const r = frame.getBoundingClientRect();
+      outline({ x: r.left, y: r.top, width: r.width, height: r.height }, frameColor, 'dashed', null);
+    });
+    boxes.forEach(box => outline(box, box.color, 'solid', box.label));
+    document.body.appendChild(overlay);
+  }, { boxes, frameColor: DEBUG_COLORS.frame });
+
+  try {
+    await page.screenshot({ path, type: 'png' });
+  } finally {
+    await page.evaluate(() => document.getElementById('storepix-layout-debug')?.remove());
+  }
+}
+
+/**
+ * Runs in the page: find clipped, truncated, overflowing and overlapping text
+ * @param {{ selector: string, sliceWidth: number, slices: number, rtl: boolean }} options
+ * @returns {Array<Object>} Findings
+ */
+function inspectTextLayout({ selector, sliceWidth, slices, rtl }) {
+  const findings = [];
+  const tolerance = 1;
+  const frames = [...document.querySelectorAll('.device-frame')];
+  const page = { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+
+  const toRect = r => ({ x: Math.round(r.left), y: Math.round(r.top), width: Math.round(r.width), height: Math.round(r.height) });
+  const contains = (outer, inner) => inner.left >= outer.left - tolerance && inner.right <= outer.right + tolerance &&
+    inner.top >= outer.top - tolerance && inner.bottom <= outer.bottom + tolerance;
+  const hidesOverflow = style => style.overflowX !== 'visible' || style.overflowY !== 'visible';
+  const describe = node => (node.id ? `#${node.id}` : node.classList.length > 0 ? `.${node.classList[0]}` : node.tagName.toLowerCase());
+  const sliceNumber = position => (rtl ? slices - position : position + 1);
+
+  for (const el of document.querySelectorAll(selector)) {
+    const text = el.textContent.trim();
+    const style = getComputedStyle(el);
+    if (!text || el.getClientRects().length === 0 || style.visibility === 'hidden') continue;
+
+    const element = el.dataset.storepix || el.id || el.dataset.storepixFit || `callout ${el.dataset.storepixAnnotation}`;
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const lines = [...range.getClientRects()].filter(r => r.width > 0 && r.height > 0);
+    if (lines.length === 0) continue;
+
+    const add = (kind, rects, detail) => findings.push({ element, text, kind, detail, rects: rects.map(toRect) });
+
+    // Content larger than the element's own box (inline elements have no box to check)
+    let truncated = false;
+    if (el.clientWidth > 0 || el.clientHeight > 0) {
+      const excess = Math.max(el.scrollWidth - el.clientWidth, el.scrollHeight - el.clientHeight);
+      if (excess > tolerance) {
+        truncated = hidesOverflow(style);
+        add(truncated ? 'truncated' : 'overflow', [el.getBoundingClientRect()], `${excess}px`);
+      }
+    }
+
+    // Lines cut off by an ancestor or the page edge (a truncated element's
+    // hidden lines are already reported)
+    if (!truncated) {
+      const clippers = [];
+      for (let node = el.parentElement; node && node !== document.documentElement; node = node.parentElement) {
+        if (hidesOverflow(getComputedStyle(node))) {
+          clippers.push(node);
+        }
+      }
+      const clipped = new Map();
+      for (const line of lines) {
+        const clipper = clippers.find(node => !contains(node.getBoundingClientRect(), line));
+        const by = clipper ? describe(clipper) : (!contains(page, line) ? 'the page edge' : null);
+        if (by) {
+          clipped.set(by, [...(clipped.get(by) || []), line]);
+        }
+      }
+      for (const [by, rects] of clipped) {
+        add('clipped', rects, by);
+      }
+
+      // Panorama slices are separate images, so text must not straddle a seam
+      for (let seam = 1; seam < slices; seam++) {
+        const x = seam * sliceWidth;
+        const split = lines.filter(line => line.left < x - tolerance && line.right > x + tolerance);
+        if (split.length > 0) {
+          const [a, b] = [sliceNumber(seam - 1), sliceNumber(seam)].sort((m, n) => m - n);
+          add('clipped', split, `the seam between slices ${a} and ${b}`);
+        }
+      }
+    }
+
+    // Sample points across each line - exact even for rotated device frames
+    const overlapping = lines.filter(line => {
+      for (let col = 0; col < 5; col++) {
+        for (let row = 0; row < 3; row++) {
+          const x = line.left + (line.width * (col + 0.5)) / 5;
+          const y = line.top + (line.height * (row + 0.5)) / 3;
+          const hits = document.elementsFromPoint(x, y);
+          if (frames.some(frame => !frame.contains(el) && hits.some(hit => frame.contains(hit)))) {
+            return true;
+          }
+        }
+      }
+      return false;
+    });
+    if (overlapping.length > 0) {
+      add('overlap', overlapping, '');
+    }
+  }
+
+  return findings;
+}
@@ -1,131 +1,179 @@
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
-import { resolveSource } from './resolve-source.js';
-
-// PNG signature bytes
-const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+import { resolveSource, describeSourceLookup } from './resolve-source.js';
+import { readChunks, readHeader, decodePng, COLOR_TYPE } from './png.js';
+import { readImageInfo } from './image-info.js';
+import { resolveSourceFit, checkSourceFit, formatAspectDelta } from './source-fit.js';
+import { applyDeviceOverrides } from './device-overrides.js';
 
 /**
  * Validate a single screenshot file
+ *
+ * Sources can be PNG, JPEG or WebP - they're only ever embedded in a template,
+ * so the store's format rules apply to the generated output instead
+ * (see checkStoreFormat in output-format.js).
+ *
+ * Dimensions must match the device exactly unless the fit policy allows
+ * scaling (see source-fit.js); a source accepted that way is reported in
+ * `fit` so the policy that was applied shows up in the validation output.
+ *
  * @param {string} filePath - Absolute path to screenshot
  * @param {Object} device - Device configuration with width/height
- * @returns {Object} { valid: boolean, errors: string[], warnings: string[], dimensions: { width, height } }
+ * @param {{ mode: string, tolerance: number }} [fit] - Source fit policy (default: strict)
+ * @returns {Object} { valid: boolean, errors: string[], warnings: string[], format: string|null,
+ *   dimensions: { width, height }, fit: { mode, tolerance, aspectDelta, target: { width, height } } | null,
+ *   transparency: { pixels, bounds: { x, y, width, height } } | null }
  */
-export function validateScreenshot(filePath, device) {
+export function validateScreenshot(filePath, device, fit = resolveSourceFit()) {
   const errors = [];
   const warnings = [];
 
   if (!existsSync(filePath)) {
-    return { valid: false, errors: ['File not found'], warnings: [], dimensions: null };
+    return { valid: false, errors: ['File not found'], warnings: [], format: null, dimensions: null };
   }
 
   let buffer;
   try {
     buffer = readFileSync(filePath);
   } catch (err) {
-    return { valid: false, errors: [`Cannot read file: ${err.message}`], warnings: [], dimensions: null };
+    return { valid: false, errors: [`Cannot read file: ${err.message}`], warnings: [], format: null, dimensions: null };
   }
 
-  // Check file size (minimum valid PNG is ~67 bytes)
+  // Check file size (no real image is smaller than a minimal PNG, ~67 bytes)
   if (buffer.length < 67) {
-    return { valid: false, errors: ['File is too small to be a valid image'], warnings: [], dimensions: null };
+    return { valid: false, errors: ['File is too small to be a valid image'], warnings: [], format: null, dimensions: null };
   }
 
-  // Check PNG signature
-  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
-    // Try to detect if it's a JPEG
-    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
-      errors.push('File is a JPEG. App Store requires PNG format for screenshots.');
-      return { valid: false, errors, warnings, dimensions: null };
-    }
-    errors.push('File is not a valid PNG');
-    return { valid: false, errors, warnings, dimensions: null };
+  // Read format and dimensions from the header (PNG IHDR, JPEG SOF, WebP VP8*)
+  let info;
+  try {
+    info = readImageInfo(buffer);
+  } catch (err) {
+    errors.push(`File is not a valid PNG, JPEG or WebP image: ${err.message}`);
+    return { valid: false, errors, warnings, format: null, dimensions: null };
   }
 
-  // Extract dimensions from IHDR chunk
-  // PNG structure: signature (8) + chunk length (4) + "IHDR" (4) + width (4) + height (4) + ...
-  // So width is at offset 16, height at offset 20
-  const width = buffer.readUInt32BE(16);
-  const height = buffer.readUInt32BE(20);
+  const { format, width, height } = info;
 
-  // Validate dimensions match device
-  if (width !== device.width || height !== device.height) {
+  // Validate dimensions match device, or are close enough for the fit policy
+  const fitCheck = checkSourceFit({ width, height }, device, fit);
+  if (!fitCheck.ok) {
+    const detail = fit.mode === 'strict'
+      ? ''
+      : ` (aspect ratio differs by ${formatAspectDelta(fitCheck.aspectDelta)}, more than the ${formatAspectDelta(fit.tolerance)} "${fit.mode}" tolerance)`;
     errors.push(
-      `Dimension mismatch: image is ${width}x${height}, but ${device.name} requires ${device.width}x${device.height}`
+      `Dimension mismatch: image is ${width}x${height}, but ${device.name} requires ${device.width}x${device.height}${detail}`
     );
   }
-
-  // Check color type for transparency
-  // Color types: 0=grayscale, 2=RGB, 3=indexed, 4=grayscale+alpha, 6=RGBA
-  // Color type is at offset 25: signature (8) + length (4) + IHDR (4) + width (4) + height (4) + bit depth (1)
-  const colorType = buffer.readUInt8(25);
-  const hasAlphaChannel = colorType === 4 || colorType === 6;
-
-  if (hasAlphaChannel) {
-    // Check for tRNS chunk (transparency in non-alpha images) or actual alpha pixels
-    const hasTransparency = checkForTransparency(buffer, colorType);
-    if (hasTransparency) {
-      warnings.push('Image may contain transparency. App Store screenshots should be fully opaque.');
-    }
-  }
-
-  // Check for tRNS chunk in indexed/grayscale/RGB images
-  if (colorType === 0 || colorType === 2 || colorType === 3) {
-    if (buffer.includes(Buffer.from('tRNS'))) {
-      warnings.push('Image contains a transparency chunk (tRNS). Consider using a fully opaque image.');
+  const appliedFit = fitCheck.ok && !fitCheck.exact
+    ? { mode: fit.mode, tolerance: fit.tolerance, aspectDelta: fitCheck.aspectDelta, target: { width: device.width, height: device.height } }
+    : null;
+
+  // Decode PNG pixels and look for any that aren't fully opaque
+  let transparency = null;
+  if (format === 'png') {
+    try {
+      transparency = checkForTransparency(buffer);
+      if (transparency) {
+        const { pixels, bounds } = transparency;
+        warnings.push(
+          `Image has ${pixels} transparent or semi-transparent pixel${pixels === 1 ? '' : 's'} ` +
+          `in a ${bounds.width}x${bounds.height} region at (${bounds.x}, ${bounds.y}). ` +
+          'App Store screenshots should be fully opaque.'
+        );
+      }
+    } catch (err) {
+      warnings.push(`Could not check for transparency: ${err.message}`);
     }
+  } else if (info.hasAlphaChannel) {
+    // WebP pixels aren't decoded - the header only says alpha may be present
+    warnings.push('Image has an alpha channel. App Store screenshots should be fully opaque.');
   }
 
   return {
     valid: errors.length === 0,
     errors,
     warnings,
-    dimensions: { width, height }
+    format,
+    dimensions: { width, height },
+    fit: appliedFit,
+    transparency
   };
 }
 
 /**
- * Check if PNG has transparency
+ * Find pixels in a PNG that aren't fully opaque
+ *
+ * Only images that can carry transparency (an alpha channel or a tRNS chunk)
+ * are decoded; for those every pixel's alpha is checked.
+ *
  * @param {Buffer} buffer - PNG file buffer
- * @param {number} colorType - PNG color type
- * @returns {boolean}
+ * @returns {{ pixels: number, bounds: { x: number, y: number, width: number, height: number } }|null}
+ *   Count and bounding box of non-opaque pixels, or null if the image is fully opaque
+ * @throws {Error} If the PNG can't be decoded
  */
-function checkForTransparency(buffer, colorType) {
-  // For RGBA or grayscale+alpha images, look for tRNS chunk
-  // or check IDAT for non-opaque pixels (simplified check)
+function checkForTransparency(buffer) {
+  const chunks = readChunks(buffer);
+  const { colorType } = readHeader(chunks);
+  const canBeTransparent = colorType === COLOR_TYPE.GRAY_ALPHA ||
+    colorType === COLOR_TYPE.RGBA ||
+    chunks.some(chunk => chunk.type === 'tRNS');
+
+  if (!canBeTransparent) {
+    return null;
+  }
 
-  // Quick check: look for tRNS chunk which explicitly defines transparency
-  if (buffer.includes(Buffer.from('tRNS'))) {
-    return true;
+  const { width, height, pixels } = decodePng(buffer);
+  let count = 0;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[(y * width + x) * 4 + 3] !== 255) {
+        count++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
   }
 
-  // For full pixel-by-pixel transparency detection, we would need to decompress
-  // the IDAT chunks and check alpha values. This is expensive, so we just warn
-  // about RGBA images as potentially having transparency.
-  if (colorType === 4 || colorType === 6) {
-    // Return false here - we've already warned about alpha channel above
-    // Full decompression would be needed for accurate detection
-    return false;
+  if (count === 0) {
+    return null;
   }
 
-  return false;
+  return {
+    pixels: count,
+    bounds: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+  };
 }
 
 /**
- * Validate all screenshots for all devices
- * @param {Array} screenshots - Screenshots from config
+ * Validate all screenshots for all devices (and locales)
+ *
+ * Each locale can resolve to its own source (see resolveSource); a file shared
+ * by several locales is only validated once per device.
+ *
+ * @param {Array} screenshots - Screenshots from config (per-device overrides are applied here)
  * @param {string} configDir - Config directory path
  * @param {Array} deviceKeys - Device keys to validate against
  * @param {Object} devices - Device definitions object
- * @returns {Object} { valid: boolean, results: Array }
+ * @param {Object} [options]
+ * @param {string|Object} [options.sourceFit] - config.sourceFit (screenshots can override the mode)
+ * @param {Object<string, string[]>} [options.sourceGroups] - config.sourceGroups
+ * @param {Array<string|null>} [options.locales] - Locales being generated ([null] when not localized)
+ * @returns {Object} { valid: boolean, results: Array, lookupOrder: string|null }
+ *   lookupOrder describes the folder precedence when any source comes from a folder
  */
-export function validateAllScreenshots(screenshots, configDir, deviceKeys, devices) {
+export function validateAllScreenshots(screenshots, configDir, deviceKeys, devices, { sourceFit, sourceGroups, locales = [null] } = {}) {
   const results = [];
   let hasErrors = false;
 
-  for (const screenshot of screenshots) {
+  for (const baseScreenshot of screenshots) {
     for (const deviceKey of deviceKeys) {
       const device = devices[deviceKey];
+      const screenshot = applyDeviceOverrides(baseScreenshot, deviceKey);
 
       // Skip validation for promotional devices (like feature graphics) that don't require source images
       if (device.type === 'promotional') {
@@ -137,29 +185,42 @@ export function validateAllScreenshots(screenshots, configDir, deviceKeys, devic
         continue;
       }
 
-      // Resolve device-specific source path
-      const { resolvedPath } = resolveSource(screenshot.source, deviceKey, configDir);
-      const sourcePath = join(configDir, resolvedPath);
+      const validated = new Set();
+      for (const locale of locales) {
+        // Resolve locale/device-specific source path
+        const { resolvedPath, isLocaleSpecific, level } = resolveSource(screenshot.source, deviceKey, configDir, { locale, sourceGroups });
+        if (validated.has(resolvedPath)) {
+          continue;
+        }
+        validated.add(resolvedPath);
 
-      const validation = validateScreenshot(sourcePath, device);
+        const sourcePath = join(configDir, resolvedPath);
+        const validation = validateScreenshot(sourcePath, device, resolveSourceFit(sourceFit, screenshot.sourceFit));
 
-      if (!validation.valid) {
-        hasErrors = true;
-      }
+        if (!validation.valid) {
+          hasErrors = true;
+        }
 
-      results.push({
-        screenshotId: screenshot.id,
-        source: resolvedPath,
-        device: deviceKey,
-        deviceName: device.name,
-        ...validation
-      });
+        results.push({
+          screenshotId: screenshot.id,
+          source: resolvedPath,
+          device: deviceKey,
+          deviceName: device.name,
+          locale: isLocaleSpecific ? locale : null,
+          sourceLevel: level,
+          ...validation
+        });
+      }
     }
   }
 
+  // Once sources come from locale or device folders, document which one wins
+  const usesFolders = Object.keys(sourceGroups || {}).length > 0 || results.some(r => r.sourceLevel || r.locale);
+
   return {
     valid: !hasErrors,
-    results
+    results,
+    lookupOrder: usesFolders ? describeSourceLookup({ localized: locales.some(Boolean), sourceGroups }) : null
   };
 }
 
@@ -168,7 +229,11 @@ export function validateAllScreenshots(screenshots, configDir, deviceKeys, devic
  * @param {Object} validationResult - Result from validateAllScreenshots
  */
 export function printValidationResults(validationResult) {
-  const { valid, results } = validationResult;
+  const { valid, results, lookupOrder } = validationResult;
+
+  if (lookupOrder) {
+    console.log(`    Source lookup: ${lookupOrder}`);
+  }
 
   // Group results by screenshot
   const byScreenshot = {};
@@ -180,26 +245,39 @@ export function printValidationResults(validationResult) {
   }
 
   let hasWarnings = false;
+  let hasFitted = false;
 
   for (const [screenshotId, deviceResults] of Object.entries(byScreenshot)) {
-    const hasIssues = deviceResults.some(r => r.errors.length > 0 || r.warnings.length > 0);
+    const hasIssues = deviceResults.some(r => r.errors.length > 0 || r.warnings.length > 0 || r.fit);
 
     if (hasIssues) {
       console.log(`\n    ${screenshotId}:`);
 
       for (const result of deviceResults) {
+        const target = result.locale ? `${result.device} [${result.locale}]` : result.device;
         if (result.errors.length > 0) {
-          console.log(`      ${result.device} (${result.deviceName}):`);
+          console.log(`      ${target} (${result.deviceName}):`);
           for (const error of result.errors) {
             console.log(`        \x1b[31m✗ ${error}\x1b[0m`);
           }
         }
 
+        if (result.errors.length === 0 && (result.warnings.length > 0 || result.fit)) {
+          console.log(`      ${target}:`);
+        }
+
+        // Sources accepted by the sourceFit policy rather than an exact match
+        if (result.fit) {
+          hasFitted = true;
+          const { dimensions, fit } = result;
+          console.log(
+            `        \x1b[36m↔ ${dimensions.width}x${dimensions.height} fitted to ${fit.target.width}x${fit.target.height} ` +
+            `(sourceFit: ${fit.mode}, aspect ratio off by ${formatAspectDelta(fit.aspectDelta)})\x1b[0m`
+          );
+        }
+
         if (result.warnings.length > 0) {
           hasWarnings = true;
-          if (result.errors.length === 0) {
-            console.log(`      ${result.device}:`);
-          }
           for (const warning of result.warnings) {
             console.log(`        \x1b[33m⚠ ${warning}\x1b[0m`);
           }
@@ -212,6 +290,8 @@ export function printValidationResults(validationResult) {
     console.log(`\n    Tip: Use --skip-validation to bypass these checks.\n`);
   } else if (hasWarnings) {
     console.log(`\n    Validation passed with warnings.\n`);
+  } else if (hasFitted || lookupOrder) {
+    console.log();
   }
 
   return { valid, hasWarnings };
@@ -1,16 +1,21 @@
 import chokidar from 'chokidar';
 import { EventEmitter } from 'events';
+import { join, dirname, resolve, relative, sep, isAbsolute } from 'path';
 
 /**
  * File watcher utility for hot reload
  */
 export class FileWatcher extends EventEmitter {
-  constructor(paths, options = {}) {
+  /**
+   * @param {string|string[]} paths - Files and directories to watch
+   * @param {Object} [options] - chokidar options; `ignored` paths are added to the dotfiles always ignored
+   */
+  constructor(paths, { ignored = [], ...options } = {}) {
     super();
     this.paths = paths;
     this.options = {
       ignoreInitial: true,
-      ignored: /(^|[\/\\])\../, // Ignore dotfiles
+      ignored: [/(^|[\/\\])\../, ...[].concat(ignored)], // Ignore dotfiles
       persistent: true,
       awaitWriteFinish: {
         stabilityThreshold: 100,
@@ -38,6 +43,16 @@ export class FileWatcher extends EventEmitter {
     return this;
   }
 
+  /**
+   * Watch additional paths
+   * @param {string|string[]} paths
+   */
+  add(paths) {
+    if (this.watcher) {
+      this.watcher.add(paths);
+    }
+  }
+
   /**
    * Stop watching files
    */
@@ -72,3 +87,66 @@ export function categorizeChange(path, configDir) {
 
   return 'other';
 }
+
+/**
+ * Check whether a path is a directory or inside it
+ * @param {string} path
+ * @param {string} dir
+ * @returns {boolean}
+ */
+function isWithin(path, dir) {
+  const rel = relative(dir, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Get the directories holding render inputs that aren't watched yet
+ *
+ * Sources, backgrounds and logos can live outside screenshots/ (e.g.
+ * ./assets/bg.jpg). Each configured source's directory is included too, so
+ * device and locale folders added next to it are picked up.
+ *
+ * @param {Object[]} jobs - Render jobs
+ * @param {string} configDir - Config directory root
+ * @param {string[]} watched - Paths already being watched
+ * @returns {string[]} Absolute directory paths
+ */
+export function getInputDirs(jobs, configDir, watched) {
+  const dirs = new Set();
+  for (const job of jobs) {
+    for (const file of [job.screenshot.source, ...job.inputFiles]) {
+      if (typeof file === 'string') dirs.add(dirname(resolve(configDir, file)));
+    }
+  }
+
+  return [...dirs].filter(dir =>
+    !watched.some(path => isWithin(dir, path)) &&
+    ![...dirs].some(other => other !== dir && isWithin(dir, other))
+  );
+}
+
+/**
+ * Check whether a job needs re-rendering after a set of file changes
+ * @param {Object} job - Freshly built render job
+ * @param {Object|undefined} previous - Job with the same cache key from the previous build
+ * @param {Array<{ path: string, category: string }>} changes - Changed files
+ * @param {string} configDir - Config directory root
+ * @returns {boolean}
+ */
+export function isJobAffected(job, previous, changes, configDir) {
+  // New job, or a locale/device-specific source was added/removed
+  if (!previous || previous.resolvedSource !== job.resolvedSource) {
+    return true;
+  }
+
+  const templatesDir = join(configDir, 'templates');
+  const inputPaths = job.inputFiles.map(file => resolve(configDir, file));
+
+  return changes.some(({ path, category }) => {
+    if (category === 'template') {
+      const [name] = relative(templatesDir, path).split(sep);
+      return name === job.template || name === 'storepix-content.js' || (name === 'status-bar' && job.statusBar);
+    }
+    return inputPaths.includes(resolve(path));
+  });
+}
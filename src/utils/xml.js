@@ -0,0 +1,179 @@
+/**
+ * Minimal XML reader and escaping helpers
+ *
+ * Enough XML for translation files (Android strings.xml, XLIFF): elements,
+ * attributes, text, CDATA and the predefined and numeric entities. Comments,
+ * processing instructions and DOCTYPE declarations are skipped. There is no
+ * namespace or DTD handling - element names keep their prefix and can be
+ * matched by local name.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Element name as written (including any prefix)
+ * @property {Object<string, string>} attributes
+ * @property {Array<XmlElement|string>} children - Elements and decoded text
+ */
+
+/**
+ * Decode entity and character references
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - Document source
+ * @returns {XmlElement} Root element
+ * @throws {Error} On malformed markup, with the line number
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split('\n').length;
+    throw new Error(`Invalid XML on line ${line}: ${message}`);
+  };
+
+  const skipPast = (terminator, what) => {
+    const end = text.indexOf(terminator, pos);
+    if (end === -1) fail(`unterminated ${what}`);
+    const content = text.slice(pos, end);
+    pos = end + terminator.length;
+    return content;
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    const current = stack[stack.length - 1];
+
+    // Text up to the next tag
+    const rawText = text.slice(pos, lt === -1 ? text.length : lt);
+    if (rawText && stack.length > 1) {
+      current.children.push(decodeEntities(rawText));
+    }
+    if (lt === -1) break;
+    pos = lt;
+
+    if (text.startsWith('<!--', pos)) {
+      pos += 4;
+      skipPast('-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      pos += 9;
+      current.children.push(skipPast(']]>', 'CDATA section'));
+    } else if (text.startsWith('<?', pos)) {
+      pos += 2;
+      skipPast('?>', 'processing instruction');
+    } else if (text.startsWith('<!', pos)) {
+      // DOCTYPE, possibly with an internal subset
+      const bracket = text.indexOf('[', pos);
+      const close = text.indexOf('>', pos);
+      pos = bracket !== -1 && bracket < close ? text.indexOf(']>', bracket) + 2 : close + 1;
+      if (pos <= lt) fail('unterminated declaration');
+    } else if (text.startsWith('</', pos)) {
+      pos += 2;
+      const name = skipPast('>', 'closing tag').trim();
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected </${name}>`);
+      }
+      stack.pop();
+    } else {
+      pos += 1;
+      const match = /^([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(pos));
+      if (!match) fail('malformed start tag');
+      pos += match[0].length;
+
+      const attributes = {};
+      for (const attr of match[2].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+      }
+
+      const element = { name: match[1], attributes, children: [] };
+      current.children.push(element);
+      if (!match[3]) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`missing </${stack[stack.length - 1].name}>`);
+  }
+  const rootElement = root.children.find(child => typeof child !== 'string');
+  if (!rootElement) {
+    fail('no root element');
+  }
+  return rootElement;
+}
+
+/**
+ * Element name without its namespace prefix
+ * @param {XmlElement} element
+ * @returns {string}
+ */
+export function localName(element) {
+  return element.name.slice(element.name.indexOf(':') + 1);
+}
+
+/**
+ * Child elements with a given local name
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement[]}
+ */
+export function childElements(element, name) {
+  return element.children.filter(child => typeof child !== 'string' && localName(child) === name);
+}
+
+/**
+ * All descendant elements with a given local name, in document order
+ * @param {XmlElement} element
+ * @param {string} name
+ * @returns {XmlElement[]}
+ */
+export function findElements(element, name) {
+  const found = [];
+  for (const child of element.children) {
+    if (typeof child === 'string') continue;
+    if (localName(child) === name) found.push(child);
+    found.push(...findElements(child, name));
+  }
+  return found;
+}
+
+/**
+ * Concatenated text of an element and its descendants
+ * @param {XmlElement} element
+ * @returns {string}
+ */
+export function textContent(element) {
+  return element.children
+    .map(child => (typeof child === 'string' ? child : textContent(child)))
+    .join('');
+}
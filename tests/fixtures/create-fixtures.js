@@ -4,6 +4,7 @@
  */
 
 import { writeFileSync } from 'fs';
+import { deflateSync } from 'zlib';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -12,8 +13,8 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 // PNG signature
 const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
 
-// Create minimal valid PNG
-function createPNG(width, height, colorType = 2) {
+// Create valid PNG with black pixels (opaque, except an optional transparent region)
+function createPNG(width, height, colorType = 2, transparentRegion = null) {
   // Build IHDR chunk
   const ihdrData = Buffer.alloc(13);
   ihdrData.writeUInt32BE(width, 0);     // Width
@@ -26,10 +27,21 @@ function createPNG(width, height, colorType = 2) {
 
   const ihdrChunk = createChunk('IHDR', ihdrData);
 
-  // Create minimal IDAT chunk (compressed empty data)
-  // This is a minimal valid zlib stream for empty/black image
-  const idatData = Buffer.from([0x78, 0x9c, 0x62, 0x60, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01]);
-  const idatChunk = createChunk('IDAT', idatData);
+  // Build unfiltered scanlines (filter byte 0 + pixels), then compress
+  const channels = colorType === 6 ? 4 : 3;
+  const rowBytes = 1 + width * channels;
+  const raw = Buffer.alloc(rowBytes * height);
+  if (channels === 4) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const inRegion = transparentRegion &&
+          x >= transparentRegion.x && x < transparentRegion.x + transparentRegion.width &&
+          y >= transparentRegion.y && y < transparentRegion.y + transparentRegion.height;
+        raw[y * rowBytes + 1 + x * 4 + 3] = inRegion ? 0 : 255;
+      }
+    }
+  }
+  const idatChunk = createChunk('IDAT', deflateSync(raw));
 
   // Create IEND chunk
   const iendChunk = createChunk('IEND', Buffer.alloc(0));
@@ -90,11 +102,51 @@ writeFileSync(join(__dirname, 'screenshots/valid-ipad-13.png'), valid_ipad_13);
 const wrong_dimensions = createPNG(100, 100);
 writeFileSync(join(__dirname, 'screenshots/wrong-dimensions.png'), wrong_dimensions);
 
-// Create valid PNG with alpha channel (RGBA)
-const with_alpha = createPNG(1284, 2778, 6);
+// Create valid PNG with alpha channel (RGBA) and transparent rounded-corner areas
+const with_alpha = createPNG(1284, 2778, 6, { x: 1234, y: 0, width: 50, height: 40 });
 writeFileSync(join(__dirname, 'screenshots/with-alpha.png'), with_alpha);
 
-// Create fake JPEG (valid JPEG header + padding to exceed 67 bytes)
+// Create RGBA PNG whose pixels are all opaque
+const opaque_alpha = createPNG(1284, 2778, 6);
+writeFileSync(join(__dirname, 'screenshots/opaque-alpha.png'), opaque_alpha);
+
+// Create JPEG for iPhone 6.5" (SOI, APP0 and a baseline frame header - no scan data)
+function createJPEG(width, height) {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const sof = Buffer.alloc(19);
+  sof[0] = 0xFF;
+  sof[1] = 0xC0;
+  sof.writeUInt16BE(17, 2);  // Segment length
+  sof[4] = 8;                // Precision
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  sof[9] = 3;                // Components
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof, Buffer.alloc(40), Buffer.from([0xFF, 0xD9])]);
+}
+writeFileSync(join(__dirname, 'screenshots/valid-iphone-6.5.jpg'), createJPEG(1284, 2778));
+
+// Create JPEG for iPhone 6.7" (1290x2796), close in aspect ratio to the 6.9" size
+writeFileSync(join(__dirname, 'screenshots/valid-iphone-6.7.jpg'), createJPEG(1290, 2796));
+
+// Create extended WebP for iPhone 6.5" (VP8X canvas header, optionally flagged as having alpha)
+function createWebP(width, height, alpha = false) {
+  const vp8x = Buffer.alloc(18);
+  vp8x.write('VP8X', 0, 'latin1');
+  vp8x.writeUInt32LE(10, 4);
+  vp8x[8] = alpha ? 0x10 : 0;
+  vp8x.writeUIntLE(width - 1, 12, 3);
+  vp8x.writeUIntLE(height - 1, 15, 3);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.write('WEBP', 8, 'latin1');
+  const file = Buffer.concat([header, vp8x, Buffer.alloc(60)]);
+  file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+writeFileSync(join(__dirname, 'screenshots/valid-iphone-6.5.webp'), createWebP(1284, 2778));
+writeFileSync(join(__dirname, 'screenshots/with-alpha.webp'), createWebP(1284, 2778, true));
+
+// Create fake JPEG (JPEG signature + zero padding, no frame header)
 const fakeJpeg = Buffer.alloc(100);
 fakeJpeg[0] = 0xFF;
 fakeJpeg[1] = 0xD8;
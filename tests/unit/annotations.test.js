@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getAnnotationKey,
+  findCallout,
+  localizeAnnotations,
+  validateAnnotations
+} from '../../src/utils/annotations.js';
+
+const annotations = [
+  { type: 'spotlight', x: 642, y: 1180, radius: 220 },
+  { type: 'callout', id: 'save', x: 1010, y: 2360, text: 'Tap to save', position: 'top' },
+  { type: 'callout', x: 300, y: 600, text: 'Your moods' },
+  { type: 'arrow', x: 1010, y: 2360, from: { x: 760, y: 1980 } }
+];
+
+describe('annotations module', () => {
+  describe('getAnnotationKey', () => {
+    it('should use the id, or the index without one', () => {
+      assert.strictEqual(getAnnotationKey(annotations[1], 1), 'save');
+      assert.strictEqual(getAnnotationKey(annotations[2], 2), '2');
+    });
+  });
+
+  describe('findCallout', () => {
+    it('should find callouts by key only', () => {
+      assert.strictEqual(findCallout(annotations, 'save'), annotations[1]);
+      assert.strictEqual(findCallout(annotations, '2'), annotations[2]);
+      assert.strictEqual(findCallout(annotations, '0'), null);
+      assert.strictEqual(findCallout(undefined, 'save'), null);
+    });
+  });
+
+  describe('localizeAnnotations', () => {
+    it('should replace callout text by key and keep everything else', () => {
+      const localized = localizeAnnotations(annotations, { save: 'Zum Speichern tippen', 2: 'Deine Stimmungen' });
+
+      assert.strictEqual(localized[1].text, 'Zum Speichern tippen');
+      assert.strictEqual(localized[1].x, 1010);
+      assert.strictEqual(localized[2].text, 'Deine Stimmungen');
+      assert.strictEqual(localized[0], annotations[0]);
+      assert.strictEqual(annotations[1].text, 'Tap to save');
+    });
+
+    it('should let a locale replace the whole list', () => {
+      const own = [{ type: 'circle', x: 100, y: 200 }];
+      assert.strictEqual(localizeAnnotations(annotations, own), own);
+    });
+  });
+
+  describe('validateAnnotations', () => {
+    it('should accept valid annotations and callout text overrides', () => {
+      assert.deepStrictEqual(validateAnnotations({
+        screenshots: [{ id: 'home', annotations }, { id: 'list' }],
+        locales: {
+          de: { home: { annotations: { save: 'Speichern', 2: 'Stimmungen' } } },
+          fr: { home: { annotations: [{ type: 'circle', x: 1, y: 2, radius: 40 }] } },
+          ja: './i18n/ja.json'
+        }
+      }), []);
+    });
+
+    it('should report invalid entries with their path', () => {
+      const errors = validateAnnotations({
+        screenshots: [{
+          id: 'home',
+          annotations: [
+            { type: 'box', x: 1, y: 2 },
+            { type: 'arrow', x: '10', y: 20 },
+            { type: 'circle', x: 1, y: 2, radius: -5, label: 'x' },
+            { type: 'callout', x: 1, y: 2, text: '', position: 'above' },
+            { type: 'spotlight', x: 1, y: 2, width: 100, opacity: 2 }
+          ]
+        }]
+      });
+
+      assert.deepStrictEqual(errors, [
+        '[home] annotations[0].type must be one of: arrow, circle, spotlight, callout (got "box")',
+        '[home] annotations[1].x must be a number (source screenshot pixels)',
+        '[home] annotations[1].from must be the point the arrow starts at, e.g. { x: 400, y: 1800 }',
+        '[home] annotations[2].label is not an option for circle annotations',
+        '[home] annotations[2].radius must be a positive number',
+        '[home] annotations[3].text must be a non-empty string',
+        '[home] annotations[3].position must be one of: top, bottom, left, right (got "above")',
+        '[home] annotations[4] needs both width and height for a rectangular spotlight',
+        '[home] annotations[4].opacity must be a number from 0 to 1'
+      ]);
+    });
+
+    it('should reject duplicate ids and non-array values', () => {
+      assert.deepStrictEqual(validateAnnotations({
+        screenshots: [
+          { id: 'a', annotations: { type: 'circle' } },
+          { id: 'b', annotations: [{ type: 'circle', id: 'x', x: 1, y: 1 }, { type: 'circle', id: 'x', x: 2, y: 2 }] }
+        ]
+      }), [
+        '[a] annotations must be an array',
+        '[b] annotations[1].id "x" is used more than once'
+      ]);
+    });
+
+    it('should report overrides that match no callout', () => {
+      assert.deepStrictEqual(validateAnnotations({
+        screenshots: [{ id: 'home', annotations }],
+        locales: { de: { home: { annotations: { saev: 'Speichern', save: 5 } } } }
+      }), [
+        'locales.de.home.annotations.saev doesn\'t match a callout (expected one of: save, 2)',
+        'locales.de.home.annotations.save must be a string'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getTextFitBounds, validateScreenshotConfig, validateConfig } from '../../src/utils/config-validation.js';
+
+describe('config-validation module', () => {
+  describe('getTextFitBounds', () => {
+    it('should collect fit bounds declared by schema fields', () => {
+      const bounds = getTextFitBounds({
+        fields: {
+          headline: { type: 'string', fit: { min: 56, max: 88, maxLines: 2, group: 'headline' } },
+          badge: { type: 'string', fit: { min: 20, max: 28 } },
+          theme: { type: 'enum', values: ['light', 'dark'] }
+        }
+      });
+
+      assert.deepStrictEqual(bounds, {
+        headline: { min: 56, max: 88, maxLines: 2, group: 'headline' },
+        badge: { min: 20, max: 28 }
+      });
+    });
+
+    it('should ignore invalid bounds and missing schemas', () => {
+      assert.deepStrictEqual(getTextFitBounds({
+        fields: {
+          a: { fit: { min: 90, max: 60 } },
+          b: { fit: { max: 60 } },
+          c: { fit: { min: 10, max: 20, maxLines: 0 } }
+        }
+      }), { c: { min: 10, max: 20 } });
+      assert.deepStrictEqual(getTextFitBounds(null), {});
+    });
+  });
+
+  describe('validateScreenshotConfig', () => {
+    const annotations = [{ type: 'circle', x: 1, y: 2 }];
+
+    it('should accept annotations for templates that support them', () => {
+      const schema = { fields: { headline: { type: 'string' } }, supports: { annotations: true } };
+      const result = validateScreenshotConfig({ id: 'home', annotations }, schema, 'default');
+      assert.deepStrictEqual(result, { errors: [], warnings: [], suggestions: [] });
+    });
+
+    it('should warn when the template draws no annotations', () => {
+      const schema = { fields: { headline: { type: 'string' } }, supports: { annotations: false } };
+      const result = validateScreenshotConfig({ id: 'home', annotations }, schema, 'feature-graphic');
+      assert.deepStrictEqual(result.warnings, ['Field "annotations" is not supported by the "feature-graphic" template']);
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should check per-device overrides merged into their screenshot', () => {
+      const result = validateConfig({
+        screenshots: [{
+          id: 'home',
+          source: './screenshots/home.png',
+          theme: 'dark',
+          overrides: {
+            android: { theme: 'blue', headlne: 'Moods' },
+            'iphone-4.7': { headline: 'Track your moods' }
+          }
+        }]
+      }, '/nonexistent');
+
+      assert.deepStrictEqual(result.errors, ['[home] overrides.android: Field "theme" must be one of: light, dark']);
+      assert.deepStrictEqual(result.suggestions, ['[home] overrides.android: Unknown field "headlne". Did you mean "headline"?']);
+    });
+
+    it('should check each screenshot against its own template', () => {
+      const result = validateConfig({
+        screenshots: [
+          { id: 'hero', source: './screenshots/hero.png', template: 'panorama', slices: 2, headlines: ['One', 'Two'], subheadlines: ['1', '2'] },
+          { id: 'home', source: './screenshots/home.png', template: 'photo', background: './bg.jpg' },
+          { id: 'list', source: './screenshots/list.png', template: 5 }
+        ]
+      }, '/nonexistent');
+
+      assert.deepStrictEqual(result.errors, ['[list] Field "template" must be a template name']);
+      assert.deepStrictEqual(result.warnings, []);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveContrastOptions,
+  validateContrastConfig,
+  relativeLuminance,
+  contrastRatio,
+  isLargeText,
+  measureContrast,
+  measureElementContrast,
+  getContrastIssues,
+  CONTRAST_SELECTOR
+} from '../../src/utils/contrast.js';
+import { encodePng, COLOR_TYPE } from '../../src/utils/png.js';
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+
+/**
+ * Build an RGB image whose left part is one color and right part another
+ */
+function splitImage(width, height, left, right, split) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = x < split ? left : right;
+      pixels.set([color.r, color.g, color.b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, pixels };
+}
+
+const headline = {
+  element: 'headline',
+  text: 'Track your moods',
+  color: 'rgb(255, 255, 255)',
+  fontSize: 88,
+  fontWeight: 700,
+  rects: [{ x: 0, y: 0, width: 100, height: 20 }]
+};
+
+describe('contrast module', () => {
+  describe('resolveContrastOptions', () => {
+    it('should default to AA warnings', () => {
+      assert.deepStrictEqual(resolveContrastOptions(undefined), { level: 'AA', normal: 4.5, large: 3, severity: 'warning' });
+      assert.deepStrictEqual(resolveContrastOptions(true), { level: 'AA', normal: 4.5, large: 3, severity: 'warning' });
+    });
+
+    it('should apply the level, custom ratios and severity', () => {
+      assert.deepStrictEqual(resolveContrastOptions('AAA'), { level: 'AAA', normal: 7, large: 4.5, severity: 'warning' });
+      assert.deepStrictEqual(resolveContrastOptions({ normal: 5, severity: 'error' }), { level: 'AA', normal: 5, large: 3, severity: 'error' });
+      assert.strictEqual(resolveContrastOptions(false), null);
+    });
+  });
+
+  describe('validateContrastConfig', () => {
+    it('should accept levels, booleans and valid objects', () => {
+      assert.deepStrictEqual(validateContrastConfig(undefined), []);
+      assert.deepStrictEqual(validateContrastConfig(false), []);
+      assert.deepStrictEqual(validateContrastConfig('AAA'), []);
+      assert.deepStrictEqual(validateContrastConfig({ level: 'AA', large: 3.5, severity: 'error' }), []);
+    });
+
+    it('should reject unknown levels, options and ratios', () => {
+      assert.deepStrictEqual(validateContrastConfig('A'), ['contrast must be one of: AA, AAA (got "A")']);
+      assert.deepStrictEqual(validateContrastConfig({ ratio: 4, level: 'AAAA', normal: 30, severity: 'off' }), [
+        'contrast.ratio is not an option (expected one of: level, normal, large, severity)',
+        'contrast.level must be one of: AA, AAA (got "AAAA")',
+        'contrast.normal must be a ratio between 1 and 21 (got 30)',
+        'contrast.severity must be one of: error, warning (got "off")'
+      ]);
+      assert.deepStrictEqual(validateContrastConfig(4.5), ['contrast must be false, a WCAG level or an object']);
+    });
+  });
+
+  describe('contrastRatio', () => {
+    it('should match the WCAG extremes', () => {
+      assert.strictEqual(relativeLuminance(BLACK), 0);
+      assert.strictEqual(relativeLuminance(WHITE), 1);
+      assert.strictEqual(contrastRatio(BLACK, WHITE), 21);
+      assert.strictEqual(contrastRatio(WHITE, WHITE), 1);
+    });
+
+    it('should be symmetric', () => {
+      const grey = { r: 118, g: 118, b: 118 };
+      assert.strictEqual(contrastRatio(grey, WHITE), contrastRatio(WHITE, grey));
+      // #767676 is the lightest grey that passes AA on white
+      assert.ok(contrastRatio(grey, WHITE) >= 4.5);
+      assert.ok(contrastRatio({ r: 119, g: 119, b: 119 }, WHITE) < 4.5);
+    });
+  });
+
+  describe('isLargeText', () => {
+    it('should judge sizes at phone width', () => {
+      // 88px on a 1284px screenshot is about 29px on a phone
+      assert.strictEqual(isLargeText(88, 400, 1284), true);
+      assert.strictEqual(isLargeText(44, 400, 1284), false);
+      // 60px is about 20px - large only when bold
+      assert.strictEqual(isLargeText(60, 700, 1284), true);
+      assert.strictEqual(isLargeText(60, 400, 1284), false);
+    });
+  });
+
+  describe('measureElementContrast', () => {
+    it('should measure against the background behind the text', () => {
+      const image = splitImage(200, 40, BLACK, WHITE, 200);
+      const result = measureElementContrast(headline, image, { sliceWidth: 1284 });
+      assert.deepStrictEqual(result, { element: 'headline', text: 'Track your moods', ratio: 21, large: true });
+    });
+
+    it('should tolerate a few stray pixels but not a bright patch', () => {
+      const stray = measureElementContrast(headline, splitImage(100, 20, BLACK, WHITE, 98), { sliceWidth: 1284 });
+      assert.strictEqual(stray.ratio, 21);
+
+      const patch = measureElementContrast(headline, splitImage(100, 20, BLACK, WHITE, 70), { sliceWidth: 1284 });
+      assert.strictEqual(patch.ratio, 1);
+    });
+
+    it('should blend translucent text over the background', () => {
+      const image = splitImage(100, 20, BLACK, BLACK, 100);
+      const result = measureElementContrast({ ...headline, color: 'rgba(255, 255, 255, 0.5)' }, image, { sliceWidth: 1284 });
+      assert.ok(result.ratio > 4 && result.ratio < 6);
+    });
+
+    it('should skip text without a measurable color', () => {
+      const image = splitImage(100, 20, BLACK, BLACK, 100);
+      assert.strictEqual(measureElementContrast({ ...headline, color: 'rgba(0, 0, 0, 0)' }, image, { sliceWidth: 1284 }), null);
+      assert.strictEqual(measureElementContrast({ ...headline, rects: [{ x: 500, y: 0, width: 10, height: 10 }] }, image, { sliceWidth: 1284 }), null);
+    });
+  });
+
+  describe('measureContrast', () => {
+    it('should capture the page without text and restore it', async () => {
+      const image = splitImage(100, 20, { r: 200, g: 200, b: 200 }, WHITE, 100);
+      const data = new Uint8Array(100 * 20 * 3);
+      for (let i = 0; i < 100 * 20; i++) {
+        data.set(image.pixels.subarray(i * 4, i * 4 + 3), i * 3);
+      }
+      const png = await encodePng({ width: 100, height: 20, colorType: COLOR_TYPE.RGB, bitDepth: 8, data });
+
+      const calls = [];
+      const page = {
+        async evaluate(fn, arg) {
+          calls.push(arg);
+          return calls.length === 1 ? [headline] : undefined;
+        },
+        async screenshot(options) {
+          calls.push(options);
+          return png;
+        }
+      };
+
+      const results = await measureContrast(page, { sliceWidth: 1284 });
+
+      assert.strictEqual(calls[0].selector, CONTRAST_SELECTOR);
+      assert.deepStrictEqual(calls[1], { type: 'png' });
+      assert.strictEqual(calls.length, 3);
+      assert.strictEqual(results.length, 1);
+      assert.ok(results[0].ratio < 2);
+    });
+
+    it('should not capture pages without text', async () => {
+      let captured = false;
+      const page = {
+        async evaluate() { return []; },
+        async screenshot() { captured = true; }
+      };
+      assert.deepStrictEqual(await measureContrast(page, { sliceWidth: 1284 }), []);
+      assert.strictEqual(captured, false);
+    });
+  });
+
+  describe('getContrastIssues', () => {
+    it('should flag text below the threshold for its size', () => {
+      const options = resolveContrastOptions('AA');
+      const results = [
+        { element: 'headline', text: 'Track your moods', ratio: 3.2, large: true },
+        { element: 'subheadline', text: 'Every day', ratio: 3.2, large: false }
+      ];
+
+      assert.deepStrictEqual(getContrastIssues(results, options, 'dark'), [{
+        type: 'contrast',
+        severity: 'warning',
+        message: 'subheadline "Every day" has a contrast of 3.2:1 on the dark theme (AA needs 4.5:1 for normal text)'
+      }]);
+    });
+
+    it('should use the configured level and severity', () => {
+      const options = resolveContrastOptions({ level: 'AAA', severity: 'error' });
+      const issues = getContrastIssues([{ element: 'headline', text: 'Track your moods', ratio: 4.499, large: true }], options, 'light');
+
+      assert.strictEqual(issues[0].severity, 'error');
+      assert.strictEqual(issues[0].message, 'headline "Track your moods" has a contrast of 4.49:1 on the light theme (AAA needs 4.5:1 for large text)');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getOverrideKeys,
+  applyDeviceOverrides,
+  validateDeviceOverrides
+} from '../../src/utils/device-overrides.js';
+
+const screenshot = {
+  id: '01_home',
+  source: './screenshots/home.png',
+  headline: 'Track your daily moods in seconds',
+  layout: 'top',
+  overrides: {
+    android: { theme: 'dark', layout: 'bottom' },
+    iphone: { headline: 'Track your daily moods' },
+    'iphone-4.7': { headline: 'Track your moods' },
+    ios: { theme: 'light', headline: 'Track moods on iOS' }
+  }
+};
+
+describe('device-overrides module', () => {
+  describe('getOverrideKeys', () => {
+    it('should list platform, type and device key, least specific first', () => {
+      assert.deepStrictEqual(getOverrideKeys('iphone-4.7'), ['ios', 'iphone', 'iphone-4.7']);
+      assert.deepStrictEqual(getOverrideKeys('ipad-13'), ['ios', 'ipad', 'ipad-13']);
+      // android is both the platform and the type
+      assert.deepStrictEqual(getOverrideKeys('android-phone'), ['android', 'android-phone']);
+    });
+
+    it('should only use the device key for promotional assets', () => {
+      assert.deepStrictEqual(getOverrideKeys('android-feature-graphic'), ['android-feature-graphic']);
+    });
+  });
+
+  describe('applyDeviceOverrides', () => {
+    it('should let more specific keys win', () => {
+      const iphone = applyDeviceOverrides(screenshot, 'iphone-4.7');
+      assert.strictEqual(iphone.headline, 'Track your moods');
+      assert.strictEqual(iphone.theme, 'light');
+
+      assert.strictEqual(applyDeviceOverrides(screenshot, 'iphone-6.5').headline, 'Track your daily moods');
+      assert.strictEqual(applyDeviceOverrides(screenshot, 'ipad-13').headline, 'Track moods on iOS');
+    });
+
+    it('should keep other fields and drop overrides', () => {
+      const android = applyDeviceOverrides(screenshot, 'android-phone');
+      assert.deepStrictEqual(android, {
+        id: '01_home',
+        source: './screenshots/home.png',
+        headline: 'Track your daily moods in seconds',
+        layout: 'bottom',
+        theme: 'dark'
+      });
+      assert.strictEqual(screenshot.layout, 'top');
+    });
+
+    it('should keep phone overrides off the feature graphic', () => {
+      const graphic = applyDeviceOverrides(screenshot, 'android-feature-graphic');
+      assert.strictEqual(graphic.layout, 'top');
+      assert.strictEqual(graphic.theme, undefined);
+
+      const own = { ...screenshot, overrides: { ...screenshot.overrides, 'android-feature-graphic': { headline: 'Daily moods' } } };
+      assert.strictEqual(applyDeviceOverrides(own, 'android-feature-graphic').headline, 'Daily moods');
+    });
+
+    it('should return entries without overrides unchanged', () => {
+      const plain = { id: 'list', headline: 'List' };
+      assert.strictEqual(applyDeviceOverrides(plain, 'ipad-13'), plain);
+    });
+  });
+
+  describe('validateDeviceOverrides', () => {
+    it('should accept devices, types and platforms in screenshots and locales', () => {
+      assert.deepStrictEqual(validateDeviceOverrides({
+        screenshots: [screenshot, { id: 'list' }],
+        locales: {
+          de: { '01_home': { headline: 'Stimmungen', overrides: { 'iphone-4.7': { headline: 'Launen' } } } },
+          ja: './i18n/ja.json'
+        }
+      }), []);
+    });
+
+    it('should report unknown keys and fields that can\'t change', () => {
+      assert.deepStrictEqual(validateDeviceOverrides({
+        screenshots: [
+          { id: 'a', overrides: { 'iphone-4.8': { headline: 'x' }, ipad: 'dark', android: { id: 'b' } } },
+          { id: 'c', overrides: [] }
+        ],
+        locales: { de: { a: { overrides: { tablet: {} } } } }
+      }), [
+        '[a] overrides.iphone-4.8 doesn\'t match a device key, device type (iphone, ipad, android) or platform (ios, android)',
+        '[a] overrides.ipad must be an object of screenshot fields',
+        '[a] overrides.android.id can\'t be overridden per device',
+        '[c] overrides must be an object keyed by device, device type or platform',
+        'locales.de.a.overrides.tablet doesn\'t match a device key, device type (iphone, ipad, android) or platform (ios, android)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseStrings, parseAndroidStrings, parseXliff, parseJsonTranslations, parseCsv, writeXliff, writeCsv, readTranslationFile } from '../../src/utils/i18n-formats.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const testDir = join(__dirname, '..', '..', '.storepix-test-i18n-formats');
+
+const units = [
+  { key: 'screenshot.home.headline', id: 'home', field: 'headline', source: 'Track "your" <moods>', target: 'Suivez', description: 'Main text', maxLength: 30 },
+  { key: 'screenshot.home.badge', id: 'home', field: 'badge', source: 'New, today\nonly', target: null, description: null, maxLength: null }
+];
+
+describe('i18n-formats module', () => {
+  describe('parseStrings', () => {
+    it('should read keys, values and escapes', () => {
+      const entries = parseStrings(`
+        /* Home screen */
+        "screenshot.home.headline" = "Verfolge \\"deine\\"";
+        // Second line
+        "screenshot.home.subheadline" = "Stimmungen\\njeden Tag \\U2764";
+        plain_key = "ok";
+      `);
+      assert.strictEqual(entries.get('screenshot.home.headline'), 'Verfolge "deine"');
+      assert.strictEqual(entries.get('screenshot.home.subheadline'), 'Stimmungen\njeden Tag ❤');
+      assert.strictEqual(entries.get('plain_key'), 'ok');
+    });
+
+    it('should report syntax errors with a line number', () => {
+      assert.throws(() => parseStrings('"a" = "b";\n"c" = "d"'), /line 2: expected ";"/);
+    });
+  });
+
+  describe('parseAndroidStrings', () => {
+    it('should read strings and string arrays', () => {
+      const entries = parseAndroidStrings(`<?xml version="1.0" encoding="utf-8"?>
+        <resources>
+          <string name="screenshot_home_headline">Don\\'t miss   a\\nthing</string>
+          <string name="screenshot_home_subheadline">"  spaced  "</string>
+          <string-array name="screenshot_hero_headlines">
+            <item>One</item>
+            <item>Two &amp; three</item>
+          </string-array>
+        </resources>`);
+      assert.strictEqual(entries.get('screenshot_home_headline'), "Don't miss a\nthing");
+      assert.strictEqual(entries.get('screenshot_home_subheadline'), '  spaced  ');
+      assert.deepStrictEqual(entries.get('screenshot_hero_headlines'), ['One', 'Two & three']);
+    });
+
+    it('should reject files that are not resources', () => {
+      assert.throws(() => parseAndroidStrings('<manifest/>'), /<resources>/);
+    });
+  });
+
+  describe('parseXliff', () => {
+    it('should read XLIFF 1.2 targets and languages', () => {
+      const result = parseXliff(`<xliff version="1.2">
+        <file source-language="en" target-language="fr" datatype="plaintext" original="storepix">
+          <body>
+            <trans-unit id="1" resname="screenshot.home.headline">
+              <source>Track your</source><target>Suivez <g id="b">votre</g></target>
+            </trans-unit>
+            <trans-unit id="screenshot.home.subheadline"><source>moods</source></trans-unit>
+          </body>
+        </file>
+      </xliff>`);
+      assert.strictEqual(result.version, '1.2');
+      assert.strictEqual(result.sourceLocale, 'en');
+      assert.strictEqual(result.targetLocale, 'fr');
+      assert.deepStrictEqual([...result.entries], [['screenshot.home.headline', 'Suivez votre']]);
+      assert.deepStrictEqual(result.untranslated, ['screenshot.home.subheadline']);
+    });
+
+    it('should read XLIFF 2.0 units across segments', () => {
+      const result = parseXliff(`<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="ja">
+        <file id="f1">
+          <unit id="screenshot.home.headline">
+            <segment><source>Track</source><target>気分を</target></segment>
+            <segment><source> moods</source><target>記録</target></segment>
+          </unit>
+        </file>
+      </xliff>`);
+      assert.strictEqual(result.targetLocale, 'ja');
+      assert.strictEqual(result.entries.get('screenshot.home.headline'), '気分を記録');
+    });
+  });
+
+  describe('parseJsonTranslations', () => {
+    it('should flatten nested objects and keep arrays', () => {
+      const entries = parseJsonTranslations(JSON.stringify({
+        screenshot: { home: { headline: 'Hallo' }, hero: { headlines: ['A', 'B'] } },
+        'screenshot.list.headline': 'Liste'
+      }));
+      assert.strictEqual(entries.get('screenshot.home.headline'), 'Hallo');
+      assert.deepStrictEqual(entries.get('screenshot.hero.headlines'), ['A', 'B']);
+      assert.strictEqual(entries.get('screenshot.list.headline'), 'Liste');
+    });
+
+    it('should reject non-object JSON', () => {
+      assert.throws(() => parseJsonTranslations('["a"]'), /JSON object/);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should read key and target columns with quoting', () => {
+      const { entries, untranslated } = parseCsv('\uFEFFkey,source,target\r\na,"x, y","say ""hi""\nthere"\r\nb,z,\r\n');
+      assert.deepStrictEqual([...entries], [['a', 'say "hi"\nthere']]);
+      assert.deepStrictEqual(untranslated, ['b']);
+    });
+
+    it('should require key and target columns', () => {
+      assert.throws(() => parseCsv('id,text\n1,a'), /"key" and "target"/);
+    });
+  });
+
+  describe('readTranslationFile', () => {
+    const strings = '/* Home */\n"screenshot.home.headline" = "Verfolge deine Stimmungen ❤";\n';
+
+    before(() => {
+      mkdirSync(testDir, { recursive: true });
+    });
+
+    after(() => {
+      rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should read UTF-16 .strings files exported from Xcode', () => {
+      const littleEndian = join(testDir, 'le.strings');
+      writeFileSync(littleEndian, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(strings, 'utf16le')]));
+      assert.deepStrictEqual([...readTranslationFile(littleEndian).entries], [['screenshot.home.headline', 'Verfolge deine Stimmungen ❤']]);
+
+      const bigEndian = join(testDir, 'be.strings');
+      writeFileSync(bigEndian, Buffer.concat([Buffer.from([0xFE, 0xFF]), Buffer.from(strings, 'utf16le').swap16()]));
+      assert.deepStrictEqual([...readTranslationFile(bigEndian).entries], [['screenshot.home.headline', 'Verfolge deine Stimmungen ❤']]);
+    });
+
+    it('should drop a UTF-8 byte order mark', () => {
+      const json = join(testDir, 'de.json');
+      writeFileSync(json, Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('{ "home": { "headline": "Hallo" } }')]));
+      assert.deepStrictEqual([...readTranslationFile(json).entries], [['home.headline', 'Hallo']]);
+    });
+  });
+
+  describe('writers', () => {
+    it('should write XLIFF that reads back with context and max width', () => {
+      const xliff = writeXliff(units, { sourceLocale: 'en', targetLocale: 'fr' });
+      assert.match(xliff, /maxwidth="30" size-unit="char"/);
+      assert.match(xliff, /<note>Screenshot &quot;home&quot;, headline\. Main text\. Max 30 characters<\/note>/);
+      assert.match(xliff, /<source>Track &quot;your&quot; &lt;moods&gt;<\/source>/);
+
+      const parsed = parseXliff(xliff);
+      assert.strictEqual(parsed.targetLocale, 'fr');
+      assert.deepStrictEqual([...parsed.entries], [['screenshot.home.headline', 'Suivez']]);
+      assert.deepStrictEqual(parsed.untranslated, ['screenshot.home.badge']);
+    });
+
+    it('should write CSV that reads back', () => {
+      const csv = writeCsv(units);
+      assert.ok(csv.startsWith('key,screenshot,field,description,max_length,source,target\r\n'));
+      assert.match(csv, /"New, today\nonly"/);
+      assert.deepStrictEqual([...parseCsv(csv).entries], [['screenshot.home.headline', 'Suivez']]);
+    });
+  });
+});
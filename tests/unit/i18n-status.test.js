@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getTranslationStatus } from '../../src/utils/i18n-status.js';
+
+const config = {
+  screenshots: [
+    { id: 'home', headline: 'Hello', subheadline: 'World' },
+    { id: 'hero', headlines: ['One', 'Two'] }
+  ],
+  locales: {
+    en: {},
+    de: {
+      home: { headline: 'Hallo', subheadline: 'World' },
+      hero: { headlines: ['Eins'] },
+      gone: { headline: 'x' }
+    },
+    'de-AT': { home: { subheadline: 'Welt' } }
+  }
+};
+
+describe('i18n-status module', () => {
+  describe('getTranslationStatus', () => {
+    const status = getTranslationStatus(config, () => null, { unknownKeys: { 'de-AT': ['screenshot.old.headline'] } });
+    const cell = (locale, id, field) => status.cells.find(c => c.locale === locale && c.id === id && c.field === field);
+
+    it('should skip the source locale', () => {
+      assert.deepStrictEqual(status.locales, ['de', 'de-AT']);
+      assert.strictEqual(status.strings.length, 4);
+    });
+
+    it('should classify translated, identical, inherited and missing strings', () => {
+      assert.strictEqual(cell('de', 'home', 'headline').status, 'translated');
+      assert.strictEqual(cell('de', 'home', 'subheadline').status, 'identical');
+      assert.strictEqual(cell('de', 'hero', 'headlines[0]').status, 'translated');
+      assert.strictEqual(cell('de', 'hero', 'headlines[1]').status, 'missing');
+      assert.deepStrictEqual(cell('de-AT', 'home', 'headline'), {
+        locale: 'de-AT', id: 'home', field: 'headline', status: 'inherited', from: 'de'
+      });
+      assert.strictEqual(cell('de-AT', 'home', 'subheadline').status, 'translated');
+    });
+
+    it('should count statuses per locale', () => {
+      assert.deepStrictEqual(status.summary.de, { translated: 2, inherited: 0, identical: 1, missing: 1 });
+    });
+
+    it('should report unknown screenshot ids and file keys', () => {
+      assert.deepStrictEqual(status.unknown, [
+        { locale: 'de', key: 'gone' },
+        { locale: 'de-AT', key: 'screenshot.old.headline' }
+      ]);
+      assert.strictEqual(status.complete, false);
+    });
+
+    it('should check callout text', () => {
+      const annotated = getTranslationStatus({
+        screenshots: [{ id: 'home', annotations: [{ type: 'callout', id: 'save', x: 1, y: 2, text: 'Save' }] }],
+        locales: { de: { home: { annotations: { save: 'Speichern' } } }, fr: {} }
+      }, () => null);
+      assert.deepStrictEqual(annotated.cells.map(c => [c.locale, c.field, c.status]), [
+        ['de', 'annotations.save', 'translated'],
+        ['fr', 'annotations.save', 'missing']
+      ]);
+    });
+
+    it('should check the text of device overrides', () => {
+      const overridden = getTranslationStatus({
+        screenshots: [{ id: 'home', headline: 'Hello there', overrides: { 'iphone-4.7': { headline: 'Hello' } } }],
+        locales: {
+          de: { home: { headline: 'Hallo zusammen', overrides: { 'iphone-4.7': { headline: 'Hallo' } } } },
+          'de-AT': { home: { headline: 'Servus miteinander' } },
+          fr: { home: { headline: 'Bonjour à tous' } }
+        }
+      }, () => null);
+      assert.deepStrictEqual(overridden.cells.filter(c => c.field !== 'headline').map(c => [c.locale, c.field, c.status]), [
+        ['de', 'overrides.iphone-4.7.headline', 'translated'],
+        ['de-AT', 'overrides.iphone-4.7.headline', 'inherited'],
+        ['fr', 'overrides.iphone-4.7.headline', 'missing']
+      ]);
+    });
+
+    it('should be complete when every string is translated', () => {
+      const done = getTranslationStatus({
+        screenshots: [{ id: 'home', headline: 'Hello' }],
+        locales: { fr: { home: { headline: 'Salut' } } }
+      }, () => null);
+      assert.strictEqual(done.complete, true);
+    });
+  });
+});
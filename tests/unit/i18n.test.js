@@ -0,0 +1,281 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { mapTranslationKeys, mergeLocaleEntries, loadLocaleFiles, collectTranslationUnits } from '../../src/utils/i18n.js';
+import { createSchemaLookup } from '../../src/utils/config-validation.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const testDir = join(__dirname, '..', '..', '.storepix-test-i18n');
+
+const screenshots = [{ id: '01_home' }, { id: '02_list' }, { id: 'hero' }];
+
+describe('i18n module', () => {
+  describe('mapTranslationKeys', () => {
+    it('should map prefixed keys by id or id without its number', () => {
+      const { locale, unknown } = mapTranslationKeys(new Map([
+        ['screenshot.01_home.headline', 'Hallo'],
+        ['screenshot.list.subheadline', 'Liste'],
+        ['screenshot_home_badge', 'Neu']
+      ]), screenshots);
+      assert.deepStrictEqual(locale, {
+        '01_home': { headline: 'Hallo', badge: 'Neu' },
+        '02_list': { subheadline: 'Liste' }
+      });
+      assert.deepStrictEqual(unknown, []);
+    });
+
+    it('should build panorama arrays from indexed keys', () => {
+      const { locale } = mapTranslationKeys(new Map([
+        ['screenshot.hero.headlines.1', 'Zwei'],
+        ['screenshot.hero.headlines[0]', 'Eins'],
+        ['screenshot.hero.subheadlines', ['a', 'b']]
+      ]), screenshots);
+      assert.deepStrictEqual(locale.hero, { headlines: ['Eins', 'Zwei'], subheadlines: ['a', 'b'] });
+    });
+
+    it('should report unknown prefixed keys and ignore other app strings', () => {
+      const { locale, mapped, unknown } = mapTranslationKeys(new Map([
+        ['screenshot.settings.headline', 'x'],
+        ['settings.title', 'Einstellungen'],
+        ['01_home.headline', 'Hallo']
+      ]), screenshots);
+      assert.deepStrictEqual(unknown, ['screenshot.settings.headline']);
+      assert.deepStrictEqual(mapped, ['01_home.headline']);
+      assert.deepStrictEqual(locale, { '01_home': { headline: 'Hallo' } });
+    });
+
+    it('should map callout keys to annotation text', () => {
+      const { locale } = mapTranslationKeys(new Map([
+        ['screenshot.01_home.annotations.save', 'Speichern'],
+        ['screenshot_home_annotations_1', 'Teilen']
+      ]), screenshots);
+      assert.deepStrictEqual(locale, { '01_home': { annotations: { save: 'Speichern', 1: 'Teilen' } } });
+    });
+
+    it('should map override keys to the locale entry\'s own overrides', () => {
+      const { locale, unknown } = mapTranslationKeys(new Map([
+        ['screenshot.01_home.overrides.iphone-4.7.headline', 'Launen'],
+        ['screenshot_home_overrides_android_phone_subheadline', 'Kurz'],
+        ['screenshot.hero.overrides.ios.headlines.1', 'Zwei'],
+        ['screenshot.hero.overrides.tablet.headline', 'x']
+      ]), screenshots);
+      assert.deepStrictEqual(locale, {
+        '01_home': { overrides: { 'iphone-4.7': { headline: 'Launen' }, 'android-phone': { subheadline: 'Kurz' } } },
+        hero: { overrides: { ios: { headlines: ['', 'Zwei'] } } }
+      });
+      assert.deepStrictEqual(unknown, ['screenshot.hero.overrides.tablet.headline']);
+    });
+
+    it('should use a custom prefix', () => {
+      const { locale } = mapTranslationKeys(new Map([['store.hero.headline', 'Hi']]), screenshots, { prefix: 'store' });
+      assert.deepStrictEqual(locale, { hero: { headline: 'Hi' } });
+    });
+  });
+
+  describe('mergeLocaleEntries', () => {
+    const existing = {
+      '01_home': { headline: 'Hallo', annotations: { save: 'Sichern', share: 'Teilen' } },
+      hero: {
+        headlines: ['Eins', 'Zwei', 'Drei'],
+        subheadlines: ['a', 'b'],
+        overrides: { ios: { headlines: ['Oben', 'Unten'], subheadline: 'iOS' } }
+      }
+    };
+
+    it('should keep array entries and callouts a partial import doesn\'t set', () => {
+      const { locale } = mapTranslationKeys(new Map([
+        ['screenshot.hero.headlines.2', 'Drei!'],
+        ['screenshot.hero.overrides.ios.headlines.1', 'Runter'],
+        ['screenshot.home.annotations.save', 'Speichern']
+      ]), screenshots);
+
+      assert.deepStrictEqual(mergeLocaleEntries(existing, locale), {
+        '01_home': { headline: 'Hallo', annotations: { save: 'Speichern', share: 'Teilen' } },
+        hero: {
+          headlines: ['Eins', 'Zwei', 'Drei!'],
+          subheadlines: ['a', 'b'],
+          overrides: { ios: { headlines: ['Oben', 'Runter'], subheadline: 'iOS' } }
+        }
+      });
+    });
+
+    it('should update callout text in a full annotation list', () => {
+      const current = { '01_home': { annotations: [{ type: 'callout', id: 'save', text: 'Sichern', x: 10 }] } };
+      const merged = mergeLocaleEntries(current, { '01_home': { annotations: { save: 'Speichern' } } });
+      assert.deepStrictEqual(merged['01_home'].annotations, [{ type: 'callout', id: 'save', text: 'Speichern', x: 10 }]);
+    });
+
+    it('should add screenshots and grow arrays', () => {
+      const merged = mergeLocaleEntries(existing, { hero: { subheadlines: ['', '', 'c'] }, '02_list': { headline: 'Liste' } });
+      assert.deepStrictEqual(merged.hero.subheadlines, ['a', 'b', 'c']);
+      assert.deepStrictEqual(merged['02_list'], { headline: 'Liste' });
+      assert.deepStrictEqual(existing.hero.subheadlines, ['a', 'b']);
+    });
+  });
+
+  describe('collectTranslationUnits', () => {
+    const schema = {
+      fields: {
+        headline: { type: 'string', maxLength: 30, description: 'Main text' },
+        headlines: { type: 'array', items: 'string', maxLength: 20 },
+        theme: { type: 'enum', values: ['light', 'dark'] }
+      }
+    };
+    const config = {
+      screenshots: [
+        { id: '01_home', source: './home.png', headline: 'Track', theme: 'dark', badge: 'New' },
+        { id: 'hero', headlines: ['One', 'Two'] }
+      ],
+      locales: { fr: { '01_home': { headline: 'Suivez' }, hero: { headlines: ['Un'] } } },
+      i18n: { maxLength: { badge: 8 } }
+    };
+
+    it('should list text fields with context and existing targets', () => {
+      const units = collectTranslationUnits(config, () => schema, 'fr');
+      assert.deepStrictEqual(units.map(u => [u.key, u.field, u.source, u.target, u.maxLength]), [
+        ['screenshot.01_home.headline', 'headline', 'Track', 'Suivez', 30],
+        ['screenshot.01_home.badge', 'badge', 'New', null, 8],
+        ['screenshot.hero.headlines.0', 'headlines[0]', 'One', 'Un', 20],
+        ['screenshot.hero.headlines.1', 'headlines[1]', 'Two', null, 20]
+      ]);
+      assert.strictEqual(units[0].description, 'Main text');
+      assert.strictEqual(units[1].description, 'Custom content (data-storepix="badge")');
+    });
+
+    it('should list callout text from annotations', () => {
+      const annotated = {
+        screenshots: [{
+          id: '01_home',
+          annotations: [
+            { type: 'circle', x: 1, y: 2 },
+            { type: 'callout', id: 'save', x: 1, y: 2, text: 'Tap to save' },
+            { type: 'callout', x: 1, y: 2, text: 'Share' }
+          ]
+        }],
+        locales: { fr: { '01_home': { annotations: { save: 'Enregistrer' } } } }
+      };
+
+      const units = collectTranslationUnits(annotated, () => schema, 'fr');
+      assert.deepStrictEqual(units.map(u => [u.key, u.field, u.source, u.target]), [
+        ['screenshot.01_home.annotations.save', 'annotations.save', 'Tap to save', 'Enregistrer'],
+        ['screenshot.01_home.annotations.2', 'annotations.2', 'Share', null]
+      ]);
+
+      const { locale } = mapTranslationKeys(new Map(units.map(u => [u.key, u.source])), annotated.screenshots);
+      assert.deepStrictEqual(locale, { '01_home': { annotations: { save: 'Tap to save', 2: 'Share' } } });
+    });
+
+    it('should list the text of device overrides', () => {
+      const overridden = {
+        screenshots: [{
+          id: '01_home',
+          headline: 'Track your daily moods',
+          overrides: { android: { theme: 'light' }, 'iphone-4.7': { headline: 'Track moods', layout: 'bottom' } }
+        }],
+        locales: { fr: { '01_home': { headline: 'Suivez vos humeurs', overrides: { 'iphone-4.7': { headline: 'Humeurs' } } } } }
+      };
+
+      const units = collectTranslationUnits(overridden, () => schema, 'fr');
+      assert.deepStrictEqual(units.map(u => [u.key, u.field, u.source, u.target, u.maxLength]), [
+        ['screenshot.01_home.headline', 'headline', 'Track your daily moods', 'Suivez vos humeurs', 30],
+        ['screenshot.01_home.overrides.iphone-4.7.headline', 'overrides.iphone-4.7.headline', 'Track moods', 'Humeurs', 30]
+      ]);
+      assert.strictEqual(units[1].description, 'Main text (iphone-4.7 only)');
+
+      const { locale } = mapTranslationKeys(new Map(units.map(u => [u.key, u.target])), overridden.screenshots);
+      assert.deepStrictEqual(locale, overridden.locales.fr);
+    });
+
+    it('should use the schema of each screenshot\'s template', () => {
+      const mixed = {
+        template: 'default',
+        screenshots: [
+          { id: '01_home', headline: 'Track', headlines: ['Not', 'rendered'] },
+          { id: 'hero', template: 'panorama', headlines: ['One', 'Two'], overrides: { 'android-feature-graphic': { headline: 'Moodly' } } }
+        ]
+      };
+
+      const units = collectTranslationUnits(mixed, createSchemaLookup(testDir, 'default'));
+      assert.deepStrictEqual(units.map(u => [u.key, u.maxLength, u.description]), [
+        ['screenshot.01_home.headline', 30, 'Main marketing text displayed above or below the device'],
+        ['screenshot.01_home.headlines.0', null, 'Custom content (data-storepix="headlines")'],
+        ['screenshot.01_home.headlines.1', null, 'Custom content (data-storepix="headlines")'],
+        ['screenshot.hero.headlines.0', 30, 'Array of headlines, one per slice (panorama mode only, when slices > 1)'],
+        ['screenshot.hero.headlines.1', 30, 'Array of headlines, one per slice (panorama mode only, when slices > 1)'],
+        ['screenshot.hero.overrides.android-feature-graphic.headline', 30, 'Main text (app name or tagline) (android-feature-graphic only)']
+      ]);
+    });
+
+    it('should round-trip keys without a prefix', () => {
+      const unprefixed = { ...config, i18n: { prefix: '' } };
+      const units = collectTranslationUnits(unprefixed, () => schema, 'fr');
+      assert.deepStrictEqual(units.map(u => u.key), [
+        '01_home.headline',
+        '01_home.badge',
+        'hero.headlines.0',
+        'hero.headlines.1'
+      ]);
+
+      const { locale, unknown } = mapTranslationKeys(new Map(units.map(u => [u.key, u.source])), config.screenshots, { prefix: '' });
+      assert.deepStrictEqual(unknown, []);
+      assert.deepStrictEqual(locale, {
+        '01_home': { headline: 'Track', badge: 'New' },
+        hero: { headlines: ['One', 'Two'] }
+      });
+    });
+
+    it('should map exported keys back to the same fields', () => {
+      const units = collectTranslationUnits(config, () => schema);
+      const { locale, unknown } = mapTranslationKeys(new Map(units.map(u => [u.key, u.source])), config.screenshots);
+      assert.deepStrictEqual(unknown, []);
+      assert.deepStrictEqual(locale, {
+        '01_home': { headline: 'Track', badge: 'New' },
+        hero: { headlines: ['One', 'Two'] }
+      });
+    });
+  });
+
+  describe('loadLocaleFiles', () => {
+    before(() => {
+      mkdirSync(join(testDir, 'i18n'), { recursive: true });
+      writeFileSync(join(testDir, 'i18n', 'de.strings'), '"screenshot.home.headline" = "Hallo";\n"screenshot.gone.headline" = "x";\n');
+      writeFileSync(join(testDir, 'i18n', 'fr.json'), JSON.stringify({ '01_home': { headline: 'Salut' } }));
+      writeFileSync(join(testDir, 'i18n', 'broken.strings'), '"a" = ');
+    });
+
+    after(() => {
+      rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should replace file paths with mapped entries and keep inline locales', () => {
+      const config = {
+        screenshots,
+        locales: { de: './i18n/de.strings', fr: 'i18n/fr.json', en: { hero: { headline: 'Hi' } } }
+      };
+      const result = loadLocaleFiles(config, testDir);
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(result.config.locales, {
+        de: { '01_home': { headline: 'Hallo' } },
+        fr: { '01_home': { headline: 'Salut' } },
+        en: { hero: { headline: 'Hi' } }
+      });
+      assert.strictEqual(result.files.length, 2);
+      assert.match(result.warnings[0], /1 key\(s\) in \.\/i18n\/de\.strings don't match a screenshot: screenshot\.gone\.headline/);
+      assert.strictEqual(config.locales.de, './i18n/de.strings');
+    });
+
+    it('should report missing and unreadable files', () => {
+      const result = loadLocaleFiles({ screenshots, locales: { es: './i18n/es.xliff', it: './i18n/broken.strings' } }, testDir);
+      assert.strictEqual(result.errors.length, 2);
+      assert.match(result.errors[0], /locales\.es: translation file not found/);
+      assert.match(result.errors[1], /locales\.it: .*Invalid \.strings file on line 1/);
+    });
+
+    it('should return the config unchanged without file locales', () => {
+      const config = { screenshots, locales: { de: {} } };
+      assert.strictEqual(loadLocaleFiles(config, testDir).config, config);
+    });
+  });
+});
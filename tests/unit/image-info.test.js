@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readImageInfo } from '../../src/utils/image-info.js';
+import { encodePng, COLOR_TYPE } from '../../src/utils/png.js';
+
+/**
+ * Minimal JPEG header: SOI, an APP0 segment, then SOF0 with the dimensions
+ */
+function jpegHeader(width, height, sofMarker = 0xC0) {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const sof = Buffer.alloc(19);
+  sof[0] = 0xFF;
+  sof[1] = sofMarker;
+  sof.writeUInt16BE(17, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  sof[9] = 3;
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof]);
+}
+
+/**
+ * Minimal WebP container around a single chunk
+ */
+function webp(chunkType, payload) {
+  const chunk = Buffer.alloc(8 + payload.length);
+  chunk.write(chunkType, 0, 'latin1');
+  chunk.writeUInt32LE(payload.length, 4);
+  payload.copy(chunk, 8);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(4 + chunk.length, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, chunk]);
+}
+
+describe('image-info module', () => {
+  it('should read PNG dimensions and alpha channel', async () => {
+    const rgba = await encodePng({ width: 3, height: 2, colorType: COLOR_TYPE.RGBA, bitDepth: 8, data: new Uint8Array(24) });
+    const rgb = await encodePng({ width: 3, height: 2, colorType: COLOR_TYPE.RGB, bitDepth: 8, data: new Uint8Array(18) });
+
+    assert.deepStrictEqual(readImageInfo(rgba), { format: 'png', width: 3, height: 2, hasAlphaChannel: true, colorType: 6 });
+    assert.strictEqual(readImageInfo(rgb).hasAlphaChannel, false);
+  });
+
+  it('should treat a tRNS chunk as an alpha channel', async () => {
+    const png = await encodePng({
+      width: 1, height: 1, colorType: COLOR_TYPE.PALETTE, bitDepth: 8, data: new Uint8Array(1),
+      palette: Buffer.from([0, 0, 0]), transparency: Buffer.from([0])
+    });
+    assert.strictEqual(readImageInfo(png).hasAlphaChannel, true);
+  });
+
+  it('should read JPEG dimensions from the frame header', () => {
+    assert.deepStrictEqual(readImageInfo(jpegHeader(1284, 2778)), { format: 'jpeg', width: 1284, height: 2778, hasAlphaChannel: false });
+    assert.strictEqual(readImageInfo(jpegHeader(640, 480, 0xC2)).width, 640);
+  });
+
+  it('should read lossy, lossless and extended WebP headers', () => {
+    const vp8 = Buffer.alloc(10);
+    vp8.writeUInt16LE(1320, 6);
+    vp8.writeUInt16LE(2868, 8);
+    assert.deepStrictEqual(readImageInfo(webp('VP8 ', vp8)), { format: 'webp', width: 1320, height: 2868, hasAlphaChannel: false });
+
+    const vp8l = Buffer.alloc(5);
+    vp8l[0] = 0x2F;
+    vp8l.writeUInt32LE((99) | (49 << 14) | (1 << 28), 1);
+    assert.deepStrictEqual(readImageInfo(webp('VP8L', vp8l)), { format: 'webp', width: 100, height: 50, hasAlphaChannel: true });
+
+    const vp8x = Buffer.alloc(10);
+    vp8x[0] = 0x10;
+    vp8x.writeUIntLE(1023, 4, 3);
+    vp8x.writeUIntLE(499, 7, 3);
+    assert.deepStrictEqual(readImageInfo(webp('VP8X', vp8x)), { format: 'webp', width: 1024, height: 500, hasAlphaChannel: true });
+  });
+
+  it('should reject unknown formats', () => {
+    assert.throws(() => readImageInfo(Buffer.from('GIF89a...')), /Unrecognized image format/);
+  });
+
+  it('should reject JPEGs without a frame header', () => {
+    assert.throws(() => readImageInfo(Buffer.from([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02])), /no frame header/);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  getLocaleChain,
+  resolveLocalizedScreenshot,
+  validateLocaleFallbacks,
+  describeLocaleSources,
+  getTextDirection
+} from '../../src/utils/locales.js';
+
+const config = {
+  screenshots: [
+    { id: 'home', headline: 'Track your', subheadline: 'moods', badge: 'New' }
+  ],
+  locales: {
+    de: { home: { headline: 'Verfolge deine', subheadline: 'Stimmungen', badge: 'Neu' } },
+    'de-AT': { home: { subheadline: 'Launen', headline: '' } },
+    'pt-BR': { home: { headline: 'Acompanhe seu', subheadline: 'humor' } },
+    'pt-PT': { home: { subheadline: 'estado de espírito' } },
+    en: {}
+  },
+  localeFallbacks: { 'pt-PT': ['pt-BR'] }
+};
+
+describe('locales module', () => {
+  describe('getLocaleChain', () => {
+    it('should drop subtags to find defined parent locales', () => {
+      assert.deepStrictEqual(getLocaleChain('de-AT', config), ['de-AT', 'de']);
+      assert.deepStrictEqual(getLocaleChain('de', config), ['de']);
+      assert.deepStrictEqual(getLocaleChain('zh-Hant-TW', { locales: { zh: {} } }), ['zh-Hant-TW', 'zh']);
+    });
+
+    it('should use explicit fallbacks instead of the implicit chain', () => {
+      assert.deepStrictEqual(getLocaleChain('pt-PT', config), ['pt-PT', 'pt-BR']);
+    });
+
+    it('should be empty when not localized', () => {
+      assert.deepStrictEqual(getLocaleChain(null, config), []);
+    });
+  });
+
+  describe('resolveLocalizedScreenshot', () => {
+    it('should merge along the chain, most specific locale winning', () => {
+      const { values, sources } = resolveLocalizedScreenshot(config, config.screenshots[0], 'de-AT');
+
+      assert.strictEqual(values.headline, 'Verfolge deine');
+      assert.strictEqual(values.subheadline, 'Launen');
+      assert.strictEqual(values.badge, 'Neu');
+      assert.deepStrictEqual(
+        [sources.headline, sources.subheadline, sources.badge, sources.id],
+        ['de', 'de-AT', 'de', null]
+      );
+    });
+
+    it('should fall back to the base screenshot', () => {
+      const { values, sources } = resolveLocalizedScreenshot(config, config.screenshots[0], 'en');
+      assert.strictEqual(values.headline, 'Track your');
+      assert.strictEqual(sources.headline, null);
+    });
+
+    it('should let custom content be emptied by a locale', () => {
+      const custom = { ...config, locales: { de: { home: { badge: '' } } } };
+      assert.strictEqual(resolveLocalizedScreenshot(custom, config.screenshots[0], 'de').values.badge, '');
+    });
+
+    it('should merge callout text into the annotations along the chain', () => {
+      const screenshot = {
+        id: 'home',
+        annotations: [
+          { type: 'callout', id: 'save', x: 10, y: 20, text: 'Tap to save' },
+          { type: 'callout', id: 'share', x: 30, y: 40, text: 'Share' }
+        ]
+      };
+      const annotated = {
+        screenshots: [screenshot],
+        locales: {
+          de: { home: { annotations: { save: 'Speichern', share: 'Teilen' } } },
+          'de-AT': { home: { annotations: { share: 'Weitergeben' } } }
+        }
+      };
+
+      const { values } = resolveLocalizedScreenshot(annotated, screenshot, 'de-AT');
+      assert.deepStrictEqual(values.annotations.map(a => a.text), ['Speichern', 'Weitergeben']);
+      assert.strictEqual(values.annotations[0].x, 10);
+    });
+  });
+
+  describe('validateLocaleFallbacks', () => {
+    it('should accept fallbacks between defined locales', () => {
+      assert.deepStrictEqual(validateLocaleFallbacks(config), []);
+    });
+
+    it('should report undefined locales and bad shapes', () => {
+      const errors = validateLocaleFallbacks({
+        locales: { 'es-MX': {} },
+        localeFallbacks: { 'es-MX': ['es-419'], 'es-AR': 'es-MX' }
+      });
+
+      assert.deepStrictEqual(errors, [
+        'localeFallbacks.es-MX: fallback "es-419" is not defined in locales',
+        'localeFallbacks.es-AR: "es-AR" is not defined in locales',
+        'localeFallbacks.es-AR must be an array of locales'
+      ]);
+    });
+  });
+
+  describe('describeLocaleSources', () => {
+    it('should list which locale supplied each field for locales with a chain', () => {
+      assert.deepStrictEqual(describeLocaleSources(config), [
+        '[home] de-AT: headline from "de", subheadline from "de-AT", badge from "de"',
+        '[home] pt-PT: headline from "pt-BR", subheadline from "pt-PT", badge from base'
+      ]);
+    });
+  });
+
+  describe('getTextDirection', () => {
+    it('should detect right-to-left languages', () => {
+      assert.strictEqual(getTextDirection('ar'), 'rtl');
+      assert.strictEqual(getTextDirection('he-IL'), 'rtl');
+      assert.strictEqual(getTextDirection('fa_IR'), 'rtl');
+      assert.strictEqual(getTextDirection('de-DE'), 'ltr');
+      assert.strictEqual(getTextDirection(null), 'ltr');
+    });
+
+    it('should let a script subtag decide', () => {
+      assert.strictEqual(getTextDirection('az-Arab'), 'rtl');
+      assert.strictEqual(getTextDirection('ku-Arab-IQ'), 'rtl');
+      assert.strictEqual(getTextDirection('pa-Arab'), 'rtl');
+      assert.strictEqual(getTextDirection('uz-Latn'), 'ltr');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import vm from 'node:vm';
+import { parseMarkup, validateMarkup } from '../../src/utils/markup.js';
+import { markupParserSource } from '../../src/utils/markup-parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const contentScript = join(__dirname, '..', '..', 'src', 'templates', 'storepix-content.js');
+
+const samples = [
+  'Track your **daily moods**',
+  'Made for *you*',
+  'Plan ahead.\nStay calm.',
+  'Only 5&nbsp;minutes',
+  'Rated 5\\* by \\\\ critics \\&nbsp;',
+  '*a **b** c*',
+  '**a *b* c**',
+  'Save **20%',
+  '2 * 3 = 6',
+  '****',
+  ''
+];
+
+describe('markup module', () => {
+  describe('parseMarkup', () => {
+    it('should keep plain text as one string', () => {
+      assert.deepStrictEqual(parseMarkup('Track your moods'), ['Track your moods']);
+      assert.deepStrictEqual(parseMarkup(''), []);
+    });
+
+    it('should parse accents, emphasis, breaks and non-breaking spaces', () => {
+      assert.deepStrictEqual(parseMarkup('Track your **daily moods**'), [
+        'Track your ',
+        { type: 'accent', children: ['daily moods'] }
+      ]);
+      assert.deepStrictEqual(parseMarkup('Made for *you*\nin 5&nbsp;min'), [
+        'Made for ',
+        { type: 'emphasis', children: ['you'] },
+        { type: 'break' },
+        'in 5\u00A0min'
+      ]);
+    });
+
+    it('should nest emphasis and accents', () => {
+      assert.deepStrictEqual(parseMarkup('*a **b** c*'), [
+        { type: 'emphasis', children: ['a ', { type: 'accent', children: ['b'] }, ' c'] }
+      ]);
+      assert.deepStrictEqual(parseMarkup('**a *b* c**'), [
+        { type: 'accent', children: ['a ', { type: 'emphasis', children: ['b'] }, ' c'] }
+      ]);
+    });
+
+    it('should show escaped and unclosed markers as typed', () => {
+      assert.deepStrictEqual(parseMarkup('Rated 5\\* \\\\ \\&nbsp;'), ['Rated 5* \\ &nbsp;']);
+
+      const unclosed = [];
+      assert.deepStrictEqual(parseMarkup('Save **20% or 2 * 3', unclosed), ['Save **20% or 2 * 3']);
+      assert.deepStrictEqual(unclosed, ['**', '*']);
+    });
+
+    it('should match the parser templates are served', () => {
+      // storepix-content.js as serveContentHelper() sends it
+      const context = {};
+      vm.runInNewContext(`${readFileSync(contentScript, 'utf-8')}\n${markupParserSource}\nthis.parse = parseStorepixMarkup;`, context);
+
+      for (const sample of samples) {
+        // Compare as JSON - the nodes come from another realm
+        assert.strictEqual(JSON.stringify(context.parse(sample)), JSON.stringify(parseMarkup(sample)), sample);
+      }
+    });
+  });
+
+  describe('validateMarkup', () => {
+    it('should accept balanced markup', () => {
+      assert.deepStrictEqual(validateMarkup({
+        screenshots: [{ id: 'home', headline: 'Track your **daily moods**', headlines: ['*One*', 'Two'] }],
+        locales: { de: { home: { headline: 'Verfolge deine **Stimmungen**' } }, ja: './i18n/ja.json' }
+      }), []);
+    });
+
+    it('should warn about unclosed markers in screenshots and locales', () => {
+      assert.deepStrictEqual(validateMarkup({
+        screenshots: [{ id: 'home', headline: 'Save **20%', headlines: ['Fine', '5 * 5'] }],
+        locales: { de: { home: { subheadline: 'Spare *20%' } } }
+      }), [
+        '[home] headline has an unclosed "**", shown as typed: "Save **20%" (escape a literal asterisk as \\*)',
+        '[home] headlines[1] has an unclosed "*", shown as typed: "5 * 5" (escape a literal asterisk as \\*)',
+        'locales.de.home.subheadline has an unclosed "*", shown as typed: "Spare *20%" (escape a literal asterisk as \\*)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { flattenPng, parseCssColor, verifyOutput } from '../../src/utils/opaque-output.js';
+import { encodePng, decodePng, readChunks, readHeader, COLOR_TYPE } from '../../src/utils/png.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const testDir = join(__dirname, '..', '..', '.storepix-test-opaque');
+
+function rgbaPng(width, height, pixel) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(pixel, i);
+  }
+  return encodePng({ width, height, colorType: COLOR_TYPE.RGBA, bitDepth: 8, data });
+}
+
+describe('opaque-output module', () => {
+  before(() => {
+    mkdirSync(testDir, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('flattenPng', () => {
+    it('should write RGB and composite translucent pixels onto the background', async () => {
+      const png = await rgbaPng(2, 2, [255, 0, 0, 128]);
+
+      const result = await flattenPng(png, { r: 0, g: 0, b: 255 });
+
+      assert.strictEqual(result.flattened, true);
+      assert.strictEqual(result.translucentPixels, 4);
+      assert.strictEqual(readHeader(readChunks(result.buffer)).colorType, COLOR_TYPE.RGB);
+      assert.deepStrictEqual(Array.from(decodePng(result.buffer).pixels.subarray(0, 4)), [128, 0, 127, 255]);
+    });
+
+    it('should drop the alpha channel of opaque RGBA images without changing pixels', async () => {
+      const png = await rgbaPng(3, 1, [10, 20, 30, 255]);
+
+      const result = await flattenPng(png);
+
+      assert.strictEqual(result.translucentPixels, 0);
+      assert.deepStrictEqual(Array.from(decodePng(result.buffer).pixels.subarray(0, 4)), [10, 20, 30, 255]);
+    });
+
+    it('should leave PNGs without alpha untouched', async () => {
+      const png = await encodePng({ width: 1, height: 1, colorType: COLOR_TYPE.RGB, bitDepth: 8, data: new Uint8Array(3) });
+      const result = await flattenPng(png);
+      assert.strictEqual(result.flattened, false);
+      assert.strictEqual(result.buffer, png);
+    });
+  });
+
+  describe('parseCssColor', () => {
+    it('should parse computed colors', () => {
+      assert.deepStrictEqual(parseCssColor('rgb(12, 34, 56)'), { r: 12, g: 34, b: 56, a: 1 });
+      assert.deepStrictEqual(parseCssColor('rgba(0, 0, 0, 0)'), { r: 0, g: 0, b: 0, a: 0 });
+      assert.strictEqual(parseCssColor('transparent'), null);
+    });
+  });
+
+  describe('verifyOutput', () => {
+    it('should pass an opaque RGB PNG with the right dimensions', async () => {
+      const path = join(testDir, 'ok.png');
+      writeFileSync(path, (await flattenPng(await rgbaPng(4, 8, [1, 2, 3, 255]))).buffer);
+
+      assert.deepStrictEqual(await verifyOutput(path, { format: 'png', width: 4, height: 8 }), { valid: true, errors: [] });
+    });
+
+    it('should report alpha channels, transparency and wrong dimensions', async () => {
+      const path = join(testDir, 'alpha.png');
+      writeFileSync(path, await rgbaPng(4, 4, [1, 2, 3, 0]));
+
+      const result = await verifyOutput(path, { format: 'png', width: 4, height: 8 });
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.errors.length, 3);
+      assert.ok(result.errors[0].includes('4x4'));
+      assert.ok(result.errors[1].includes('alpha channel'));
+      assert.ok(result.errors[2].includes('16 pixels'));
+    });
+
+    it('should report PNG color types other than RGB', async () => {
+      const palettePath = join(testDir, 'palette.png');
+      writeFileSync(palettePath, await encodePng({
+        width: 1, height: 1, colorType: COLOR_TYPE.PALETTE, bitDepth: 8, data: new Uint8Array([0]), palette: Buffer.from([1, 2, 3])
+      }));
+      assert.deepStrictEqual((await verifyOutput(palettePath, { format: 'png', width: 1, height: 1 })).errors, [
+        'PNG is palette (color type 3), expected RGB (color type 2)'
+      ]);
+
+      const grayPath = join(testDir, 'gray.png');
+      writeFileSync(grayPath, await encodePng({ width: 1, height: 1, colorType: COLOR_TYPE.GRAY, bitDepth: 8, data: new Uint8Array([9]) }));
+      assert.deepStrictEqual((await verifyOutput(grayPath, { format: 'png', width: 1, height: 1 })).errors, [
+        'PNG is grayscale (color type 0), expected RGB (color type 2)'
+      ]);
+    });
+
+    it('should report a format mismatch', async () => {
+      const path = join(testDir, 'wrong-format.jpg');
+      writeFileSync(path, (await flattenPng(await rgbaPng(4, 8, [1, 2, 3, 255]))).buffer);
+
+      const result = await verifyOutput(path, { format: 'jpeg', width: 4, height: 8 });
+      assert.ok(result.errors[0].includes('Expected JPEG'));
+    });
+
+    it('should report formats the store does not accept when a platform is given', async () => {
+      const path = join(testDir, 'ok-ios.png');
+      writeFileSync(path, (await flattenPng(await rgbaPng(4, 8, [1, 2, 3, 255]))).buffer);
+
+      assert.strictEqual((await verifyOutput(path, { format: 'png', width: 4, height: 8, platform: 'ios' })).valid, true);
+
+      const webpPath = join(testDir, 'store.webp');
+      const vp8 = Buffer.alloc(30);
+      vp8.write('RIFF', 0, 'latin1');
+      vp8.write('WEBPVP8 ', 8, 'latin1');
+      vp8.writeUInt32LE(10, 16);
+      vp8.writeUInt16LE(4, 26);
+      vp8.writeUInt16LE(8, 28);
+      writeFileSync(webpPath, vp8);
+
+      const result = await verifyOutput(webpPath, { format: 'webp', width: 4, height: 8, platform: 'android' });
+      assert.deepStrictEqual(result.errors, ['Google Play only accepts PNG or JPEG screenshots, not WEBP']);
+    });
+
+    it('should report unreadable files', async () => {
+      const result = await verifyOutput(join(testDir, 'missing.png'), { format: 'png', width: 1, height: 1 });
+      assert.strictEqual(result.valid, false);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveOutputFormat, validateOutputConfig, checkStoreFormat, findStoreFormatIssues, DEFAULT_QUALITY } from '../../src/utils/output-format.js';
+import { devices } from '../../src/devices/index.js';
+
+describe('output-format module', () => {
+  describe('resolveOutputFormat', () => {
+    it('should default to PNG without quality', () => {
+      assert.deepStrictEqual(
+        resolveOutputFormat(undefined, 'iphone-6.5', devices['iphone-6.5']),
+        { format: 'png', quality: null, extension: 'png' }
+      );
+    });
+
+    it('should use the base format with default quality', () => {
+      assert.deepStrictEqual(
+        resolveOutputFormat({ format: 'webp' }, 'iphone-6.5', devices['iphone-6.5']),
+        { format: 'webp', quality: DEFAULT_QUALITY, extension: 'webp' }
+      );
+    });
+
+    it('should apply store overrides by device platform', () => {
+      const output = { format: 'png', stores: { android: { format: 'jpeg', quality: 80 } } };
+
+      assert.strictEqual(resolveOutputFormat(output, 'iphone-6.5', devices['iphone-6.5']).format, 'png');
+      assert.deepStrictEqual(
+        resolveOutputFormat(output, 'android-phone', devices['android-phone']),
+        { format: 'jpeg', quality: 80, extension: 'jpg' }
+      );
+    });
+
+    it('should let device overrides beat store overrides', () => {
+      const output = {
+        quality: 70,
+        stores: { android: { format: 'jpeg' } },
+        devices: { 'android-wear': { format: 'webp' } }
+      };
+
+      assert.deepStrictEqual(
+        resolveOutputFormat(output, 'android-wear', devices['android-wear']),
+        { format: 'webp', quality: 70, extension: 'webp' }
+      );
+    });
+
+    it('should accept jpg as an alias for jpeg', () => {
+      assert.strictEqual(resolveOutputFormat({ format: 'jpg' }, 'iphone-6.5', devices['iphone-6.5']).format, 'jpeg');
+    });
+  });
+
+  describe('validateOutputConfig', () => {
+    it('should accept valid settings', () => {
+      const output = {
+        dir: './output',
+        format: 'jpeg',
+        quality: 85,
+        stores: { ios: { format: 'png' } },
+        devices: { 'android-phone': { format: 'webp', quality: 75 } }
+      };
+      assert.deepStrictEqual(validateOutputConfig(output, devices), []);
+      assert.deepStrictEqual(validateOutputConfig(undefined, devices), []);
+    });
+
+    it('should reject unknown formats and out-of-range quality', () => {
+      const errors = validateOutputConfig({ format: 'gif', quality: 150 }, devices);
+      assert.strictEqual(errors.length, 2);
+      assert.ok(errors[0].includes('output.format'));
+      assert.ok(errors[1].includes('output.quality'));
+    });
+
+    it('should reject unknown stores and devices', () => {
+      const errors = validateOutputConfig({
+        stores: { windows: { format: 'png' } },
+        devices: { 'iphone-99': { format: 'png' } }
+      }, devices);
+      assert.strictEqual(errors.length, 2);
+      assert.ok(errors[0].includes('output.stores.windows'));
+      assert.ok(errors[1].includes('output.devices.iphone-99'));
+    });
+
+    it('should report the path of invalid overrides', () => {
+      const errors = validateOutputConfig({ devices: { 'ipad-13': { format: 'tiff' } } }, devices);
+      assert.ok(errors[0].startsWith('output.devices.ipad-13.format'));
+    });
+  });
+
+  describe('checkStoreFormat', () => {
+    it('should accept PNG and JPEG for both stores', () => {
+      for (const platform of ['ios', 'android']) {
+        assert.strictEqual(checkStoreFormat('png', platform), null);
+        assert.strictEqual(checkStoreFormat('jpeg', platform), null);
+      }
+    });
+
+    it('should reject WebP uploads', () => {
+      assert.strictEqual(checkStoreFormat('webp', 'ios'), 'App Store only accepts PNG or JPEG screenshots, not WEBP');
+    });
+  });
+
+  describe('findStoreFormatIssues', () => {
+    it('should group devices by store and format', () => {
+      const output = { format: 'webp', devices: { 'iphone-6.5': { format: 'png' } } };
+      const issues = findStoreFormatIssues(output, ['iphone-6.9', 'iphone-6.5', 'ipad-13', 'android-phone'], devices);
+
+      assert.deepStrictEqual(issues, [
+        'App Store only accepts PNG or JPEG screenshots, not WEBP (iphone-6.9, ipad-13)',
+        'Google Play only accepts PNG or JPEG screenshots, not WEBP (android-phone)'
+      ]);
+    });
+
+    it('should return nothing for the default PNG output', () => {
+      assert.deepStrictEqual(findStoreFormatIssues(undefined, ['iphone-6.9', 'android-phone'], devices), []);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { collectPageDiagnostics, addFailedImages, addTextFitIssues, countIssueErrors } from '../../src/utils/page-diagnostics.js';
+
+const baseUrl = 'http://localhost:4321';
+
+function consoleMessage(type, text) {
+  return { type: () => type, text: () => text };
+}
+
+function response(url, status) {
+  return { url: () => url, status: () => status };
+}
+
+function failedRequest(url, errorText) {
+  return { url: () => url, failure: () => ({ errorText }) };
+}
+
+describe('page-diagnostics module', () => {
+  describe('collectPageDiagnostics', () => {
+    it('should collect page errors, console errors and failed requests', () => {
+      const page = new EventEmitter();
+      const diagnostics = collectPageDiagnostics(page);
+
+      page.emit('pageerror', new Error('config is not defined'));
+      page.emit('console', consoleMessage('error', 'Custom font missing'));
+      page.emit('response', response(`${baseUrl}/fonts/Inter.woff2`, 404));
+      page.emit('requestfailed', failedRequest('https://cdn.example.com/x.css', 'net::ERR_NAME_NOT_RESOLVED'));
+
+      const issues = diagnostics.stop();
+
+      assert.deepStrictEqual(issues.map(issue => issue.type), ['pageerror', 'console', 'request', 'request']);
+      assert.strictEqual(issues[0].message, 'config is not defined');
+      assert.strictEqual(issues[2].message, 'HTTP 404: /fonts/Inter.woff2');
+      assert.strictEqual(issues[3].message, 'net::ERR_NAME_NOT_RESOLVED: https://cdn.example.com/x.css');
+    });
+
+    it('should ignore non-error output, successful responses and favicon requests', () => {
+      const page = new EventEmitter();
+      const diagnostics = collectPageDiagnostics(page);
+
+      page.emit('console', consoleMessage('log', 'hello'));
+      page.emit('console', consoleMessage('warning', 'deprecated'));
+      page.emit('console', consoleMessage('error', 'Failed to load resource: the server responded with a status of 404'));
+      page.emit('response', response(`${baseUrl}/templates/default/styles.css`, 200));
+      page.emit('response', response(`${baseUrl}/favicon.ico`, 404));
+
+      assert.deepStrictEqual(diagnostics.stop(), []);
+    });
+
+    it('should stop listening after stop()', () => {
+      const page = new EventEmitter();
+      const diagnostics = collectPageDiagnostics(page);
+      const issues = diagnostics.stop();
+
+      page.emit('pageerror', new Error('late'));
+
+      assert.deepStrictEqual(issues, []);
+      assert.strictEqual(page.listenerCount('pageerror'), 0);
+      assert.strictEqual(page.listenerCount('response'), 0);
+    });
+  });
+
+  describe('addFailedImages', () => {
+    it('should not duplicate images already reported as failed requests', () => {
+      const issues = [{ type: 'request', message: 'HTTP 404: /screenshots/home.png', url: `${baseUrl}/screenshots/home.png` }];
+
+      const merged = addFailedImages(issues, ['./screenshots/home.png', './screenshots/broken.png'], `${baseUrl}/?headline=Hi`);
+
+      assert.strictEqual(merged.length, 2);
+      assert.strictEqual(merged[1].type, 'image');
+      assert.ok(merged[1].message.includes('broken.png'));
+    });
+  });
+
+  describe('addTextFitIssues', () => {
+    it('should report text that does not fit at its minimum size', () => {
+      const issues = addTextFitIssues([], [
+        { field: 'headline', text: 'Behalte deine Stimmungen jeden einzelnen Tag im Blick', size: 56, min: 56, max: 88, fits: false }
+      ]);
+
+      assert.strictEqual(issues.length, 1);
+      assert.strictEqual(issues[0].type, 'text');
+      assert.strictEqual(issues[0].message, 'headline "Behalte deine Stimmungen jeden einzelne…" doesn\'t fit even at the minimum size (56px)');
+    });
+  });
+
+  describe('countIssueErrors', () => {
+    it('should count only issues marked as errors', () => {
+      assert.strictEqual(countIssueErrors([
+        { label: 'a', issues: [{ type: 'layout', severity: 'error' }, { type: 'console' }] },
+        { label: 'b', issues: [{ type: 'layout', severity: 'warning' }, { type: 'layout', severity: 'error' }] }
+      ]), 2);
+    });
+  });
+});
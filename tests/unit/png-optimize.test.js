@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { encodePng, decodePng, readChunks, readHeader, buildChunk, COLOR_TYPE } from '../../src/utils/png.js';
+import {
+  optimizePng,
+  resolveOptimizeOptions,
+  validateOptimizeConfig,
+  formatBytes
+} from '../../src/utils/png-optimize.js';
+
+/**
+ * Encode RGBA pixels quickly (low compression, like a browser screenshot)
+ * with an extra metadata chunk
+ */
+async function screenshotPng(width, height, pixelAt) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(pixelAt(x, y), (y * width + x) * 4);
+    }
+  }
+  const png = await encodePng({
+    width, height, colorType: COLOR_TYPE.RGBA, bitDepth: 8, data,
+    ancillary: [{ type: 'tEXt', data: Buffer.from('Software\0storepix-test') }]
+  }, { level: 1 });
+  return { png, data };
+}
+
+describe('png-optimize module', () => {
+  describe('optimizePng', () => {
+    it('should shrink an opaque image losslessly and drop metadata', async () => {
+      const { png, data } = await screenshotPng(64, 64, (x, y) => [x * 4, y * 4, (x + y) * 2, 255]);
+
+      const result = await optimizePng(png);
+
+      assert.ok(result.size < result.originalSize);
+      assert.strictEqual(result.quantized, false);
+      assert.deepStrictEqual(Array.from(decodePng(result.buffer).pixels), Array.from(data));
+
+      const chunks = readChunks(result.buffer);
+      assert.strictEqual(readHeader(chunks).colorType, COLOR_TYPE.RGB);
+      assert.ok(!chunks.some(chunk => chunk.type === 'tEXt'));
+    });
+
+    it('should use a palette for images with few colors, keeping alpha', async () => {
+      const colors = [[255, 0, 0, 255], [0, 0, 255, 128], [0, 0, 0, 0]];
+      const { png, data } = await screenshotPng(32, 32, (x, y) => colors[(x + y) % 3]);
+
+      const result = await optimizePng(png);
+      const chunks = readChunks(result.buffer);
+
+      assert.strictEqual(readHeader(chunks).colorType, COLOR_TYPE.PALETTE);
+      assert.strictEqual(readHeader(chunks).bitDepth, 2);
+      assert.ok(chunks.some(chunk => chunk.type === 'tRNS'));
+      assert.deepStrictEqual(Array.from(decodePng(result.buffer).pixels), Array.from(data));
+    });
+
+    it('should keep opaque images RGB even with few colors', async () => {
+      const { png, data } = await screenshotPng(32, 32, (x, y) => ((x + y) % 2 ? [40, 40, 40, 255] : [255, 0, 0, 255]));
+
+      const result = await optimizePng(png);
+
+      assert.ok(result.size < result.originalSize);
+      assert.strictEqual(readHeader(readChunks(result.buffer)).colorType, COLOR_TYPE.RGB);
+      assert.deepStrictEqual(Array.from(decodePng(result.buffer).pixels), Array.from(data));
+    });
+
+    it('should keep color management chunks', async () => {
+      const { png } = await screenshotPng(16, 16, (x) => [x * 16, 0, 0, 255]);
+      const chunks = readChunks(png);
+      const withSrgb = await encodePng({
+        ...readHeader(chunks),
+        data: decodePng(png).pixels,
+        colorType: COLOR_TYPE.RGBA,
+        ancillary: [{ type: 'sRGB', data: Buffer.from([0]) }]
+      }, { level: 0 });
+
+      const result = await optimizePng(withSrgb);
+
+      assert.ok(readChunks(result.buffer).some(chunk => chunk.type === 'sRGB'));
+    });
+
+    it('should quantize images with many colors when enabled', async () => {
+      const { png } = await screenshotPng(128, 128, (x, y) => [x * 2, y * 2, (x * y) & 0xFF, 255]);
+
+      const lossless = await optimizePng(png);
+      const quantized = await optimizePng(png, { quantize: true, colors: 64 });
+
+      assert.strictEqual(quantized.quantized, true);
+      assert.ok(quantized.size < lossless.size);
+      assert.strictEqual(readHeader(readChunks(quantized.buffer)).colorType, COLOR_TYPE.PALETTE);
+    });
+
+    it('should return the original when it cannot be improved', async () => {
+      const tiny = await optimizePng(await encodePng({
+        width: 1, height: 1, colorType: COLOR_TYPE.GRAY, bitDepth: 1, data: new Uint8Array([0])
+      }));
+      assert.strictEqual(tiny.size, tiny.originalSize);
+    });
+
+    it('should skip files it cannot decode', async () => {
+      const result = await optimizePng(Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), buildChunk('IEND', Buffer.alloc(0))]));
+      assert.ok(result.skipped);
+      assert.strictEqual(result.size, result.originalSize);
+    });
+  });
+
+  describe('resolveOptimizeOptions', () => {
+    it('should be disabled unless config or CLI enables it', () => {
+      assert.strictEqual(resolveOptimizeOptions(undefined, undefined), null);
+      assert.strictEqual(resolveOptimizeOptions(false, undefined), null);
+    });
+
+    it('should default to lossless', () => {
+      assert.deepStrictEqual(resolveOptimizeOptions(undefined, true), { quantize: false, colors: 256 });
+      assert.deepStrictEqual(resolveOptimizeOptions(true), { quantize: false, colors: 256 });
+    });
+
+    it('should read quantize settings from config', () => {
+      assert.deepStrictEqual(resolveOptimizeOptions({ quantize: true, colors: 128 }), { quantize: true, colors: 128 });
+    });
+  });
+
+  describe('validateOptimizeConfig', () => {
+    it('should accept booleans and valid objects', () => {
+      assert.deepStrictEqual(validateOptimizeConfig(true), []);
+      assert.deepStrictEqual(validateOptimizeConfig({ quantize: true, colors: 64 }), []);
+    });
+
+    it('should reject invalid values', () => {
+      assert.strictEqual(validateOptimizeConfig('yes').length, 1);
+      assert.strictEqual(validateOptimizeConfig({ quantize: 'yes', colors: 1000 }).length, 2);
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should use KB below a megabyte and MB above', () => {
+      assert.strictEqual(formatBytes(2048), '2 KB');
+      assert.strictEqual(formatBytes(3 * 1024 * 1024), '3.0 MB');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { deflateSync } from 'zlib';
+import {
+  encodePng,
+  decodePng,
+  readChunks,
+  readHeader,
+  buildChunk,
+  crc32,
+  PNG_SIGNATURE,
+  COLOR_TYPE
+} from '../../src/utils/png.js';
+
+/**
+ * Build a PNG by hand (filter type 0 on every row)
+ */
+function rawPng({ width, height, colorType, bitDepth, rows, palette, transparency }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  const data = Buffer.concat(rows.map(row => Buffer.from([0, ...row])));
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    buildChunk('IHDR', ihdr),
+    ...(palette ? [buildChunk('PLTE', Buffer.from(palette))] : []),
+    ...(transparency ? [buildChunk('tRNS', Buffer.from(transparency))] : []),
+    buildChunk('IDAT', deflateSync(data)),
+    buildChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+describe('png module', () => {
+  describe('crc32', () => {
+    it('should match the known CRC of IEND', () => {
+      assert.strictEqual(crc32(Buffer.from('IEND')), 0xAE426082);
+    });
+  });
+
+  describe('encodePng / decodePng', () => {
+    it('should round-trip RGBA pixels through every filter', async () => {
+      const width = 7, height = 5;
+      const data = new Uint8Array(width * height * 4);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = (i * 37 + (i >> 3) * 11) & 0xFF;
+      }
+
+      const png = await encodePng({ width, height, colorType: COLOR_TYPE.RGBA, bitDepth: 8, data });
+      const decoded = decodePng(png);
+
+      assert.strictEqual(decoded.width, width);
+      assert.strictEqual(decoded.height, height);
+      assert.deepStrictEqual(Array.from(decoded.pixels), Array.from(data));
+    });
+
+    it('should expand RGB to opaque RGBA', async () => {
+      const data = new Uint8Array([255, 0, 0, 0, 255, 0]);
+      const png = await encodePng({ width: 2, height: 1, colorType: COLOR_TYPE.RGB, bitDepth: 8, data });
+
+      assert.deepStrictEqual(Array.from(decodePng(png).pixels), [255, 0, 0, 255, 0, 255, 0, 255]);
+    });
+  });
+
+  describe('decodePng', () => {
+    it('should decode indexed images with tRNS alpha', () => {
+      // 2-bit indices: 0, 1, 2, 1 packed into one byte (00 01 10 01)
+      const png = rawPng({
+        width: 4, height: 1, colorType: COLOR_TYPE.PALETTE, bitDepth: 2,
+        rows: [[0b00011001]],
+        palette: [0, 0, 0, 255, 255, 255, 255, 0, 0],
+        transparency: [0]
+      });
+
+      assert.deepStrictEqual(Array.from(decodePng(png).pixels), [
+        0, 0, 0, 0,
+        255, 255, 255, 255,
+        255, 0, 0, 255,
+        255, 255, 255, 255
+      ]);
+    });
+
+    it('should scale low bit depth grayscale to 8 bits', () => {
+      const png = rawPng({ width: 2, height: 1, colorType: COLOR_TYPE.GRAY, bitDepth: 1, rows: [[0b10000000]] });
+      assert.deepStrictEqual(Array.from(decodePng(png).pixels), [255, 255, 255, 255, 0, 0, 0, 255]);
+    });
+
+    it('should reduce 16-bit grayscale+alpha to 8 bits', () => {
+      const png = rawPng({ width: 1, height: 1, colorType: COLOR_TYPE.GRAY_ALPHA, bitDepth: 16, rows: [[0x80, 0x00, 0x00, 0xFF]] });
+      assert.deepStrictEqual(Array.from(decodePng(png).pixels), [128, 128, 128, 0]);
+    });
+
+    it('should decode Adam7 interlaced images', () => {
+      // 3x3 grayscale: pixel value = y * 3 + x. Passes 2 and 3 are empty; the
+      // rest hold (0,0) | (2,0) | (0,2),(2,2) | (1,0) and (1,2) | row 1
+      const ihdrPng = rawPng({
+        width: 3, height: 3, colorType: COLOR_TYPE.GRAY, bitDepth: 8,
+        rows: [[0], [2], [6, 8], [1], [7], [3, 4, 5]]
+      });
+      // Mark the IHDR as interlaced and fix its CRC
+      const png = Buffer.from(ihdrPng);
+      png[8 + 8 + 12] = 1;
+      png.writeUInt32BE(crc32(png.subarray(12, 29)), 29);
+
+      const gray = Array.from(decodePng(png).pixels).filter((_, i) => i % 4 === 0);
+      assert.deepStrictEqual(gray, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    it('should reject files that are not PNGs', () => {
+      assert.throws(() => decodePng(Buffer.from('not a png at all')), /Not a PNG/);
+    });
+
+    it('should reject truncated image data', () => {
+      const png = rawPng({ width: 4, height: 4, colorType: COLOR_TYPE.RGB, bitDepth: 8, rows: [[1, 2, 3]] });
+      assert.throws(() => decodePng(png), /truncated/);
+    });
+  });
+
+  describe('readHeader', () => {
+    it('should reject invalid color type and bit depth combinations', () => {
+      const png = rawPng({ width: 1, height: 1, colorType: COLOR_TYPE.RGB, bitDepth: 4, rows: [[0]] });
+      assert.throws(() => readHeader(readChunks(png)), /Unsupported PNG color type/);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  waitForTemplateReady,
+  describeTimeout,
+  parseReadyTimeout,
+  DEFAULT_READY_TIMEOUT
+} from '../../src/utils/readiness.js';
+
+/**
+ * Minimal page stand-in: page.evaluate returns the scripted results in order
+ */
+function scriptedPage(evaluateResults) {
+  const calls = { waitForTimeout: [], waitForLoadState: [] };
+  return {
+    calls,
+    async evaluate() {
+      return evaluateResults.shift();
+    },
+    async waitForTimeout(ms) {
+      calls.waitForTimeout.push(ms);
+    },
+    async waitForLoadState(state) {
+      calls.waitForLoadState.push(state);
+    }
+  };
+}
+
+describe('readiness module', () => {
+  describe('waitForTemplateReady', () => {
+    it('should resolve via the handshake and report failed images', async () => {
+      const page = scriptedPage([
+        true,
+        { value: { images: [{ src: 'a.png', ok: true }, { src: 'b.png', ok: false }] } }
+      ]);
+
+      const result = await waitForTemplateReady(page);
+
+      assert.strictEqual(result.ready, true);
+      assert.strictEqual(result.protocol, 'handshake');
+      assert.deepStrictEqual(result.failedImages, ['b.png']);
+      assert.deepStrictEqual(page.calls.waitForTimeout, []);
+    });
+
+    it('should return text that did not fit', async () => {
+      const page = scriptedPage([
+        true,
+        { value: { images: [], textFit: [
+          { field: 'headline', text: 'Hallo', size: 88, min: 56, max: 88, fits: true },
+          { field: 'subheadline', text: 'Sehr lange Zeile', size: 56, min: 56, max: 88, fits: false }
+        ] } }
+      ]);
+
+      const result = await waitForTemplateReady(page);
+
+      assert.deepStrictEqual(result.unfitText.map(fit => fit.field), ['subheadline']);
+    });
+
+    it('should surface errors thrown by the template', async () => {
+      const page = scriptedPage([true, { error: 'Status bar not found' }]);
+
+      const result = await waitForTemplateReady(page);
+
+      assert.strictEqual(result.ready, false);
+      assert.ok(result.error.includes('Status bar not found'));
+    });
+
+    it('should describe what was pending on timeout', async () => {
+      const page = scriptedPage([
+        true,
+        { timedOut: true },
+        { stage: 'images', pending: ['./screenshots/home.png'] }
+      ]);
+
+      const result = await waitForTemplateReady(page, { timeout: 250 });
+
+      assert.strictEqual(result.ready, false);
+      assert.ok(result.error.includes('250ms'));
+      assert.ok(result.error.includes('./screenshots/home.png'));
+    });
+
+    it('should fall back to fixed delays for templates without the handshake', async () => {
+      const page = scriptedPage([false, { success: false, src: 'missing.png' }]);
+
+      const result = await waitForTemplateReady(page, { statusBar: true });
+
+      assert.strictEqual(result.ready, true);
+      assert.strictEqual(result.protocol, 'legacy');
+      assert.deepStrictEqual(result.failedImages, ['missing.png']);
+      assert.deepStrictEqual(page.calls.waitForLoadState, ['networkidle']);
+      assert.deepStrictEqual(page.calls.waitForTimeout, [500, 300]);
+    });
+  });
+
+  describe('describeTimeout', () => {
+    it('should name the stage the template was stuck in', () => {
+      assert.ok(describeTimeout(1000, { stage: 'fonts', pending: [] }).includes('web fonts'));
+      assert.ok(describeTimeout(1000, { stage: 'tasks', pending: [] }).includes('async work'));
+    });
+
+    it('should truncate long pending image lists', () => {
+      const message = describeTimeout(1000, { stage: 'images', pending: ['1', '2', '3', '4', '5'] });
+      assert.ok(message.includes('and 2 more'));
+    });
+
+    it('should work without readiness state', () => {
+      assert.strictEqual(describeTimeout(1000, null), 'Template did not signal ready within 1000ms');
+    });
+  });
+
+  describe('parseReadyTimeout', () => {
+    it('should default when unset', () => {
+      assert.strictEqual(parseReadyTimeout(undefined), DEFAULT_READY_TIMEOUT);
+    });
+
+    it('should parse valid values and reject invalid ones', () => {
+      assert.strictEqual(parseReadyTimeout('5000'), 5000);
+      assert.strictEqual(parseReadyTimeout('0'), null);
+      assert.strictEqual(parseReadyTimeout('soon'), null);
+    });
+  });
+});
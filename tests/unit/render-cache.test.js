@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { existsSync, mkdirSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { RenderCache, computeJobHash, CACHE_FILE } from '../../src/utils/render-cache.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..', '..');
+const testDir = join(projectRoot, '.storepix-test-cache');
+const outputDir = join(testDir, 'output');
+
+function makeJob(overrides = {}) {
+  return {
+    cacheKey: 'iphone-6.5/01_home',
+    template: 'default',
+    statusBar: false,
+    inputFiles: ['screenshots/home.png'],
+    device: { width: 1284, height: 2778 },
+    path: '?headline=Hello',
+    viewport: { width: 1284, height: 2778 },
+    outputs: [{ file: '01_home.png', clip: { x: 0, y: 0, width: 1284, height: 2778 } }],
+    ...overrides
+  };
+}
+
+describe('render-cache module', () => {
+  before(() => {
+    mkdirSync(join(testDir, 'templates', 'default'), { recursive: true });
+    mkdirSync(join(testDir, 'screenshots'), { recursive: true });
+    mkdirSync(outputDir, { recursive: true });
+    writeFileSync(join(testDir, 'templates', 'default', 'index.html'), '<html></html>');
+    writeFileSync(join(testDir, 'templates', 'storepix-content.js'), '// helper');
+    writeFileSync(join(testDir, 'screenshots', 'home.png'), 'image-v1');
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('computeJobHash', () => {
+    it('should be stable for identical inputs', () => {
+      const cache = new RenderCache(outputDir);
+      assert.strictEqual(
+        computeJobHash(cache, makeJob(), testDir),
+        computeJobHash(cache, makeJob(), testDir)
+      );
+    });
+
+    it('should change when the resolved text changes', () => {
+      const cache = new RenderCache(outputDir);
+      assert.notStrictEqual(
+        computeJobHash(cache, makeJob(), testDir),
+        computeJobHash(cache, makeJob({ path: '?headline=Bonjour' }), testDir)
+      );
+    });
+
+    it('should change when the source image changes', () => {
+      const hashBefore = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      writeFileSync(join(testDir, 'screenshots', 'home.png'), 'image-v2');
+      const hashAfter = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      assert.notStrictEqual(hashBefore, hashAfter);
+    });
+
+    it('should change when a template file changes', () => {
+      const hashBefore = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      writeFileSync(join(testDir, 'templates', 'default', 'styles.css'), 'body {}');
+      const hashAfter = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      assert.notStrictEqual(hashBefore, hashAfter);
+    });
+
+    it('should change when the project\'s helper script changes', () => {
+      const hashBefore = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      writeFileSync(join(testDir, 'templates', 'storepix-content.js'), '// helper v2');
+      const hashAfter = computeJobHash(new RenderCache(outputDir), makeJob(), testDir);
+      assert.notStrictEqual(hashBefore, hashAfter);
+    });
+
+    it('should memoize file hashes until invalidated', () => {
+      const cache = new RenderCache(outputDir);
+      const hashBefore = computeJobHash(cache, makeJob(), testDir);
+      writeFileSync(join(testDir, 'screenshots', 'home.png'), 'image-v3');
+      assert.strictEqual(computeJobHash(cache, makeJob(), testDir), hashBefore);
+
+      cache.invalidateHashes();
+      assert.notStrictEqual(computeJobHash(cache, makeJob(), testDir), hashBefore);
+    });
+  });
+
+  describe('RenderCache', () => {
+    it('should report fresh only when hash matches and outputs exist', () => {
+      const cache = new RenderCache(outputDir);
+      const outputPath = join(outputDir, '01_home.png');
+
+      cache.set('iphone-6.5/01_home', 'abc');
+      assert.strictEqual(cache.isFresh('iphone-6.5/01_home', 'abc', [outputPath]), false);
+
+      writeFileSync(outputPath, 'png');
+      assert.strictEqual(cache.isFresh('iphone-6.5/01_home', 'abc', [outputPath]), true);
+      assert.strictEqual(cache.isFresh('iphone-6.5/01_home', 'def', [outputPath]), false);
+      assert.strictEqual(cache.isFresh('ipad-13/01_home', 'abc', [outputPath]), false);
+    });
+
+    it('should forget removed entries', () => {
+      const cache = new RenderCache(outputDir);
+      cache.set('iphone-6.5/01_home', 'abc');
+      cache.remove('iphone-6.5/01_home');
+      assert.deepStrictEqual(cache.entries, {});
+    });
+
+    it('should persist entries across save and load', () => {
+      const cache = new RenderCache(outputDir);
+      cache.set('de/iphone-6.5/01_home', 'abc');
+      cache.save();
+
+      assert.ok(existsSync(join(outputDir, CACHE_FILE)));
+      const reloaded = new RenderCache(outputDir).load();
+      assert.deepStrictEqual(reloaded.entries, { 'de/iphone-6.5/01_home': { hash: 'abc' } });
+    });
+
+    it('should start empty when the manifest is from another version', () => {
+      const manifestPath = join(outputDir, CACHE_FILE);
+      const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+      manifest.version = '0.0.0-old';
+      writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      assert.deepStrictEqual(new RenderCache(outputDir).load().entries, {});
+    });
+
+    it('should start empty when the manifest is corrupt', () => {
+      writeFileSync(join(outputDir, CACHE_FILE), '{ not json');
+      assert.deepStrictEqual(new RenderCache(outputDir).load().entries, {});
+    });
+  });
+});
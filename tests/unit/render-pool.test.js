@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { runPool, parseConcurrency, defaultConcurrency } from '../../src/utils/render-pool.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('render-pool module', () => {
+  describe('runPool', () => {
+    it('should return results in input order regardless of completion order', async () => {
+      const items = [30, 5, 20, 1];
+      const results = await runPool(items, 4, async (ms) => {
+        await delay(ms);
+        return ms * 2;
+      });
+
+      assert.deepStrictEqual(results, [60, 10, 40, 2]);
+    });
+
+    it('should never exceed the concurrency limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await runPool(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+      });
+
+      assert.strictEqual(maxRunning, 3);
+    });
+
+    it('should give each worker a stable id below the concurrency', async () => {
+      const workerIds = new Set();
+
+      await runPool([1, 2, 3, 4, 5, 6], 2, async (item, index, workerId) => {
+        workerIds.add(workerId);
+        await delay(1);
+      });
+
+      assert.deepStrictEqual([...workerIds].sort(), [0, 1]);
+    });
+
+    it('should run sequentially with concurrency 1', async () => {
+      const order = [];
+
+      await runPool(['a', 'b', 'c'], 1, async (item) => {
+        order.push(`start:${item}`);
+        await delay(1);
+        order.push(`end:${item}`);
+      });
+
+      assert.deepStrictEqual(order, ['start:a', 'end:a', 'start:b', 'end:b', 'start:c', 'end:c']);
+    });
+
+    it('should rethrow the first error and stop starting new items', async () => {
+      const started = [];
+
+      await assert.rejects(
+        runPool([1, 2, 3, 4, 5], 1, async (item) => {
+          started.push(item);
+          if (item === 2) throw new Error('boom');
+        }),
+        /boom/
+      );
+
+      assert.deepStrictEqual(started, [1, 2]);
+    });
+
+    it('should handle an empty item list', async () => {
+      const results = await runPool([], 4, async () => 1);
+      assert.deepStrictEqual(results, []);
+    });
+  });
+
+  describe('parseConcurrency', () => {
+    it('should use the default when no value is given', () => {
+      assert.strictEqual(parseConcurrency(undefined), defaultConcurrency());
+    });
+
+    it('should parse positive integers', () => {
+      assert.strictEqual(parseConcurrency('6'), 6);
+      assert.strictEqual(parseConcurrency(2), 2);
+    });
+
+    it('should reject zero, negatives and non-integers', () => {
+      assert.strictEqual(parseConcurrency('0'), null);
+      assert.strictEqual(parseConcurrency('-1'), null);
+      assert.strictEqual(parseConcurrency('1.5'), null);
+      assert.strictEqual(parseConcurrency('many'), null);
+    });
+  });
+
+  describe('defaultConcurrency', () => {
+    it('should be between 1 and 4', () => {
+      const n = defaultConcurrency();
+      assert.ok(n >= 1 && n <= 4);
+    });
+  });
+});
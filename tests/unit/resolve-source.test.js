@@ -0,0 +1,164 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { devices } from '../../src/devices/index.js';
+import { getDeviceType, getSourceCandidates, getDeviceFolders, resolveSource, describeSourceLookup, validateSourceGroups } from '../../src/utils/resolve-source.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const testDir = join(__dirname, '..', '..', '.storepix-test-resolve');
+
+function touch(path) {
+  mkdirSync(dirname(join(testDir, path)), { recursive: true });
+  writeFileSync(join(testDir, path), '');
+}
+
+describe('resolve-source module', () => {
+  before(() => {
+    touch('screenshots/home.png');
+    touch('screenshots/iphone/home.png');
+    touch('screenshots/de/iphone/home.png');
+    touch('screenshots/fr/home.png');
+    touch('screenshots/iphone-5.5/home.png');
+    touch('screenshots/home-button/list.png');
+  });
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('getDeviceType', () => {
+    it('should read the type from the device key', () => {
+      assert.strictEqual(getDeviceType('iphone-4.7'), 'iphone');
+      assert.strictEqual(getDeviceType('ipad-13'), 'ipad');
+      assert.strictEqual(getDeviceType('android-tablet-7'), 'android');
+      assert.strictEqual(getDeviceType('watch-45'), null);
+    });
+
+    it('should give every device a type', () => {
+      for (const key of Object.keys(devices)) {
+        assert.ok(getDeviceType(key), key);
+      }
+    });
+  });
+
+  describe('getSourceCandidates', () => {
+    it('should order locale + device folders, locale, device folders, then base', () => {
+      const paths = getSourceCandidates('./screenshots/home.png', 'iphone-6.9', { locale: 'de' }).map(c => c.path);
+      assert.deepStrictEqual(paths, [
+        'screenshots/de/iphone-6.9/home.png',
+        'screenshots/de/iphone/home.png',
+        'screenshots/de/home.png',
+        'screenshots/iphone-6.9/home.png',
+        'screenshots/iphone/home.png',
+        './screenshots/home.png'
+      ]);
+    });
+
+    it('should skip the locale levels when not localized', () => {
+      const paths = getSourceCandidates('./screenshots/home.png', 'ipad-13').map(c => c.path);
+      assert.deepStrictEqual(paths, ['screenshots/ipad-13/home.png', 'screenshots/ipad/home.png', './screenshots/home.png']);
+    });
+  });
+
+  describe('getDeviceFolders', () => {
+    it('should list the device key, its groups in config order, then its type', () => {
+      const sourceGroups = { notched: ['iphone-6.9'], 'home-button': ['iphone-5.5', 'iphone-4.7'], legacy: ['iphone-5.5'] };
+      assert.deepStrictEqual(getDeviceFolders('iphone-5.5', sourceGroups), [
+        { folder: 'iphone-5.5', level: 'device' },
+        { folder: 'home-button', level: 'group' },
+        { folder: 'legacy', level: 'group' },
+        { folder: 'iphone', level: 'type' }
+      ]);
+    });
+  });
+
+  describe('resolveSource', () => {
+    it('should prefer the locale + device folder', () => {
+      const result = resolveSource('./screenshots/home.png', 'iphone-6.9', testDir, { locale: 'de' });
+      assert.strictEqual(result.resolvedPath, 'screenshots/de/iphone/home.png');
+      assert.strictEqual(result.isDeviceSpecific, true);
+      assert.strictEqual(result.isLocaleSpecific, true);
+      assert.deepStrictEqual(result.triedPaths, ['screenshots/de/iphone-6.9/home.png', 'screenshots/de/iphone/home.png']);
+    });
+
+    it('should fall back to the locale folder, then the device folder', () => {
+      const fr = resolveSource('./screenshots/home.png', 'iphone-6.9', testDir, { locale: 'fr' });
+      assert.strictEqual(fr.resolvedPath, 'screenshots/fr/home.png');
+      assert.strictEqual(fr.isDeviceSpecific, false);
+
+      const en = resolveSource('./screenshots/home.png', 'iphone-6.9', testDir, { locale: 'en' });
+      assert.strictEqual(en.resolvedPath, 'screenshots/iphone/home.png');
+      assert.strictEqual(en.isLocaleSpecific, false);
+    });
+
+    it('should prefer the exact device key folder over the device type', () => {
+      const result = resolveSource('./screenshots/home.png', 'iphone-5.5', testDir);
+      assert.strictEqual(result.resolvedPath, 'screenshots/iphone-5.5/home.png');
+      assert.strictEqual(result.level, 'device');
+    });
+
+    it('should check source groups between the device key and the device type', () => {
+      const sourceGroups = { 'home-button': ['iphone-5.5', 'iphone-4.7'] };
+      const result = resolveSource('./screenshots/list.png', 'iphone-4.7', testDir, { sourceGroups });
+      assert.strictEqual(result.resolvedPath, 'screenshots/home-button/list.png');
+      assert.strictEqual(result.level, 'group');
+      assert.strictEqual(resolveSource('./screenshots/list.png', 'iphone-4.7', testDir).level, null);
+    });
+
+    it('should use the base file when nothing more specific exists', () => {
+      const result = resolveSource('./screenshots/home.png', 'android-phone', testDir, { locale: 'en' });
+      assert.strictEqual(result.resolvedPath, './screenshots/home.png');
+      assert.strictEqual(result.isDeviceSpecific, false);
+    });
+
+    it('should report every path tried when the source is missing', () => {
+      const result = resolveSource('./screenshots/missing.png', 'ipad-13', testDir, { locale: 'de' });
+      assert.strictEqual(result.resolvedPath, './screenshots/missing.png');
+      assert.deepStrictEqual(result.triedPaths, [
+        'screenshots/de/ipad-13/missing.png',
+        'screenshots/de/ipad/missing.png',
+        'screenshots/de/missing.png',
+        'screenshots/ipad-13/missing.png',
+        'screenshots/ipad/missing.png',
+        './screenshots/missing.png'
+      ]);
+    });
+  });
+
+  describe('describeSourceLookup', () => {
+    it('should describe the precedence that applies', () => {
+      assert.strictEqual(describeSourceLookup(), '<device> → <device-type> → base');
+      assert.strictEqual(
+        describeSourceLookup({ localized: true, sourceGroups: { notched: ['iphone-6.9'] } }),
+        '<locale>/<device> → <locale>/<group> → <locale>/<device-type> → <locale> → <device> → <group> → <device-type> → base'
+      );
+    });
+  });
+
+  describe('validateSourceGroups', () => {
+    const knownDevices = { 'iphone-6.9': {}, 'iphone-5.5': {}, 'ipad-13': {} };
+
+    it('should accept groups of known devices', () => {
+      const config = { sourceGroups: { notched: ['iphone-6.9'], 'home-button': ['iphone-5.5'] } };
+      assert.deepStrictEqual(validateSourceGroups(config, knownDevices), []);
+      assert.deepStrictEqual(validateSourceGroups({}, knownDevices), []);
+    });
+
+    it('should reject unknown devices and names that clash with other folders', () => {
+      const config = {
+        locales: { de: {} },
+        sourceGroups: { iphone: ['iphone-6.9'], de: ['ipad-13'], old: ['iphone-4'], bad: 'iphone-5.5' }
+      };
+      const errors = validateSourceGroups(config, knownDevices);
+
+      assert.deepStrictEqual(errors, [
+        'sourceGroups.iphone clashes with a device, device type or locale folder of the same name',
+        'sourceGroups.de clashes with a device, device type or locale folder of the same name',
+        'sourceGroups.old contains unknown device "iphone-4"',
+        'sourceGroups.bad must be an array of device keys'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveSourceFit,
+  validateSourceFitConfig,
+  checkSourceFit,
+  formatAspectDelta,
+  DEFAULT_ASPECT_TOLERANCE
+} from '../../src/utils/source-fit.js';
+
+describe('source-fit module', () => {
+  describe('resolveSourceFit', () => {
+    it('should default to strict with the default tolerance', () => {
+      assert.deepStrictEqual(resolveSourceFit(), { mode: 'strict', tolerance: DEFAULT_ASPECT_TOLERANCE });
+    });
+
+    it('should accept a mode name or an object', () => {
+      assert.deepStrictEqual(resolveSourceFit('cover'), { mode: 'cover', tolerance: DEFAULT_ASPECT_TOLERANCE });
+      assert.deepStrictEqual(resolveSourceFit({ mode: 'scale', tolerance: 0.05 }), { mode: 'scale', tolerance: 0.05 });
+    });
+
+    it('should let the screenshot mode override the config mode but keep its tolerance', () => {
+      assert.deepStrictEqual(resolveSourceFit({ mode: 'cover', tolerance: 0.05 }, 'contain'), { mode: 'contain', tolerance: 0.05 });
+    });
+  });
+
+  describe('validateSourceFitConfig', () => {
+    it('should accept valid settings', () => {
+      assert.deepStrictEqual(validateSourceFitConfig({ sourceFit: 'cover', screenshots: [{ id: 'a', sourceFit: 'strict' }] }), []);
+      assert.deepStrictEqual(validateSourceFitConfig({ sourceFit: { mode: 'scale', tolerance: 0 } }), []);
+      assert.deepStrictEqual(validateSourceFitConfig({ screenshots: [] }), []);
+    });
+
+    it('should report invalid modes and tolerances with their path', () => {
+      const errors = validateSourceFitConfig({
+        sourceFit: { mode: 'stretch', tolerance: 2 },
+        screenshots: [{ id: '01_home', sourceFit: 'fill' }]
+      });
+
+      assert.strictEqual(errors.length, 3);
+      assert.ok(errors[0].startsWith('sourceFit.mode must be one of'));
+      assert.ok(errors[1].startsWith('sourceFit.tolerance'));
+      assert.ok(errors[2].startsWith('[01_home] sourceFit'));
+    });
+
+    it('should reject other value types', () => {
+      assert.strictEqual(validateSourceFitConfig({ sourceFit: true }).length, 1);
+    });
+  });
+
+  describe('checkSourceFit', () => {
+    const iphone69 = { width: 1320, height: 2868 };
+
+    it('should accept exact matches under any mode', () => {
+      const result = checkSourceFit(iphone69, iphone69, { mode: 'strict', tolerance: 0 });
+      assert.deepStrictEqual(result, { ok: true, exact: true, aspectDelta: 0 });
+    });
+
+    it('should only accept mismatched sizes outside strict mode', () => {
+      const source = { width: 1290, height: 2796 };
+
+      assert.strictEqual(checkSourceFit(source, iphone69, { mode: 'strict', tolerance: 0.02 }).ok, false);
+      assert.strictEqual(checkSourceFit(source, iphone69, { mode: 'cover', tolerance: 0.02 }).ok, true);
+    });
+
+    it('should reject aspect ratios beyond the tolerance', () => {
+      const ipad = { width: 2064, height: 2752 };
+      const result = checkSourceFit(ipad, iphone69, { mode: 'contain', tolerance: 0.02 });
+
+      assert.strictEqual(result.ok, false);
+      assert.ok(result.aspectDelta > 0.5);
+    });
+  });
+
+  describe('formatAspectDelta', () => {
+    it('should show small differences with more precision', () => {
+      assert.strictEqual(formatAspectDelta(0.0243), '2.4%');
+      assert.strictEqual(formatAspectDelta(0.0002), '0.02%');
+      assert.strictEqual(formatAspectDelta(0), '0.0%');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  contentHelperPath,
+  resolveContentHelper,
+  resolveScreenshotTemplate,
+  getRequiredTemplates
+} from '../../src/utils/template-helper.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const testDir = join(__dirname, '..', '..', '.storepix-test-template-helper');
+
+describe('template-helper module', () => {
+  describe('resolveScreenshotTemplate', () => {
+    it('should serve the default template at /', () => {
+      assert.deepStrictEqual(resolveScreenshotTemplate({ id: 'home' }, 'iphone-6.5', 'default'), { name: 'default', path: '' });
+      assert.deepStrictEqual(resolveScreenshotTemplate({ id: 'home', template: 'default' }, 'iphone-6.5', 'default'), { name: 'default', path: '' });
+    });
+
+    it('should load other templates by path', () => {
+      assert.deepStrictEqual(resolveScreenshotTemplate({ id: 'home', template: 'photo' }, 'iphone-6.5', 'default'), {
+        name: 'photo',
+        path: '/templates/photo/index.html'
+      });
+    });
+
+    it('should switch promotional devices to the feature graphic', () => {
+      assert.deepStrictEqual(resolveScreenshotTemplate({ id: 'home', template: 'photo' }, 'android-feature-graphic', 'default'), {
+        name: 'feature-graphic',
+        path: '/templates/feature-graphic/index.html'
+      });
+    });
+
+    it('should ignore template values that aren\'t names', () => {
+      assert.strictEqual(resolveScreenshotTemplate({ id: 'home', template: 42 }, 'iphone-6.5', 'default').name, 'default');
+      assert.strictEqual(resolveScreenshotTemplate({ id: 'home', template: '' }, 'iphone-6.5', 'default').name, 'default');
+    });
+  });
+
+  describe('getRequiredTemplates', () => {
+    const config = {
+      screenshots: [
+        { id: '01_home' },
+        { id: '02_photo', template: 'photo' },
+        { id: '03_hero', template: 'panorama' },
+        { id: '04_list', overrides: { ipad: { template: 'minimal' } } }
+      ]
+    };
+
+    it('should add every template screenshots choose, with the ids that chose it', () => {
+      assert.deepStrictEqual([...getRequiredTemplates(config, 'default', ['iphone-6.5'])], [
+        ['default', []],
+        ['photo', ['02_photo']],
+        ['panorama', ['03_hero']]
+      ]);
+    });
+
+    it('should include templates set only in a device override', () => {
+      const templates = getRequiredTemplates(config, 'default', ['iphone-6.5', 'ipad-13']);
+      assert.deepStrictEqual(templates.get('minimal'), ['04_list']);
+    });
+
+    it('should add feature-graphic for promotional devices', () => {
+      assert.deepStrictEqual([...getRequiredTemplates({ screenshots: [{ id: 'home' }] }, 'default', ['iphone-6.5', 'android-feature-graphic'])], [
+        ['default', []],
+        ['feature-graphic', []]
+      ]);
+    });
+  });
+
+  describe('resolveContentHelper', () => {
+    before(() => {
+      mkdirSync(join(testDir, 'templates'), { recursive: true });
+    });
+
+    after(() => {
+      rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should prefer the project\'s copy and fall back to the package', () => {
+      assert.strictEqual(resolveContentHelper(testDir), contentHelperPath);
+
+      writeFileSync(join(testDir, 'templates', 'storepix-content.js'), '// helper');
+      assert.strictEqual(resolveContentHelper(testDir), join(testDir, 'templates', 'storepix-content.js'));
+    });
+  });
+});
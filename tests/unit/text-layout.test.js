@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  resolveTextLayoutRules,
+  validateTextLayoutConfig,
+  measureTextLayout,
+  getTextLayoutIssues,
+  TEXT_LAYOUT_SELECTOR
+} from '../../src/utils/text-layout.js';
+
+const findings = [
+  { element: 'headline', text: 'Verfolge deine Stimmungen', kind: 'overlap', detail: '', rects: [] },
+  { element: 'subheadline', text: 'Jeden Tag', kind: 'clipped', detail: '.headline-container', rects: [] },
+  { element: 'badge', text: 'Neu', kind: 'overflow', detail: '12px', rects: [] },
+  { element: 'headline-1', text: 'Zweite Zeile', kind: 'clipped', detail: 'the seam between slices 1 and 2', rects: [] }
+];
+
+describe('text-layout module', () => {
+  describe('resolveTextLayoutRules', () => {
+    it('should default every check to a warning', () => {
+      assert.deepStrictEqual(resolveTextLayoutRules(undefined), {
+        clipped: 'warning', truncated: 'warning', overflow: 'warning', overlap: 'warning'
+      });
+    });
+
+    it('should apply overrides and turn the checks off', () => {
+      assert.strictEqual(resolveTextLayoutRules({ overlap: 'error' }).overlap, 'error');
+      assert.strictEqual(resolveTextLayoutRules(false), null);
+      assert.strictEqual(resolveTextLayoutRules({ clipped: 'off', truncated: 'off', overflow: 'off', overlap: 'off' }), null);
+    });
+  });
+
+  describe('validateTextLayoutConfig', () => {
+    it('should accept booleans and known severities', () => {
+      assert.deepStrictEqual(validateTextLayoutConfig(undefined), []);
+      assert.deepStrictEqual(validateTextLayoutConfig(false), []);
+      assert.deepStrictEqual(validateTextLayoutConfig({ overlap: 'off', clipped: 'warning' }), []);
+    });
+
+    it('should reject unknown kinds and severities', () => {
+      assert.deepStrictEqual(validateTextLayoutConfig({ overlaps: 'error', clipped: 'fatal' }), [
+        'textLayout.overlaps is not a check (expected one of: clipped, truncated, overflow, overlap)',
+        'textLayout.clipped must be one of: error, warning, off (got "fatal")'
+      ]);
+      assert.deepStrictEqual(validateTextLayoutConfig('strict'), ['textLayout must be false or an object of severities by kind']);
+    });
+  });
+
+  describe('measureTextLayout', () => {
+    it('should measure the text elements in the page', async () => {
+      let args;
+      const page = { async evaluate(fn, options) { args = options; return findings; } };
+
+      const result = await measureTextLayout(page, { sliceWidth: 1284, slices: 2, rtl: true });
+
+      assert.strictEqual(result, findings);
+      assert.deepStrictEqual(args, { selector: TEXT_LAYOUT_SELECTOR, sliceWidth: 1284, slices: 2, rtl: true });
+    });
+  });
+
+  describe('getTextLayoutIssues', () => {
+    it('should describe findings with their severity, clipping first', () => {
+      const issues = getTextLayoutIssues(findings, resolveTextLayoutRules({ clipped: 'error', overflow: 'off' }));
+
+      assert.deepStrictEqual(issues, [
+        { type: 'layout', severity: 'error', message: 'subheadline "Jeden Tag" is clipped by .headline-container' },
+        { type: 'layout', severity: 'error', message: 'headline-1 "Zweite Zeile" is clipped by the seam between slices 1 and 2' },
+        { type: 'layout', severity: 'warning', message: 'headline "Verfolge deine Stimmungen" overlaps the device frame' }
+      ]);
+    });
+  });
+});
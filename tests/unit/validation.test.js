@@ -43,14 +43,72 @@ describe('validation module', () => {
       assert.deepStrictEqual(result.dimensions, { width: 100, height: 100 });
     });
 
-    it('should fail for JPEG files', () => {
+    it('should accept a JPEG source with matching dimensions', () => {
+      const result = validateScreenshot(
+        join(fixturesDir, 'valid-iphone-6.5.jpg'),
+        devices['iphone-6.5']
+      );
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.format, 'jpeg');
+      assert.deepStrictEqual(result.dimensions, { width: 1284, height: 2778 });
+      assert.deepStrictEqual(result.warnings, []);
+    });
+
+    it('should check JPEG dimensions against the device', () => {
+      const result = validateScreenshot(
+        join(fixturesDir, 'valid-iphone-6.5.jpg'),
+        devices['iphone-6.9']
+      );
+
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.errors.some(e => e.includes('Dimension mismatch: image is 1284x2778')));
+    });
+
+    it('should accept a WebP source and warn when it has an alpha channel', () => {
+      const opaque = validateScreenshot(join(fixturesDir, 'valid-iphone-6.5.webp'), devices['iphone-6.5']);
+      assert.strictEqual(opaque.valid, true);
+      assert.strictEqual(opaque.format, 'webp');
+      assert.deepStrictEqual(opaque.warnings, []);
+
+      const alpha = validateScreenshot(join(fixturesDir, 'with-alpha.webp'), devices['iphone-6.5']);
+      assert.strictEqual(alpha.valid, true);
+      assert.ok(alpha.warnings.some(w => w.includes('alpha channel')));
+    });
+
+    it('should accept a close aspect ratio under a non-strict sourceFit', () => {
+      const source = join(fixturesDir, 'valid-iphone-6.7.jpg');
+
+      const strict = validateScreenshot(source, devices['iphone-6.9']);
+      assert.strictEqual(strict.valid, false);
+      assert.strictEqual(strict.fit, null);
+
+      const cover = validateScreenshot(source, devices['iphone-6.9'], { mode: 'cover', tolerance: 0.02 });
+      assert.strictEqual(cover.valid, true);
+      assert.strictEqual(cover.fit.mode, 'cover');
+      assert.deepStrictEqual(cover.fit.target, { width: 1320, height: 2868 });
+      assert.ok(cover.fit.aspectDelta > 0 && cover.fit.aspectDelta < 0.01);
+    });
+
+    it('should reject aspect ratios outside the sourceFit tolerance', () => {
+      const result = validateScreenshot(
+        join(fixturesDir, 'valid-ipad-13.png'),
+        devices['iphone-6.5'],
+        { mode: 'scale', tolerance: 0.02 }
+      );
+
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.errors[0].includes('more than the 2.0% "scale" tolerance'));
+    });
+
+    it('should fail for JPEGs without a frame header', () => {
       const result = validateScreenshot(
         join(fixturesDir, 'fake.jpg'),
         devices['iphone-6.5']
       );
 
       assert.strictEqual(result.valid, false);
-      assert.ok(result.errors.some(e => e.includes('JPEG')));
+      assert.ok(result.errors.some(e => e.includes('Malformed JPEG')));
     });
 
     it('should fail for non-existent files', () => {
@@ -81,7 +139,7 @@ describe('validation module', () => {
       );
 
       assert.strictEqual(result.valid, false);
-      assert.ok(result.errors.some(e => e.includes('not a valid PNG')));
+      assert.ok(result.errors.some(e => e.includes('not a valid PNG, JPEG or WebP')));
     });
 
     it('should warn about alpha channel', () => {
@@ -92,9 +150,25 @@ describe('validation module', () => {
 
       // The file is valid but dimensions match
       assert.strictEqual(result.valid, true);
-      // Depending on color type detection, may have warning about alpha
-      // Our test PNG with alpha type 6 should be detected
       assert.deepStrictEqual(result.dimensions, { width: 1284, height: 2778 });
+
+      // Transparent region is detected from the decoded pixels
+      assert.deepStrictEqual(result.transparency, {
+        pixels: 2000,
+        bounds: { x: 1234, y: 0, width: 50, height: 40 }
+      });
+      assert.ok(result.warnings.some(w => w.includes('2000 transparent') && w.includes('50x40 region at (1234, 0)')));
+    });
+
+    it('should not warn about an alpha channel whose pixels are all opaque', () => {
+      const result = validateScreenshot(
+        join(fixturesDir, 'opaque-alpha.png'),
+        devices['iphone-6.5']
+      );
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.transparency, null);
+      assert.deepStrictEqual(result.warnings, []);
     });
   });
 
@@ -146,6 +220,30 @@ describe('validation module', () => {
       assert.strictEqual(result69.valid, false);
     });
 
+    it('should let a screenshot override the config sourceFit mode', () => {
+      const screenshots = [
+        { id: 'fitted', source: '../fixtures/screenshots/valid-iphone-6.7.jpg' },
+        { id: 'exact', source: '../fixtures/screenshots/valid-iphone-6.7.jpg', sourceFit: 'strict' }
+      ];
+
+      const result = validateAllScreenshots(screenshots, __dirname, ['iphone-6.9'], devices, { sourceFit: { mode: 'contain' } });
+
+      assert.strictEqual(result.results[0].valid, true);
+      assert.strictEqual(result.results[0].fit.mode, 'contain');
+      assert.strictEqual(result.results[1].valid, false);
+    });
+
+    it('should validate a source shared by several locales once per device', () => {
+      const screenshots = [
+        { id: 'test1', source: '../fixtures/screenshots/valid-iphone-6.5.png' }
+      ];
+
+      const result = validateAllScreenshots(screenshots, __dirname, ['iphone-6.5'], devices, { locales: ['en', 'de'] });
+
+      assert.strictEqual(result.results.length, 1);
+      assert.strictEqual(result.results[0].locale, null);
+    });
+
     it('should handle multiple screenshots', () => {
       const screenshots = [
         { id: 'test1', source: '../fixtures/screenshots/valid-iphone-6.5.png' },
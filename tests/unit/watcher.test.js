@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { join } from 'path';
+import { categorizeChange, getInputDirs, isJobAffected } from '../../src/utils/watcher.js';
+
+const configDir = '/project/storepix';
+
+const makeJob = (overrides = {}) => ({
+  template: 'default',
+  statusBar: false,
+  screenshot: { id: '01_home', source: './screenshots/home.png', background: './assets/bg.jpg' },
+  resolvedSource: './screenshots/home.png',
+  inputFiles: ['./screenshots/home.png', './assets/bg.jpg'],
+  ...overrides
+});
+
+const change = (file) => {
+  const path = join(configDir, file);
+  return { path, category: categorizeChange(path, configDir) };
+};
+
+describe('watcher module', () => {
+  describe('isJobAffected', () => {
+    it('should re-render when the job\'s template changes', () => {
+      const job = makeJob();
+      assert.strictEqual(isJobAffected(job, job, [change('templates/default/styles.css')], configDir), true);
+      assert.strictEqual(isJobAffected(job, job, [change('templates/storepix-content.js')], configDir), true);
+      assert.strictEqual(isJobAffected(job, job, [change('templates/photo/styles.css')], configDir), false);
+    });
+
+    it('should re-render when the source changes', () => {
+      const job = makeJob();
+      assert.strictEqual(isJobAffected(job, job, [change('screenshots/home.png')], configDir), true);
+      assert.strictEqual(isJobAffected(job, job, [change('screenshots/list.png')], configDir), false);
+    });
+
+    it('should re-render when a device-specific source is added', () => {
+      const previous = makeJob();
+      const job = makeJob({
+        resolvedSource: './screenshots/iphone/home.png',
+        inputFiles: ['./screenshots/iphone/home.png', './assets/bg.jpg']
+      });
+      assert.strictEqual(isJobAffected(job, previous, [change('screenshots/iphone/home.png')], configDir), true);
+      assert.strictEqual(isJobAffected(job, undefined, [], configDir), true);
+    });
+
+    it('should re-render when the background changes outside screenshots/', () => {
+      const job = makeJob();
+      assert.strictEqual(isJobAffected(job, job, [change('assets/bg.jpg')], configDir), true);
+    });
+
+    it('should skip unrelated files', () => {
+      const job = makeJob();
+      assert.strictEqual(isJobAffected(job, job, [change('assets/logo.png'), change('notes.md')], configDir), false);
+      assert.strictEqual(isJobAffected(job, job, [change('templates/status-bar/styles.css')], configDir), false);
+      assert.strictEqual(isJobAffected(makeJob({ statusBar: true }), job, [change('templates/status-bar/styles.css')], configDir), true);
+    });
+  });
+
+  describe('getInputDirs', () => {
+    it('should list input directories that aren\'t watched yet', () => {
+      const watched = [join(configDir, 'templates'), join(configDir, 'screenshots'), join(configDir, 'storepix.config.js')];
+      const jobs = [
+        makeJob(),
+        makeJob({
+          screenshot: { id: 'list', source: '../design/list.png', logo: './assets/logos/logo.png' },
+          inputFiles: ['../design/iphone/list.png', './assets/logos/logo.png']
+        })
+      ];
+
+      assert.deepStrictEqual(getInputDirs(jobs, configDir, watched), [
+        join(configDir, 'assets'),
+        '/project/design'
+      ]);
+    });
+
+    it('should return nothing when every input is watched', () => {
+      const job = makeJob({ screenshot: { id: '01_home', source: './screenshots/home.png' }, inputFiles: ['./screenshots/home.png'] });
+      assert.deepStrictEqual(getInputDirs([job], configDir, [join(configDir, 'screenshots')]), []);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseXml, decodeEntities, escapeXml, childElements, findElements, textContent, localName } from '../../src/utils/xml.js';
+
+describe('xml module', () => {
+  describe('parseXml', () => {
+    it('should parse elements, attributes and text', () => {
+      const root = parseXml('<?xml version="1.0"?>\n<a x="1" y=\'two\'><b>hi</b><c/></a>');
+      assert.strictEqual(root.name, 'a');
+      assert.deepStrictEqual(root.attributes, { x: '1', y: 'two' });
+      assert.strictEqual(childElements(root, 'b').length, 1);
+      assert.strictEqual(textContent(root), 'hi');
+    });
+
+    it('should decode entities and keep CDATA verbatim', () => {
+      const root = parseXml('<a>Tom &amp; Jerry &#x2014; <![CDATA[<b>raw</b> &amp;]]></a>');
+      assert.strictEqual(textContent(root), 'Tom & Jerry — <b>raw</b> &amp;');
+    });
+
+    it('should skip comments and DOCTYPE declarations', () => {
+      const root = parseXml('<!DOCTYPE resources [ <!ENTITY x "y"> ]>\n<!-- note --><r><!-- <s>x</s> --><s>y</s></r>');
+      assert.deepStrictEqual(findElements(root, 's').map(textContent), ['y']);
+    });
+
+    it('should match prefixed names by local name', () => {
+      const root = parseXml('<x:root xmlns:x="urn:x"><x:item/></x:root>');
+      assert.strictEqual(localName(root), 'root');
+      assert.strictEqual(findElements(root, 'item').length, 1);
+    });
+
+    it('should report mismatched tags with a line number', () => {
+      assert.throws(() => parseXml('<a>\n<b></a>'), /line 2: unexpected <\/a>/);
+      assert.throws(() => parseXml('<a><b></b>'), /missing <\/a>/);
+    });
+  });
+
+  describe('escaping', () => {
+    it('should round-trip special characters', () => {
+      const text = 'Fish & "Chips" <today>';
+      assert.strictEqual(escapeXml(text), 'Fish &amp; &quot;Chips&quot; &lt;today&gt;');
+      assert.strictEqual(decodeEntities(escapeXml(text)), text);
+    });
+  });
+});